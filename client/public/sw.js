@@ -0,0 +1,145 @@
+// client/public/sw.js
+//
+// Service worker do radar, para ler sem rede (metrô, avião):
+//   - páginas: rede primeiro; sem rede, o index.html guardado (o React resolve a rota);
+//   - /assets/* (nomes com hash do Vite), ícones e manifest: cache primeiro;
+//   - /api/news: rede primeiro; sem rede, a última resposta da mesma consulta ou,
+//     se não houver, o último /api/news lido, com o cabeçalho X-Radar-Offline;
+//   - /api/img: cache primeiro, com as MAX_IMAGES miniaturas mais recentes;
+//   - o resto da API (ao vivo, busca, salvos, administração) vai sempre à rede.
+// Para descartar os caches de uma versão, mude VERSION.
+const VERSION = 'v2'
+const SHELL = `radar-shell-${VERSION}`
+const API = `radar-api-${VERSION}`
+const IMAGES = `radar-img-${VERSION}`
+const LAST_NEWS = '/api/news?offline=last'
+const MAX_IMAGES = 300
+// Navegação fora de "/" renova a casca no máximo uma vez por hora (e a cada vez que o SW acorda)
+const SHELL_REFRESH_MS = 60 * 60 * 1000
+const STATIC_RE = /^\/(assets|icons)\/|^\/manifest\.webmanifest$/
+
+// Cinza neutro para imagens que nunca foram vistas com rede
+const OFFLINE_IMAGE = '<svg xmlns="http://www.w3.org/2000/svg" width="480" height="270"><rect width="480" height="270" fill="#e5e7eb"/></svg>'
+
+let shellKeptAt = 0
+
+// Guarda o index.html e o que ele carrega; apaga assets de builds anteriores
+async function keepShell(response) {
+  shellKeptAt = Date.now()
+  const cache = await caches.open(SHELL)
+  const html = await response.clone().text()
+  await cache.put('/', response)
+  const assets = [...html.matchAll(/(?:src|href)="(\/[^"]+)"/g)].map(m => m[1]).filter(p => STATIC_RE.test(p))
+  await Promise.all(assets.map(async (path) => {
+    if (!(await cache.match(path))) await cache.add(path)
+  }))
+  for (const req of await cache.keys()) {
+    const { pathname } = new URL(req.url)
+    if (pathname.startsWith('/assets/') && !assets.includes(pathname)) await cache.delete(req)
+  }
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    await refreshShell()
+    await self.skipWaiting()
+  })())
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const current = [SHELL, API, IMAGES]
+    for (const key of await caches.keys()) if (!current.includes(key)) await caches.delete(key)
+    await self.clients.claim()
+  })())
+})
+
+// A casca guardada é sempre o index.html de "/": /item/:id volta do servidor com as
+// tags Open Graph daquela notícia, que não podem virar a casca das outras páginas
+async function refreshShell() {
+  const res = await fetch('/', { cache: 'no-cache' })
+  if (res.ok) await keepShell(res)
+}
+
+async function page(event) {
+  try {
+    const res = await fetch(event.request)
+    if (res.ok && (res.headers.get('content-type') || '').includes('text/html')) {
+      if (new URL(event.request.url).pathname === '/') event.waitUntil(keepShell(res.clone()))
+      else if (Date.now() - shellKeptAt > SHELL_REFRESH_MS) event.waitUntil(refreshShell().catch(() => {}))
+    }
+    return res
+  } catch {
+    return (await caches.match('/', { cacheName: SHELL })) || Response.error()
+  }
+}
+
+async function asset(request) {
+  const cache = await caches.open(SHELL)
+  const hit = await cache.match(request)
+  if (hit) return hit
+  const res = await fetch(request)
+  if (res.ok) await cache.put(request, res.clone())
+  return res
+}
+
+// Cópia guardada marcada como offline: o app mostra "offline – dados de <hora>"
+function offlineCopy(response) {
+  const headers = new Headers(response.headers)
+  headers.set('X-Radar-Offline', '1')
+  return new Response(response.body, { status: 200, headers })
+}
+
+async function news(request) {
+  const cache = await caches.open(API)
+  try {
+    const res = await fetch(request)
+    // Servidor fora do ar (502/503 do proxy) conta como sem rede
+    if (res.status >= 500) throw new Error(`HTTP ${res.status}`)
+    if (res.ok) {
+      await cache.put(request, res.clone())
+      await cache.put(LAST_NEWS, res.clone())
+    }
+    return res
+  } catch {
+    const cached = (await cache.match(request)) || (await cache.match(LAST_NEWS))
+    if (cached) return offlineCopy(cached)
+    return new Response(JSON.stringify({ error: 'Sem conexão e sem notícias guardadas neste aparelho' }), {
+      status: 503,
+      headers: { 'Content-Type': 'application/json', 'X-Radar-Offline': '1' },
+    })
+  }
+}
+
+async function trimImages(cache) {
+  const keys = await cache.keys()
+  for (const req of keys.slice(0, Math.max(0, keys.length - MAX_IMAGES))) await cache.delete(req)
+}
+
+async function image(request) {
+  const cache = await caches.open(IMAGES)
+  const hit = await cache.match(request)
+  if (hit) return hit
+  try {
+    const res = await fetch(request)
+    if (res.ok) {
+      await cache.put(request, res.clone())
+      await trimImages(cache)
+    }
+    return res
+  } catch {
+    return new Response(OFFLINE_IMAGE, { headers: { 'Content-Type': 'image/svg+xml' } })
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+  const url = new URL(request.url)
+  if (url.origin !== self.location.origin) return
+  if (url.pathname === '/api/news') return event.respondWith(news(request))
+  if (url.pathname === '/api/img') return event.respondWith(image(request))
+  if (url.pathname.startsWith('/api/')) return
+  if (request.mode === 'navigate') return event.respondWith(page(event))
+  if (STATIC_RE.test(url.pathname)) event.respondWith(asset(request))
+})
@@ -1,6 +1,17 @@
 
-import React, { useEffect, useMemo, useState } from 'react'
-import { motion } from 'framer-motion'
+import React, { useCallback, useEffect, useMemo, useState } from 'react'
+import { AnimatePresence, motion } from 'framer-motion'
+import { formatDateKey, toSPDateKey } from './lib/format'
+import { highlightSegments } from './lib/highlight'
+import StatusPanel from './components/StatusPanel'
+import ReaderModal from './components/ReaderModal'
+import BookmarkControls from './components/BookmarkControls'
+import { fetchBookmarks, getToken, removeBookmark, saveBookmark, setToken } from './lib/bookmarks'
+import { mergeItems, patchSourceStatus, pendingItems } from './lib/live'
+import { cardImage } from './lib/images'
+import { offlineDataTime } from './lib/offline'
+import { itemPath, navigate, parseRoute, radarPath, radarView, shareItem } from './lib/route'
+import { LAYOUTS, dayLabel, getLayout, groupBySource, groupTimeline, saveLayout } from './lib/layouts'
 
 const SOURCE_COLORS = {
   'un_news_pt': '#1d4ed8',
@@ -39,7 +50,7 @@ function formatHeaderToday() {
   return `${parts.day} de ${titleCase(parts.month)} de ${parts.year} – ${titleCase(parts.weekday)}`
 }
 
-function SourceTabs({ sources, active, onChange }) {
+function SourceTabs({ sources, active, onChange, savedCount = 0 }) {
   return (
     <div className="flex flex-wrap gap-2">
       <button
@@ -48,6 +59,13 @@ function SourceTabs({ sources, active, onChange }) {
       >
         Todas
       </button>
+      <button
+        className={`px-4 py-2 rounded-2xl font-semibold border transition hover:shadow ${active==='saved'?'bg-amber-500 text-white border-amber-500':'bg-white text-amber-700 border-amber-500'}`}
+        onClick={() => onChange('saved')}
+        title="Itens salvos com suas notas"
+      >
+        ★ Salvos{savedCount > 0 && ` (${savedCount})`}
+      </button>
       {sources.map(s => (
         <button
           key={s.key}
@@ -63,42 +81,302 @@ function SourceTabs({ sources, active, onChange }) {
   )
 }
 
-function NewsCard({ item, source }) {
-  const srcColor = SOURCE_COLORS[source.key] || '#1d4ed8'
+function TopicTabs({ topics, active, onChange }) {
+  if (!topics.length) return null
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <span className="text-sm font-semibold text-gray-700">Temas:</span>
+      <button
+        className="badge border transition"
+        style={active === 'all' ? { backgroundColor: '#0f172a', color: '#fff', borderColor: '#0f172a' } : { backgroundColor: '#fff', color: '#0f172a', borderColor: '#cbd5e1' }}
+        onClick={() => onChange('all')}
+      >
+        Todos
+      </button>
+      {topics.map(t => {
+        const color = t.color || '#0f172a'
+        return (
+          <button
+            key={t.key}
+            className="badge border transition"
+            style={{ backgroundColor: active === t.key ? color : '#fff', color: active === t.key ? '#fff' : color, borderColor: color }}
+            onClick={() => onChange(active === t.key ? 'all' : t.key)}
+          >
+            {t.label}
+          </button>
+        )
+      })}
+    </div>
+  )
+}
+
+function LayoutSwitcher({ layout, onChange }) {
+  return (
+    <div className="inline-flex rounded-xl border bg-white overflow-hidden text-sm" role="group" aria-label="Visão">
+      {LAYOUTS.map(l => (
+        <button
+          key={l.key}
+          onClick={() => onChange(l.key)}
+          aria-pressed={layout === l.key}
+          className={`px-3 py-1.5 font-semibold transition ${layout === l.key ? 'bg-brandBlue text-white' : 'text-gray-700 hover:bg-gray-50'}`}
+        >
+          {l.label}
+        </button>
+      ))}
+    </div>
+  )
+}
+
+function Highlighted({ text, needles }) {
+  return highlightSegments(text, needles).map((seg, i) =>
+    seg.match ? <mark key={i} className="bg-yellow-200 text-inherit rounded px-0.5">{seg.text}</mark> : <React.Fragment key={i}>{seg.text}</React.Fragment>
+  )
+}
+
+// Resumo automático da matéria: duas linhas, expandível
+function SummaryExcerpt({ text }) {
+  const [open, setOpen] = useState(false)
+  return (
+    <div className="text-sm text-gray-700">
+      <p className={open ? '' : 'line-clamp-2'}>
+        <span className="font-semibold text-gray-900">Resumo: </span>{text}
+      </p>
+      <button onClick={() => setOpen(o => !o)} className="mt-1 text-xs font-semibold text-gray-500 hover:text-gray-800">
+        {open ? 'ver menos' : 'ver resumo completo'}
+      </button>
+    </div>
+  )
+}
+
+function SearchBox({ value, onChange }) {
+  return (
+    <div className="relative w-full max-w-md">
+      <input
+        type="search"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder='Buscar (ex.: Mercosul, "direitos humanos")'
+        className="w-full px-4 py-2 rounded-xl border border-gray-300 bg-white/90 text-gray-800 shadow-sm focus:outline-none focus:ring-2"
+        aria-label="Buscar notícias"
+      />
+    </div>
+  )
+}
+
+// Código de acesso dos salvos: copiar para outro aparelho ou colar o de lá
+function SavedAccess({ token, onChangeToken }) {
+  const [other, setOther] = useState('')
+  return (
+    <div className="mb-6 rounded-2xl border border-amber-200 bg-amber-50 p-4 text-sm text-gray-700">
+      <p>
+        Seus salvos ficam no servidor, ligados a este código de acesso:{' '}
+        <code className="px-1 rounded bg-white border select-all">{token}</code>{' '}
+        <button onClick={() => navigator.clipboard?.writeText(token)} className="font-semibold text-amber-700 hover:text-amber-900">Copiar</button>
+      </p>
+      <form
+        className="mt-2 flex flex-wrap items-center gap-2"
+        onSubmit={(e) => { e.preventDefault(); if (other.trim()) { onChangeToken(other.trim()); setOther('') } }}
+      >
+        <label htmlFor="saved-token">Usar o código de outro aparelho:</label>
+        <input id="saved-token" value={other} onChange={(e) => setOther(e.target.value)} className="rounded-xl border px-2 py-1 font-mono" />
+        <button type="submit" className="px-3 py-1 rounded-xl font-semibold bg-amber-500 text-white">Usar</button>
+      </form>
+    </div>
+  )
+}
+
+// Aviso das notícias recebidas ao vivo; o clique as junta à grade
+function NewItemsBanner({ count, onShow }) {
+  return (
+    <AnimatePresence>
+      {count > 0 && (
+        <motion.div
+          initial={{ opacity: 0, y: -12 }}
+          animate={{ opacity: 1, y: 0 }}
+          exit={{ opacity: 0, y: -12 }}
+          className="sticky top-3 z-20 flex justify-center mb-6"
+        >
+          <button
+            onClick={onShow}
+            className="px-4 py-2 rounded-full font-semibold shadow-smooth"
+            style={{ backgroundColor: '#1d4ed8', color: '#fff' }}
+          >
+            ↑ {count} {count === 1 ? 'nova notícia' : 'novas notícias'}
+          </button>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  )
+}
+
+// Sem rede (ou servidor fora do ar): a grade é a última guardada pelo service worker
+function OfflineBar({ online, generatedAt }) {
+  const when = offlineDataTime(generatedAt)
+  return (
+    <div role="status" className="sticky top-0 z-30 px-4 py-2 text-center text-sm font-semibold" style={{ backgroundColor: '#fef3c7', color: '#92400e' }}>
+      {when ? `offline – dados de ${when}` : 'offline – sem notícias guardadas neste aparelho'}
+      <span className="ml-2 font-normal">
+        {online ? '· servidor indisponível, tentando de novo…' : '· atualiza sozinho quando a conexão voltar'}
+      </span>
+    </div>
+  )
+}
+
+function ShareButton({ item }) {
+  const [done, setDone] = useState(null)
+  async function share() {
+    try {
+      setDone(await shareItem(item))
+    } catch {
+      window.prompt('Copie o link da notícia:', `${window.location.origin}${itemPath(item.id)}`)
+    }
+  }
+  useEffect(() => {
+    if (!done) return
+    const t = setTimeout(() => setDone(null), 2000)
+    return () => clearTimeout(t)
+  }, [done])
+  return (
+    <button onClick={share} className="text-sm text-gray-500 hover:text-gray-800" title="Link permanente desta notícia no radar">
+      {done === 'copied' ? 'Link copiado ✓' : '🔗 Link'}
+    </button>
+  )
+}
+
+function DateBadge({ item }) {
+  if (!item.publishedAt) return null
+  return (
+    <span className="badge" style={{ backgroundColor: '#f1f5f9', color: '#0f172a' }} title={item.dateOnly ? 'Horário não informado pela fonte' : undefined}>
+      {/* dateOnly: a fonte só informa o dia; 00:00 seria um horário inventado */}
+      {new Intl.DateTimeFormat('pt-BR', { dateStyle: 'short', ...(item.dateOnly ? {} : { timeStyle: 'short' }), timeZone: 'America/Sao_Paulo' }).format(new Date(item.publishedAt))}
+    </span>
+  )
+}
+
+// ☆/★ de uma linha só, para as manchetes (nota e etiquetas ficam nos cartões)
+function SaveStar({ saved, onSave, onRemove }) {
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+  async function toggle() {
+    setBusy(true)
+    setError(null)
+    try {
+      await (saved ? onRemove() : onSave({}))
+    } catch (e) {
+      setError(e.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+  return (
+    <button
+      disabled={busy}
+      onClick={toggle}
+      className={saved ? 'text-amber-600 hover:text-amber-800' : 'text-gray-400 hover:text-gray-700'}
+      title={error || (saved ? 'Remover dos salvos' : 'Guardar este item nos salvos')}
+    >
+      {saved ? '★' : '☆'}
+    </button>
+  )
+}
+
+// variant: "card" (grade e colunas), "row" (linha do tempo: foto ao lado no desktop)
+// ou "headline" (só a manchete, sem imagem). Todas recebem o mesmo item e as mesmas ações
+function NewsCard({ item, source, highlight, topics = [], onRead, saved, onSave, onRemove, variant = 'card' }) {
+  // A cor definida na fonte (editável na administração) vale sobre a tabela fixa
+  const srcColor = source.color || SOURCE_COLORS[source.key] || '#1d4ed8'
+  const row = variant === 'row'
+
+  if (variant === 'headline') {
+    return (
+      <motion.li layout initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="flex items-baseline gap-3 py-2">
+        <span className="w-3 h-3 rounded-full shrink-0 self-center" style={{ backgroundColor: srcColor }} title={source.name}></span>
+        <span className="hidden sm:block w-44 shrink-0 text-xs font-semibold truncate" style={{ color: srcColor }}>{source.name}</span>
+        <span className="w-24 shrink-0 text-xs text-gray-500 tabular-nums">
+          {item.publishedAt && new Intl.DateTimeFormat('pt-BR', { day: '2-digit', month: '2-digit', ...(item.dateOnly ? {} : { hour: '2-digit', minute: '2-digit' }), timeZone: 'America/Sao_Paulo' }).format(new Date(item.publishedAt))}
+        </span>
+        <button onClick={() => onRead(item)} className="flex-1 min-w-0 text-left font-semibold text-gray-900 hover:underline">
+          <Highlighted text={item.title} needles={highlight} />
+          {item.__also?.length > 0 && (
+            <span className="ml-2 text-xs font-normal text-gray-500" title={item.__also.map(a => a.source.name).join(', ')}>
+              +{item.__also.length} {item.__also.length === 1 ? 'fonte' : 'fontes'}
+            </span>
+          )}
+        </button>
+        <SaveStar saved={saved} onSave={(patch) => onSave(item, source, patch)} onRemove={() => onRemove(item.url)} />
+        <a href={item.url} target="_blank" rel="noreferrer" className="text-sm text-gray-500 hover:text-gray-800" title="Site original">↗</a>
+      </motion.li>
+    )
+  }
+
   return (
     <motion.article
       layout
       initial={{ opacity: 0, y: 20 }}
       animate={{ opacity: 1, y: 0 }}
-      className="bg-white rounded-2xl shadow-smooth overflow-hidden border"
+      className={`bg-white rounded-2xl shadow-smooth overflow-hidden border ${row ? 'sm:flex' : ''}`}
       style={{ borderColor: srcColor + '33' }}
     >
-      {item.image ? (
-        <a href={item.url} target="_blank" rel="noreferrer">
-          <img src={item.image} alt={item.title} className="w-full h-52 object-cover hover:scale-[1.02] transition-transform duration-700 ease-out" />
-        </a>
-      ) : (
-        <div className="w-full h-52 bg-gray-100 flex items-center justify-center text-gray-400">Sem imagem</div>
-      )}
-      <div className="p-4 space-y-3">
+      {/* Sem imagem (ou com uma inválida) o servidor devolve o placeholder na cor da fonte */}
+      <a href={item.url} target="_blank" rel="noreferrer" className={`block bg-gray-100 ${row ? 'sm:w-56 shrink-0' : ''}`}>
+        <img
+          {...cardImage(item, source)}
+          {...(row ? { sizes: '(min-width: 640px) 14rem, 100vw' } : {})}
+          alt={item.image ? item.title : ''}
+          loading="lazy"
+          className={`w-full h-52 object-cover hover:scale-[1.02] transition-transform duration-700 ease-out ${row ? 'sm:h-full' : ''}`}
+        />
+      </a>
+      <div className={`p-4 space-y-3 ${row ? 'flex-1 min-w-0' : ''}`}>
         <div className="flex items-center gap-2">
           <span className="badge" style={{ backgroundColor: srcColor, color: '#fff' }}>{source.name}</span>
-          {item.publishedAt && (
-            <span className="badge" style={{ backgroundColor: '#f1f5f9', color: '#0f172a' }}>
-              {new Intl.DateTimeFormat('pt-BR', { dateStyle: 'short', timeStyle: 'short', timeZone: 'America/Sao_Paulo' }).format(new Date(item.publishedAt))}
-            </span>
-          )}
+          <DateBadge item={item} />
         </div>
-        <h3 className="text-lg font-bold text-gray-900">{item.title}</h3>
+        {item.tags?.length > 0 && (
+          <div className="flex flex-wrap gap-1">
+            {item.tags.map(key => {
+              const t = topics.find(x => x.key === key)
+              return t && (
+                <span key={key} className="badge" style={{ backgroundColor: (t.color || '#0f172a') + '1a', color: t.color || '#0f172a' }}>{t.label}</span>
+              )
+            })}
+          </div>
+        )}
+        <h3 className="text-lg font-bold text-gray-900"><Highlighted text={item.title} needles={highlight} /></h3>
+        {item.__also?.length > 0 && (
+          <div className="flex flex-wrap items-center gap-1 text-xs text-gray-600">
+            <span className="font-semibold">Também em:</span>
+            {item.__also.map(a => (
+              <a
+                key={a.url}
+                href={a.url}
+                target="_blank"
+                rel="noreferrer"
+                className="badge hover:opacity-80"
+                style={{ backgroundColor: (a.source.color || SOURCE_COLORS[a.source.key] || '#1d4ed8') + '1a', color: a.source.color || SOURCE_COLORS[a.source.key] || '#1d4ed8' }}
+                title={a.title}
+              >
+                {a.source.name}
+              </a>
+            ))}
+          </div>
+        )}
+        {item.snippet && (
+          <p className="text-sm text-gray-600"><Highlighted text={item.snippet} needles={highlight} /></p>
+        )}
+        {item.summary && !item.snippet && <SummaryExcerpt text={item.summary} />}
+        <BookmarkControls saved={saved} onSave={(patch) => onSave(item, source, patch)} onRemove={() => onRemove(item.url)} />
         <div className="flex justify-between items-center">
-          <a
-            href={item.url}
-            target="_blank"
-            rel="noreferrer"
+          <button
+            onClick={() => onRead(item)}
             className="inline-block px-4 py-2 rounded-xl font-semibold"
             style={{ backgroundColor: srcColor, color: '#fff' }}
           >
             Ler mais
+          </button>
+          {item.id && <ShareButton item={item} />}
+          <a href={item.url} target="_blank" rel="noreferrer" className="text-sm text-gray-500 hover:text-gray-800">
+            Site original ↗
           </a>
         </div>
       </div>
@@ -106,33 +384,387 @@ function NewsCard({ item, source }) {
   )
 }
 
-export default function App() {
+// Linha do tempo: separadores de dia e de hora (America/Sao_Paulo) entre os cartões
+function Timeline({ items, renderCard }) {
+  const days = useMemo(() => groupTimeline(items), [items])
+  return (
+    <div className="space-y-10">
+      {days.map(day => (
+        <section key={day.key ?? 'undated'}>
+          <h2 className="sticky top-0 z-10 -mx-4 px-4 py-2 bg-white/90 backdrop-blur text-lg font-black first-letter:uppercase" style={{ color: '#1d4ed8' }}>
+            {day.key ? dayLabel(day.key) : 'Sem data'}
+          </h2>
+          <ol className="mt-3 border-l-2 border-gray-200 ml-2 space-y-6">
+            {day.hours.map(h => (
+              <li key={h.hour ?? 'none'} className="relative pl-6">
+                <span className="absolute -left-[7px] top-1.5 w-3 h-3 rounded-full bg-white border-2 border-brandBlue"></span>
+                <div className="text-sm font-bold text-gray-700 tabular-nums">
+                  {h.hour !== null ? `${h.hour}h` : day.key ? 'Horário não informado' : ''}
+                </div>
+                <div className="mt-2 space-y-4">{h.items.map(it => renderCard(it, 'row'))}</div>
+              </li>
+            ))}
+          </ol>
+        </section>
+      ))}
+    </div>
+  )
+}
+
+// Uma coluna por fonte, com rolagem horizontal quando não cabem na tela
+function SourceColumns({ items, sources, renderCard }) {
+  const columns = useMemo(() => groupBySource(items, sources), [items, sources])
+  return (
+    <div className="flex gap-4 overflow-x-auto pb-4 -mx-4 px-4 snap-x">
+      {columns.map(({ source, items: list }) => (
+        <section key={source.key} className="w-80 shrink-0 snap-start">
+          <h2 className="sticky top-0 z-10 flex items-center justify-between px-3 py-2 rounded-xl font-bold text-white" style={{ backgroundColor: source.color || SOURCE_COLORS[source.key] || '#1d4ed8' }}>
+            <span className="truncate">{source.name}</span>
+            <span className="text-sm font-semibold opacity-80">{list.length}</span>
+          </h2>
+          <div className="mt-3 space-y-4">{list.map(it => renderCard(it, 'card'))}</div>
+        </section>
+      ))}
+    </div>
+  )
+}
+
+function ArchiveBar({ date, days, onChange }) {
+  return (
+    <div className="mt-4 flex flex-wrap items-center gap-2">
+      <label className="text-sm font-semibold text-gray-700" htmlFor="archive-date">Dia:</label>
+      <input
+        id="archive-date"
+        type="date"
+        value={date}
+        max={toSPDateKey()}
+        onChange={(e) => e.target.value && onChange(e.target.value)}
+        className="px-3 py-1.5 rounded-xl border border-gray-300 bg-white text-gray-800"
+      />
+      {days.slice(0, 10).map(d => (
+        <button
+          key={d.date}
+          onClick={() => onChange(d.date)}
+          className="badge border transition"
+          style={d.date === date ? { backgroundColor: '#1d4ed8', color: '#fff', borderColor: '#1d4ed8' } : { backgroundColor: '#fff', color: '#374151', borderColor: '#d1d5db' }}
+          title={`${d.count} notícias`}
+        >
+          {formatDateKey(d.date)} · {d.count}
+        </button>
+      ))}
+      <a
+        href={`/api/clipping?date=${date}`}
+        target="_blank"
+        rel="noreferrer"
+        className="ml-auto text-sm font-semibold text-brandBlue hover:underline"
+        title="Boletim do dia agrupado por fonte, pronto para imprimir"
+      >
+        Clipping do dia ↗
+      </a>
+    </div>
+  )
+}
+
+const PERIODS = [
+  { key: 'today', label: 'Hoje', query: 'days=1', text: 'de hoje' },
+  { key: '2d', label: 'Hoje e ontem', query: 'days=2', text: 'de hoje e ontem' },
+  { key: '48h', label: '48h', query: 'hours=48', text: 'das últimas 48 horas' },
+  { key: '7d', label: '7 dias', query: 'days=7', text: 'dos últimos 7 dias' },
+  { key: 'custom', label: 'Personalizado' },
+]
+
+function periodQuery(period) {
+  if (period.key !== 'custom') return PERIODS.find(p => p.key === period.key).query
+  return `since=${period.since}&until=${period.until}`
+}
+
+function periodText(period) {
+  if (period.key !== 'custom') return PERIODS.find(p => p.key === period.key).text
+  return period.since === period.until
+    ? `de ${formatDateKey(period.since)}`
+    : `entre ${formatDateKey(period.since)} e ${formatDateKey(period.until)}`
+}
+
+function PeriodSelector({ period, onChange }) {
+  const [since, setSince] = useState(period.since)
+  const [until, setUntil] = useState(period.until)
+  const today = toSPDateKey()
+
+  function applyRange(nextSince, nextUntil) {
+    setSince(nextSince)
+    setUntil(nextUntil)
+    if (nextSince && nextUntil && nextSince <= nextUntil) onChange({ key: 'custom', since: nextSince, until: nextUntil })
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <select
+        value={period.key}
+        onChange={(e) => e.target.value === 'custom' ? applyRange(since, until) : onChange({ ...period, key: e.target.value })}
+        className="px-3 py-2 rounded-xl border border-gray-300 bg-white text-gray-800 font-semibold"
+        aria-label="Período"
+      >
+        {PERIODS.map(p => <option key={p.key} value={p.key}>{p.label}</option>)}
+      </select>
+      {period.key === 'custom' && (
+        <>
+          <input type="date" value={since} max={until || today} onChange={(e) => applyRange(e.target.value, until)}
+            className="px-3 py-1.5 rounded-xl border border-gray-300 bg-white text-gray-800" aria-label="De" />
+          <span className="text-sm text-gray-600">até</span>
+          <input type="date" value={until} min={since} max={today} onChange={(e) => applyRange(since, e.target.value)}
+            className="px-3 py-1.5 rounded-xl border border-gray-300 bg-white text-gray-800" aria-label="Até" />
+        </>
+      )}
+    </div>
+  )
+}
+
+function yesterdayKey() {
+  return toSPDateKey(Date.now() - 24 * 60 * 60 * 1000)
+}
+
+// route: { tab, params } de lib/route.js. Fonte, período, tema, busca e arquivo vêm da URL;
+// mudar um deles é navegar (o "voltar" do navegador desfaz)
+export default function App({ route }) {
+  const view = useMemo(() => radarView(route), [route])
+  const { active, period, activeTopic, clustered, mode, archiveDate, q: searchQuery } = view
+  const query = periodQuery(period)
+  // Parte da URL atual (não do render): a busca atrasada não desfaz uma troca de aba feita no meio
+  const go = (patch, opts) => navigate(radarPath({ ...radarView(parseRoute()), ...patch }), opts)
+  const setActive = (tab) => go({ active: tab })
+  const setPeriod = (next) => go({ period: next })
+  const setActiveTopic = (topic) => go({ activeTopic: topic })
+  const setClustered = (on) => go({ clustered: on }, { replace: true })
+  const setArchiveDate = (date) => go({ mode: 'archive', archiveDate: date })
+  const setMode = (next) => go({ mode: next, archiveDate: yesterdayKey() })
+
   const [data, setData] = useState(null)
-  const [active, setActive] = useState('all')
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
+  const [archiveDays, setArchiveDays] = useState([])
+  const [searchInput, setSearchInput] = useState(searchQuery)
+  const [searchResult, setSearchResult] = useState(null)
+  const [refreshJob, setRefreshJob] = useState(null)
+  const [sourceStatus, setSourceStatus] = useState(null)
+  const [showStatus, setShowStatus] = useState(false)
+  const [reading, setReading] = useState(null)
+  const closeReader = useCallback(() => setReading(null), [])
+  const [incoming, setIncoming] = useState([])
+  const [bookmarks, setBookmarks] = useState([])
+  const [bookmarkToken, setBookmarkToken] = useState(getToken)
+  const [online, setOnline] = useState(() => navigator.onLine)
+  const [layout, setLayout] = useState(getLayout)
+  const [fromCache, setFromCache] = useState(false)
+  const offline = !online || fromCache
+  const bookmarkByUrl = useMemo(() => new Map(bookmarks.map(b => [b.url, b])), [bookmarks])
+  const statusAlerts = sourceStatus?.sources.filter(s => s.alert).length ?? 0
+  const refreshing = refreshJob?.status === 'running'
+  const refreshFailures = refreshJob?.status === 'done' ? Object.keys(refreshJob.failed).length : 0
 
   const sources = useMemo(() => data?.sources ?? [], [data])
+  const topics = useMemo(() => data?.topics ?? [], [data])
+  const pending = useMemo(() => (mode === 'live' ? pendingItems(data, incoming) : []), [mode, data, incoming])
+  const pendingCount = useMemo(() => new Set(pending.map(p => p.item.url)).size, [pending])
 
-  async function load(force=false) {
+  async function fetchInto(url, { quiet = false } = {}) {
     try {
-      setLoading(true)
+      if (!quiet) setLoading(true)
       setError(null)
-      const res = await fetch(`/api/news${force ? '?force=true' : ''}`)
-      if (!res.ok) throw new Error('Falha ao carregar')
+      const res = await fetch(url)
+      // Cópia guardada pelo service worker (public/sw.js) quando não há rede
+      setFromCache(res.headers.get('X-Radar-Offline') === '1')
+      if (!res.ok) throw new Error((await res.json().catch(() => null))?.error || 'Falha ao carregar')
       const json = await res.json()
       setData(json)
     } catch (e) {
       setError(String(e))
     } finally {
-      setLoading(false)
+      if (!quiet) setLoading(false)
     }
   }
 
-  useEffect(() => { load(false) }, [])
+  function load(opts) {
+    return fetchInto(`/api/news?${query}&cluster=true&summary=true`, opts)
+  }
 
-  const items = useMemo(() => {
+  // "Atualizar" enfileira a recoleta no servidor e acompanha o progresso sem bloquear a tela
+  async function refresh() {
+    try {
+      const res = await fetch('/api/refresh', { method: 'POST' })
+      if (!res.ok) throw new Error('Falha ao pedir atualização')
+      setRefreshJob(await res.json())
+    } catch (e) {
+      setError(String(e))
+    }
+  }
+
+  function showIncoming() {
+    setData(d => mergeItems(d, pending))
+    setIncoming([])
+  }
+
+  function loadBookmarks() {
+    return fetchBookmarks().then(setBookmarks)
+  }
+
+  async function saveItem(item, source, patch) {
+    const saved = await saveBookmark(item, source, patch)
+    setBookmarks(list => list.some(b => b.url === saved.url)
+      ? list.map(b => (b.url === saved.url ? saved : b))
+      : [saved, ...list])
+  }
+
+  async function unsaveItem(url) {
+    await removeBookmark(url)
+    setBookmarks(list => list.filter(b => b.url !== url))
+  }
+
+  function switchToken(token) {
+    setToken(token)
+    setBookmarkToken(token)
+    loadBookmarks().catch(e => setError(String(e)))
+  }
+
+  // Salvos indisponíveis não atrapalham as notícias; a aba apenas fica vazia
+  useEffect(() => { loadBookmarks().catch(() => {}) }, [])
+
+  function loadArchive(date) {
+    fetch('/api/archive/days').then(r => r.ok ? r.json() : null).then(j => j && setArchiveDays(j.days)).catch(() => {})
+    return fetchInto(`/api/archive?date=${date}`)
+  }
+
+  useEffect(() => {
+    if (mode === 'archive') loadArchive(archiveDate)
+    else load()
+  }, [mode, archiveDate, query])
+
+  // Conexão de volta: recarrega o que estava na tela; com o servidor fora do ar, tenta a cada 30 s
+  function syncAfterOffline() {
+    if (mode === 'archive') loadArchive(archiveDate)
+    else load({ quiet: true })
+    loadBookmarks().catch(() => {})
+  }
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine)
+    window.addEventListener('online', update)
+    window.addEventListener('offline', update)
+    return () => {
+      window.removeEventListener('online', update)
+      window.removeEventListener('offline', update)
+    }
+  }, [])
+
+  useEffect(() => { if (online && fromCache) syncAfterOffline() }, [online])
+
+  useEffect(() => {
+    if (!online || !fromCache) return
+    const t = setInterval(syncAfterOffline, 30000)
+    return () => clearInterval(t)
+  }, [online, fromCache, mode, archiveDate, query])
+
+  // Ao vivo: itens novos aguardam o clique no aviso; o status das fontes é aplicado na hora
+  useEffect(() => {
+    setIncoming([])
+    if (mode !== 'live' || typeof EventSource === 'undefined') return
+    const es = new EventSource('/api/stream')
+    es.addEventListener('items', (e) => {
+      const { source, items } = JSON.parse(e.data)
+      setIncoming(list => [...list, ...items.map(item => ({ item, source }))])
+    })
+    es.addEventListener('status', (e) => {
+      const st = JSON.parse(e.data)
+      setData(d => patchSourceStatus(d, st))
+      setSourceStatus(s => s && {
+        ...s,
+        sources: s.sources.map(x => (x.key === st.key ? { ...x, ...st.health, refreshing: st.refreshing } : x)),
+      })
+    })
+    return () => es.close()
+  }, [mode])
+
+  useEffect(() => {
+    if (!refreshJob || refreshJob.status === 'done') return
+    const t = setTimeout(async () => {
+      try {
+        const res = await fetch(`/api/refresh/${refreshJob.id}`)
+        if (!res.ok) throw new Error('Falha ao acompanhar a atualização')
+        const job = await res.json()
+        // Cada fonte concluída já aparece na grade
+        if (job.completed > refreshJob.completed && mode === 'live') load({ quiet: true })
+        setRefreshJob(job)
+      } catch (e) {
+        setError(String(e))
+        setRefreshJob(null)
+      }
+    }, 1000)
+    return () => clearTimeout(t)
+  }, [refreshJob])
+
+  // Saúde das fontes: consulta leve periódica (mais frequente com o painel aberto)
+  useEffect(() => {
+    let cancelled = false
+    async function poll() {
+      try {
+        const res = await fetch('/api/sources/status')
+        if (res.ok && !cancelled) setSourceStatus(await res.json())
+      } catch (e) { /* painel é auxiliar: falha silenciosa */ }
+    }
+    poll()
+    const t = setInterval(poll, showStatus ? 10000 : 60000)
+    return () => { cancelled = true; clearInterval(t) }
+  }, [showStatus, refreshJob?.status])
+
+  // Busca no servidor com atraso curto enquanto se digita; o termo vai para ?q= sem empilhar histórico
+  useEffect(() => {
+    const t = setTimeout(() => { if (searchInput.trim() !== searchQuery) go({ q: searchInput.trim() }, { replace: true }) }, 300)
+    return () => clearTimeout(t)
+  }, [searchInput])
+
+  // "Voltar" para uma URL com outra busca atualiza a caixa
+  useEffect(() => {
+    if (searchInput.trim() !== searchQuery) setSearchInput(searchQuery)
+  }, [searchQuery])
+
+  useEffect(() => {
+    if (!searchQuery) { setSearchResult(null); return }
+    const ctrl = new AbortController()
+    const params = new URLSearchParams({ q: searchQuery })
+    // "saved" não é fonte: nos Salvos a busca vai a todas e o resultado é filtrado abaixo
+    if (active !== 'all' && active !== 'saved') params.set('sources', active)
+    fetch(`/api/search?${params}`, { signal: ctrl.signal })
+      .then(r => r.ok ? r.json() : Promise.reject(new Error('Falha na busca')))
+      .then(setSearchResult)
+      .catch(e => e.name !== 'AbortError' && setError(String(e)))
+    return () => ctrl.abort()
+  }, [searchQuery, active])
+
+  const highlight = useMemo(() => searchResult ? [...searchResult.phrases, ...searchResult.terms] : [], [searchResult])
+
+  const sourceItems = useMemo(() => {
+    if (searchResult) {
+      const found = active === 'saved' ? searchResult.items.filter(it => bookmarkByUrl.has(it.url)) : searchResult.items
+      return found.map(it => ({ ...it, __source: sources.find(s => s.key === it.source.key) || it.source }))
+    }
+    // Salvos: cópia guardada no servidor, mesmo que o item já tenha saído da listagem
+    if (active === 'saved') {
+      return bookmarks.map(b => ({
+        url: b.url,
+        title: b.title,
+        image: b.image,
+        publishedAt: b.publishedAt,
+        tags: b.topics,
+        __source: sources.find(s => s.key === b.source?.key) || b.source || { key: 'saved', name: 'Salvo' },
+      }))
+    }
     if (!data) return []
+    if (active === 'all' && clustered && data.clusters) {
+      return data.clusters.map(c => ({
+        ...c.primary,
+        __source: sources.find(s => s.key === c.primary.source.key) || c.primary.source,
+        __also: c.also,
+      }))
+    }
     if (active === 'all') {
       const merged = []
       for (const s of data.sources) {
@@ -143,10 +775,42 @@ export default function App() {
     }
     const s = data.sources.find(x => x.key === active)
     return (s?.items || []).map(it => ({ ...it, __source: s }))
-  }, [data, active])
+  }, [data, active, searchResult, sources, clustered, bookmarks])
+
+  useEffect(() => {
+    const name = active === 'saved' ? 'Salvos' : sources.find(s => s.key === active)?.name
+    document.title = name ? `${name} · Radar de Notícias` : 'Radar de Notícias'
+  }, [active, sources])
+
+  const items = useMemo(() => {
+    if (activeTopic === 'all') return sourceItems
+    return sourceItems.filter(it => it.tags?.includes(activeTopic))
+  }, [sourceItems, activeTopic])
+
+  function changeLayout(next) {
+    saveLayout(next)
+    setLayout(next)
+  }
+
+  // Todas as visões desenham os mesmos itens filtrados com o mesmo NewsCard
+  const renderCard = (it, variant) => (
+    <NewsCard
+      key={`${it.__source?.key}|${it.url}`}
+      variant={variant}
+      item={it}
+      source={it.__source}
+      highlight={highlight}
+      topics={topics}
+      onRead={setReading}
+      saved={bookmarkByUrl.get(it.url)}
+      onSave={saveItem}
+      onRemove={unsaveItem}
+    />
+  )
 
   return (
     <div>
+      {offline && <OfflineBar online={online} generatedAt={data?.generatedAt} />}
       {/* HERO */}
       <header className="bg-hero-worldmap bg-cover bg-center">
         <div className="backdrop-blur-[1px]">
@@ -162,20 +826,65 @@ export default function App() {
             <p className="mt-2 text-gray-700 font-semibold">{formatHeaderToday()}</p>
 
             <div className="mt-6 flex flex-wrap items-center gap-3">
+              {mode === 'live' && (
+                <button
+                  onClick={refresh}
+                  disabled={refreshing || offline}
+                  title={offline ? 'Sem conexão com o servidor' : undefined}
+                  className="px-4 py-2 rounded-xl font-semibold shadow hover:shadow-smooth transition disabled:opacity-70"
+                  style={{ backgroundColor: '#16a34a', color: '#fff' }}
+                >
+                  {refreshing ? `Atualizando ${refreshJob.completed}/${refreshJob.total}…` : 'Atualizar'}
+                </button>
+              )}
+              {mode === 'live' && <PeriodSelector key={`${period.key}|${period.since}|${period.until}`} period={period} onChange={setPeriod} />}
               <button
-                onClick={() => load(true)}
-                className="px-4 py-2 rounded-xl font-semibold shadow hover:shadow-smooth transition"
-                style={{ backgroundColor: '#16a34a', color: '#fff' }}
+                onClick={() => setMode(mode === 'live' ? 'archive' : 'live')}
+                className="px-4 py-2 rounded-xl font-semibold border bg-white hover:shadow transition"
+                style={{ borderColor: '#1d4ed8', color: '#1d4ed8' }}
               >
-                Atualizar
+                {mode === 'live' ? 'Arquivo' : 'Voltar ao radar'}
+              </button>
+              <button
+                onClick={() => setShowStatus(!showStatus)}
+                className="px-4 py-2 rounded-xl font-semibold border bg-white hover:shadow transition"
+                style={{ borderColor: statusAlerts ? '#ef4444' : '#cbd5e1', color: statusAlerts ? '#b91c1c' : '#334155' }}
+                title="Saúde das coletas por fonte"
+              >
+                Status das fontes{statusAlerts > 0 && ` (${statusAlerts} com problema)`}
               </button>
               <div className="text-sm text-gray-600">
-                {data?.generatedAt ? `Atualizado: ${formatPtBRDate(data.generatedAt)}` : 'Carregando...'}
+                {mode === 'archive'
+                  ? `Arquivo de ${formatDateKey(archiveDate)}`
+                  : data?.generatedAt ? `Atualizado: ${formatPtBRDate(data.generatedAt)}` : 'Carregando...'}
+                {mode === 'live' && refreshFailures > 0 && (
+                  <span className="ml-2 text-red-600">
+                    ({refreshFailures} {refreshFailures === 1 ? 'fonte falhou' : 'fontes falharam'}: {Object.keys(refreshJob.failed).join(', ')})
+                  </span>
+                )}
               </div>
             </div>
 
+            <div className="mt-4">
+              <SearchBox value={searchInput} onChange={setSearchInput} />
+            </div>
+
+            {mode === 'archive' && <ArchiveBar date={archiveDate} days={archiveDays} onChange={setArchiveDate} />}
+
             <div className="mt-6">
-              <SourceTabs sources={sources} active={active} onChange={setActive} />
+              <SourceTabs sources={sources} active={active} onChange={setActive} savedCount={bookmarks.length} />
+            </div>
+            {active === 'all' && mode === 'live' && !searchResult && (
+              <label className="mt-3 inline-flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                <input type="checkbox" checked={clustered} onChange={(e) => setClustered(e.target.checked)} />
+                Agrupar a mesma notícia vista em várias fontes
+              </label>
+            )}
+            <div className="mt-3">
+              <TopicTabs topics={topics} active={activeTopic} onChange={setActiveTopic} />
+            </div>
+            <div className="mt-4">
+              <LayoutSwitcher layout={layout} onChange={changeLayout} />
             </div>
           </div>
         </div>
@@ -183,20 +892,38 @@ export default function App() {
 
       {/* CONTENT */}
       <main className="max-w-6xl mx-auto px-4 py-8">
+        {showStatus && <StatusPanel status={sourceStatus} onClose={() => setShowStatus(false)} />}
+        {active === 'saved' && !searchResult && <SavedAccess token={bookmarkToken} onChangeToken={switchToken} />}
+        {!searchResult && active !== 'saved' && <NewItemsBanner count={pendingCount} onShow={showIncoming} />}
         {loading && <div className="py-8 text-gray-600">Atualizando notícias…</div>}
         {error && <div className="py-8 text-red-600">{String(error)}</div>}
-        {!loading && !error && (
-          <motion.div layout className="grid gap-6 grid-cols-1 sm:grid-cols-2 lg:grid-cols-3">
-            {items.map((it, idx) => (
-              <NewsCard key={it.url + idx} item={it} source={it.__source} />
-            ))}
-          </motion.div>
+        {!loading && !error && items.length > 0 && (
+          layout === 'timeline' ? <Timeline items={items} renderCard={renderCard} />
+          : layout === 'headlines' ? (
+            <ul className="bg-white rounded-2xl shadow-smooth border px-4 divide-y">{items.map(it => renderCard(it, 'headline'))}</ul>
+          )
+          : layout === 'columns' ? <SourceColumns items={items} sources={sources} renderCard={renderCard} />
+          : (
+            <motion.div layout className="grid gap-6 grid-cols-1 sm:grid-cols-2 lg:grid-cols-3">
+              {items.map(it => renderCard(it, 'card'))}
+            </motion.div>
+          )
         )}
         {!loading && !error && items.length === 0 && (
-          <div className="py-16 text-center text-gray-500">Sem notícias dos últimos 2 dias para esta fonte.</div>
+          <div className="py-16 text-center text-gray-500">
+            {searchResult
+              ? `Nenhum resultado para “${searchResult.q}”.`
+              : active === 'saved'
+              ? 'Nenhum item salvo ainda. Use “☆ Salvar” em uma notícia para guardá-la aqui com suas notas.'
+              : mode === 'archive'
+              ? `Sem notícias arquivadas em ${formatDateKey(archiveDate)} para esta fonte.`
+              : `Sem notícias ${periodText(period)} para esta fonte.`}
+          </div>
         )}
       </main>
 
+      {reading && <ReaderModal item={reading} onClose={closeReader} />}
+
       {/* FOOTER */}
       <footer className="py-10 text-center text-gray-500">
         <div className="max-w-6xl mx-auto px-4">
@@ -0,0 +1,420 @@
+import React, { useEffect, useState } from 'react'
+import { motion } from 'framer-motion'
+import {
+  extractorToText,
+  fetchSources,
+  getAdminToken,
+  saveSource,
+  setAdminToken,
+  setSourceEnabled,
+  testSource,
+  textToExtractor,
+} from '../lib/admin'
+
+const STATUS_LABELS = {
+  ok: { label: 'OK', bg: '#dcfce7', fg: '#166534' },
+  pending: { label: 'Aguardando', bg: '#f1f5f9', fg: '#334155' },
+  degraded: { label: 'Instável', bg: '#fef9c3', fg: '#854d0e' },
+  empty: { label: 'Sem itens', bg: '#fee2e2', fg: '#991b1b' },
+  failing: { label: 'Falhando', bg: '#fee2e2', fg: '#991b1b' },
+}
+
+const FIELDS = [
+  { key: 'title', label: 'Título', hint: 'h2 a' },
+  { key: 'url', label: 'Link', hint: 'h2 a@href' },
+  { key: 'image', label: 'Imagem', hint: 'img@data-src\nimg@src' },
+  { key: 'date', label: 'Data', hint: 'time@datetime\n.data' },
+  { key: 'description', label: 'Descrição', hint: '.resumo' },
+]
+
+// Formas de paginação do motor (ver server/lib/engine.js)
+const PAGINATION_MODES = [
+  { key: '', label: 'Só a primeira página' },
+  { key: 'param', label: 'Parâmetro da URL', hint: 'page (lê ?page=N a partir do valor da URL)' },
+  { key: 'url', label: 'Modelo de URL', hint: 'https://site/page/{page}/' },
+  { key: 'next', label: 'Link “próxima”', hint: 'a[rel=next]@href' },
+]
+
+const EMPTY_FORM = {
+  key: '', name: '', color: '#1d4ed8', refreshMinutes: 30, url: '', baseUrl: '', feed: '', item: '',
+  fields: { title: '', url: '', image: '', date: '', description: '' },
+  enrich: { image: true, date: true, text: true },
+  pagination: { mode: '', value: '', start: '', maxPages: '' },
+  enabled: true,
+}
+
+function formatTime(iso) {
+  if (!iso) return '—'
+  return new Intl.DateTimeFormat('pt-BR', { dateStyle: 'short', timeStyle: 'short', timeZone: 'America/Sao_Paulo' }).format(new Date(iso))
+}
+
+// Definição do servidor → estado do formulário (extratores como texto, uma alternativa por linha)
+function toForm(def) {
+  return {
+    ...EMPTY_FORM,
+    ...def,
+    refreshMinutes: def.refreshMinutes ?? '',
+    baseUrl: def.baseUrl || '',
+    feed: def.feed || '',
+    item: def.item || '',
+    fields: Object.fromEntries(FIELDS.map(f => [f.key, extractorToText(def.fields?.[f.key])])),
+    enrich: { ...EMPTY_FORM.enrich, ...def.enrich },
+    pagination: toPaginationForm(def.pagination),
+    enabled: def.enabled !== false,
+  }
+}
+
+function toPaginationForm(p) {
+  const mode = PAGINATION_MODES.find(m => m.key && p?.[m.key])?.key || ''
+  return {
+    mode,
+    value: mode === 'next' ? extractorToText(p.next) : mode ? p[mode] : '',
+    start: p?.start ?? '',
+    maxPages: p?.maxPages ?? '',
+  }
+}
+
+function toPagination({ mode, value, start, maxPages }) {
+  const v = mode === 'next' ? textToExtractor(value) : value.trim()
+  if (!mode || !v) return undefined
+  return {
+    [mode]: v,
+    start: start === '' || mode === 'next' ? undefined : Number(start),
+    maxPages: maxPages === '' ? undefined : Number(maxPages),
+  }
+}
+
+function toDefinition(form) {
+  const fields = Object.fromEntries(FIELDS.map(f => [f.key, textToExtractor(form.fields[f.key])]).filter(([, v]) => v))
+  const enrich = Object.values(form.enrich).every(Boolean) ? undefined : form.enrich
+  return {
+    key: form.key.trim(),
+    name: form.name.trim(),
+    color: form.color,
+    refreshMinutes: form.refreshMinutes === '' ? undefined : Number(form.refreshMinutes),
+    url: form.url.trim() || undefined,
+    baseUrl: form.baseUrl.trim() || undefined,
+    feed: form.feed.trim() || undefined,
+    item: form.item.trim() || undefined,
+    fields: Object.keys(fields).length ? fields : undefined,
+    enrich,
+    pagination: toPagination(form.pagination),
+    enabled: form.enabled ? undefined : false,
+  }
+}
+
+function TokenForm({ error, onSubmit }) {
+  const [token, setToken] = useState('')
+  return (
+    <form
+      onSubmit={(e) => { e.preventDefault(); if (token.trim()) onSubmit(token) }}
+      className="bg-white rounded-2xl shadow-smooth border p-6 max-w-md space-y-3"
+    >
+      <h2 className="text-lg font-bold text-gray-900">Entrar</h2>
+      <p className="text-sm text-gray-600">Informe o token de administração (variável <code>ADMIN_TOKEN</code> do servidor).</p>
+      <input
+        type="password"
+        value={token}
+        onChange={(e) => setToken(e.target.value)}
+        className="w-full rounded-xl border px-3 py-2"
+        autoFocus
+      />
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <button type="submit" className="px-4 py-2 rounded-xl font-semibold" style={{ backgroundColor: '#1d4ed8', color: '#fff' }}>Entrar</button>
+    </form>
+  )
+}
+
+function Input({ label, hint, ...props }) {
+  return (
+    <label className="block text-sm">
+      <span className="font-semibold text-gray-700">{label}</span>
+      <input {...props} className="mt-1 w-full rounded-xl border px-3 py-2" />
+      {hint && <span className="text-xs text-gray-500">{hint}</span>}
+    </label>
+  )
+}
+
+function Preview({ result }) {
+  if (!result) return null
+  if (result.error) return <p className="text-sm text-red-600">{result.error}</p>
+  return (
+    <div className="space-y-2">
+      <p className="text-sm text-gray-700">
+        {result.total} itens lidos em {(result.durationMs / 1000).toFixed(1)} s
+        {' '}· {result.missingDate} sem data · {result.missingImage} sem imagem
+        {result.total > result.items.length && ` (mostrando ${result.items.length})`}
+      </p>
+      <ul className="divide-y border rounded-xl">
+        {result.items.map(it => (
+          <li key={it.url} className="flex gap-3 p-2 text-sm">
+            {it.image
+              ? <img src={it.image} alt="" className="w-20 h-14 object-cover rounded-lg flex-none" />
+              : <div className="w-20 h-14 bg-gray-100 rounded-lg flex-none" />}
+            <div className="min-w-0">
+              <a href={it.url} target="_blank" rel="noreferrer" className="font-semibold text-gray-900 hover:underline">{it.title}</a>
+              <div className={it.publishedAt ? 'text-xs text-gray-500' : 'text-xs text-red-600'}>
+                {it.publishedAt ? formatTime(it.publishedAt) : 'sem data (não aparece na grade)'}
+              </div>
+              {it.description && <p className="text-xs text-gray-600 line-clamp-2">{it.description}</p>}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+function SourceEditor({ initial, isNew, onSaved, onCancel }) {
+  const [form, setForm] = useState(() => toForm(initial))
+  const [busy, setBusy] = useState(null)
+  const [error, setError] = useState(null)
+  const [preview, setPreview] = useState(null)
+
+  const set = (key) => (e) => setForm(f => ({ ...f, [key]: e.target.value }))
+  const setField = (key) => (e) => setForm(f => ({ ...f, fields: { ...f.fields, [key]: e.target.value } }))
+  const setPagination = (key) => (e) => setForm(f => ({ ...f, pagination: { ...f.pagination, [key]: e.target.value } }))
+  const paginationMode = PAGINATION_MODES.find(m => m.key === form.pagination.mode)
+  const setEnrich = (key) => (e) => setForm(f => ({ ...f, enrich: { ...f.enrich, [key]: e.target.checked } }))
+
+  async function runTest() {
+    setBusy('test')
+    setError(null)
+    try {
+      setPreview(await testSource(toDefinition(form)))
+    } catch (e) {
+      setPreview({ error: e.message })
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  async function submit(e) {
+    e.preventDefault()
+    setBusy('save')
+    setError(null)
+    try {
+      onSaved(await saveSource(toDefinition(form), isNew))
+    } catch (e) {
+      setError(e.message)
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  return (
+    <motion.form
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      onSubmit={submit}
+      className="bg-white rounded-2xl shadow-smooth border p-4 mb-8 space-y-4"
+    >
+      <h2 className="text-lg font-bold text-gray-900">{isNew ? 'Nova fonte' : `Editar ${initial.name}`}</h2>
+      <div className="grid gap-3 sm:grid-cols-2">
+        <Input label="Nome" value={form.name} onChange={set('name')} required />
+        <Input label="Chave" value={form.key} onChange={set('key')} disabled={!isNew} required hint="a-z, 0-9 e _; não muda depois de criada" />
+        <label className="block text-sm">
+          <span className="font-semibold text-gray-700">Cor</span>
+          <input type="color" value={form.color} onChange={set('color')} className="mt-1 block h-10 w-20 rounded-xl border" />
+        </label>
+        <Input label="Intervalo de coleta (min)" type="number" min="5" max="1440" value={form.refreshMinutes} onChange={set('refreshMinutes')} hint="padrão 30" />
+        <Input label="URL da listagem" type="url" value={form.url} onChange={set('url')} hint="página com as notícias (link da aba)" />
+        <Input label="Feed RSS/Atom" type="url" value={form.feed} onChange={set('feed')} hint="opcional: lido antes da listagem HTML" />
+        <Input label="Base para links relativos" type="url" value={form.baseUrl} onChange={set('baseUrl')} hint="opcional (padrão: URL da listagem)" />
+        <Input label="Seletor de cada item" value={form.item} onChange={set('item')} hint="ex.: .listagem .item" />
+      </div>
+
+      <fieldset className="grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
+        <legend className="text-sm font-semibold text-gray-700 mb-1">Extratores (relativos ao item; uma alternativa por linha; “seletor@atributo” lê um atributo)</legend>
+        {FIELDS.map(f => (
+          <label key={f.key} className="block text-sm">
+            <span className="text-gray-700">{f.label}</span>
+            <textarea rows={2} value={form.fields[f.key]} onChange={setField(f.key)} placeholder={f.hint} className="mt-1 w-full rounded-xl border px-3 py-2 font-mono text-xs" />
+          </label>
+        ))}
+      </fieldset>
+
+      <fieldset className="grid gap-3 sm:grid-cols-2 lg:grid-cols-4">
+        <legend className="text-sm font-semibold text-gray-700 mb-1">Páginas seguintes da listagem (usadas pela coleta e pelo preenchimento do arquivo)</legend>
+        <label className="block text-sm">
+          <span className="text-gray-700">Paginação</span>
+          <select value={form.pagination.mode} onChange={setPagination('mode')} className="mt-1 w-full rounded-xl border px-3 py-2">
+            {PAGINATION_MODES.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+          </select>
+        </label>
+        {paginationMode?.key && (
+          <>
+            <Input label={paginationMode.label} value={form.pagination.value} onChange={setPagination('value')} placeholder={paginationMode.hint} required />
+            {paginationMode.key !== 'next' && (
+              <Input label="Número da primeira página" type="number" min="0" value={form.pagination.start} onChange={setPagination('start')} hint="padrão 1 (ou o valor na URL)" />
+            )}
+            <Input label="Máximo de páginas" type="number" min="1" max="50" value={form.pagination.maxPages} onChange={setPagination('maxPages')} hint="padrão 3 na coleta" />
+          </>
+        )}
+      </fieldset>
+
+      <div className="flex flex-wrap gap-4 text-sm text-gray-700">
+        <span className="font-semibold">Abrir a matéria para:</span>
+        <label className="inline-flex items-center gap-1"><input type="checkbox" checked={form.enrich.image} onChange={setEnrich('image')} /> imagem</label>
+        <label className="inline-flex items-center gap-1"><input type="checkbox" checked={form.enrich.date} onChange={setEnrich('date')} /> data</label>
+        <label className="inline-flex items-center gap-1"><input type="checkbox" checked={form.enrich.text} onChange={setEnrich('text')} /> texto e resumo</label>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <div className="flex flex-wrap gap-2">
+        <button type="button" onClick={runTest} disabled={!!busy} className="px-4 py-2 rounded-xl font-semibold border bg-white disabled:opacity-60" style={{ borderColor: '#1d4ed8', color: '#1d4ed8' }}>
+          {busy === 'test' ? 'Testando…' : 'Testar'}
+        </button>
+        <button type="submit" disabled={!!busy} className="px-4 py-2 rounded-xl font-semibold disabled:opacity-60" style={{ backgroundColor: '#16a34a', color: '#fff' }}>
+          {busy === 'save' ? 'Salvando…' : 'Salvar'}
+        </button>
+        <button type="button" onClick={onCancel} className="px-4 py-2 rounded-xl text-gray-600 hover:text-gray-900">Cancelar</button>
+      </div>
+      <Preview result={preview} />
+    </motion.form>
+  )
+}
+
+// Página /admin: lista, cria, edita e ativa/desativa fontes (protegida por ADMIN_TOKEN)
+export default function AdminPage() {
+  const [data, setData] = useState(null)
+  const [error, setError] = useState(null)
+  const [needsToken, setNeedsToken] = useState(!getAdminToken())
+  const [editing, setEditing] = useState(null) // { def, isNew }
+
+  async function load() {
+    try {
+      setError(null)
+      setData(await fetchSources())
+      setNeedsToken(false)
+    } catch (e) {
+      if (e.status === 401) {
+        setAdminToken(null)
+        setNeedsToken(true)
+      }
+      setError(e.message)
+    }
+  }
+
+  useEffect(() => { if (!needsToken) load() }, [])
+
+  function login(token) {
+    setAdminToken(token)
+    load()
+  }
+
+  function logout() {
+    setAdminToken(null)
+    setData(null)
+    setError(null)
+    setNeedsToken(true)
+  }
+
+  async function toggle(source) {
+    try {
+      const updated = await setSourceEnabled(source.key, !source.enabled)
+      setData(d => ({ ...d, sources: d.sources.map(s => (s.key === updated.key ? updated : s)) }))
+    } catch (e) {
+      setError(e.message)
+    }
+  }
+
+  function saved(def) {
+    setEditing(null)
+    setData(d => ({
+      ...d,
+      sources: d.sources.some(s => s.key === def.key) ? d.sources.map(s => (s.key === def.key ? def : s)) : [...d.sources, def],
+    }))
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto px-4 py-10">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+        <div>
+          <h1 className="text-3xl font-black" style={{ color: '#1d4ed8' }}>Administração das fontes</h1>
+          {data && <p className="text-xs text-gray-500 mt-1">Definições em {data.file}</p>}
+        </div>
+        <div className="flex items-center gap-3 text-sm">
+          <a href="/" className="text-gray-600 hover:text-gray-900">← Voltar ao radar</a>
+          {!needsToken && <button onClick={logout} className="text-gray-600 hover:text-gray-900">Sair</button>}
+        </div>
+      </div>
+
+      {needsToken ? (
+        <TokenForm error={error} onSubmit={login} />
+      ) : (
+        <>
+          {error && <p className="mb-4 text-sm text-red-600">{error}</p>}
+          {editing ? (
+            <SourceEditor
+              key={editing.def.key || 'nova'}
+              initial={editing.def}
+              isNew={editing.isNew}
+              onSaved={saved}
+              onCancel={() => setEditing(null)}
+            />
+          ) : (
+            <button
+              onClick={() => setEditing({ def: EMPTY_FORM, isNew: true })}
+              className="mb-6 px-4 py-2 rounded-xl font-semibold"
+              style={{ backgroundColor: '#1d4ed8', color: '#fff' }}
+            >
+              Nova fonte
+            </button>
+          )}
+
+          {data && (
+            <div className="overflow-x-auto bg-white rounded-2xl shadow-smooth border">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2 px-3">Fonte</th>
+                    <th className="py-2 pr-3">Origem</th>
+                    <th className="py-2 pr-3">Intervalo</th>
+                    <th className="py-2 pr-3">Situação</th>
+                    <th className="py-2 pr-3">Última coleta</th>
+                    <th className="py-2 pr-3">Ativa</th>
+                    <th className="py-2 pr-3"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.sources.map(s => {
+                    const st = STATUS_LABELS[s.health?.status] || STATUS_LABELS.pending
+                    return (
+                      <tr key={s.key} className="border-b last:border-0" style={s.enabled ? undefined : { opacity: 0.55 }}>
+                        <td className="py-2 px-3">
+                          <div className="flex items-center gap-2">
+                            <span className="w-3 h-3 rounded-full flex-none" style={{ backgroundColor: s.color }}></span>
+                            <span className="font-semibold">{s.name}</span>
+                          </div>
+                          <div className="text-xs text-gray-500 font-mono">{s.key}</div>
+                        </td>
+                        <td className="py-2 pr-3 text-xs max-w-xs break-all">
+                          {s.feed && <div><span className="badge" style={{ backgroundColor: '#ffedd5', color: '#9a3412' }}>feed</span> {s.feed}</div>}
+                          {s.item && <div><span className="badge" style={{ backgroundColor: '#e0e7ff', color: '#3730a3' }}>html</span> {s.url}</div>}
+                        </td>
+                        <td className="py-2 pr-3 whitespace-nowrap">{s.refreshMinutes ?? 30} min</td>
+                        <td className="py-2 pr-3">
+                          {s.enabled
+                            ? <span className="badge" style={{ backgroundColor: st.bg, color: st.fg }}>{st.label}</span>
+                            : <span className="badge" style={{ backgroundColor: '#f1f5f9', color: '#64748b' }}>Desativada</span>}
+                        </td>
+                        <td className="py-2 pr-3 whitespace-nowrap">{formatTime(s.updatedAt)}</td>
+                        <td className="py-2 pr-3">
+                          <input type="checkbox" checked={s.enabled} onChange={() => toggle(s)} title={s.enabled ? 'Desativar' : 'Ativar'} />
+                        </td>
+                        <td className="py-2 pr-3">
+                          <button onClick={() => setEditing({ def: s, isNew: false })} className="text-brandBlue font-semibold hover:underline">Editar</button>
+                        </td>
+                      </tr>
+                    )
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,86 @@
+import React, { useState } from 'react'
+
+// Salvar/remover um item e editar nota + etiquetas pessoais
+export default function BookmarkControls({ saved, onSave, onRemove }) {
+  const [editing, setEditing] = useState(false)
+  const [note, setNote] = useState('')
+  const [tags, setTags] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  function startEditing() {
+    setNote(saved?.note || '')
+    setTags((saved?.tags || []).join(', '))
+    setEditing(true)
+  }
+
+  async function run(action) {
+    setBusy(true)
+    setError(null)
+    try {
+      await action()
+      return true
+    } catch (e) {
+      setError(e.message)
+      return false
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  async function submit(e) {
+    e.preventDefault()
+    if (await run(() => onSave({ note, tags: tags.split(',').map(t => t.trim()).filter(Boolean) }))) setEditing(false)
+  }
+
+  return (
+    <div className="space-y-2">
+      {saved && !editing && (saved.note || saved.tags?.length > 0) && (
+        <div className="rounded-xl bg-amber-50 border border-amber-200 p-3 text-sm text-gray-800">
+          {saved.tags?.length > 0 && (
+            <div className="flex flex-wrap gap-1 mb-1">
+              {saved.tags.map(t => <span key={t} className="badge" style={{ backgroundColor: '#fde68a', color: '#78350f' }}>#{t}</span>)}
+            </div>
+          )}
+          {saved.note && <p className="whitespace-pre-line">{saved.note}</p>}
+        </div>
+      )}
+
+      {editing && (
+        <form onSubmit={submit} className="space-y-2">
+          <textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            rows={4}
+            placeholder="Notas de estudo…"
+            className="w-full rounded-xl border p-2 text-sm"
+          />
+          <input
+            value={tags}
+            onChange={(e) => setTags(e.target.value)}
+            placeholder="Etiquetas, separadas por vírgula (ex.: CACD, política externa)"
+            className="w-full rounded-xl border p-2 text-sm"
+          />
+          <div className="flex gap-2">
+            <button type="submit" disabled={busy} className="px-3 py-1 rounded-xl text-sm font-semibold bg-brandBlue text-white disabled:opacity-50">Salvar nota</button>
+            <button type="button" onClick={() => setEditing(false)} className="px-3 py-1 rounded-xl text-sm text-gray-600 hover:text-gray-900">Cancelar</button>
+          </div>
+        </form>
+      )}
+
+      {!editing && (
+        <div className="flex flex-wrap gap-3 text-sm">
+          {saved ? (
+            <>
+              <button disabled={busy} onClick={() => run(onRemove)} className="font-semibold text-amber-700 hover:text-amber-900" title="Remover dos salvos">★ Salvo</button>
+              <button onClick={startEditing} className="text-gray-600 hover:text-gray-900">{saved.note || saved.tags?.length ? 'Editar nota' : 'Anotar'}</button>
+            </>
+          ) : (
+            <button disabled={busy} onClick={() => run(() => onSave({}))} className="text-gray-600 hover:text-gray-900" title="Guardar este item nos salvos">☆ Salvar</button>
+          )}
+        </div>
+      )}
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </div>
+  )
+}
@@ -0,0 +1,96 @@
+import React, { useCallback, useEffect, useState } from 'react'
+import { motion } from 'framer-motion'
+import ReaderModal from './ReaderModal'
+import { cardImage } from '../lib/images'
+import { followLink, shareItem, sourcePath } from '../lib/route'
+
+function formatTime(iso, dateOnly) {
+  if (!iso) return null
+  return new Intl.DateTimeFormat('pt-BR', { dateStyle: 'long', ...(dateOnly ? {} : { timeStyle: 'short' }), timeZone: 'America/Sao_Paulo' }).format(new Date(iso))
+}
+
+// Página /item/:id: uma notícia do arquivo, destino dos links compartilhados
+export default function ItemPage({ id }) {
+  const [item, setItem] = useState(null)
+  const [error, setError] = useState(null)
+  const [reading, setReading] = useState(false)
+  const [shared, setShared] = useState(null)
+  const closeReader = useCallback(() => setReading(false), [])
+
+  useEffect(() => {
+    let cancelled = false
+    setItem(null)
+    setError(null)
+    fetch(`/api/items/${encodeURIComponent(id)}`)
+      .then(async r => {
+        const json = await r.json().catch(() => ({}))
+        if (!r.ok) throw new Error(json.error || 'Falha ao carregar a notícia')
+        return json
+      })
+      .then(json => !cancelled && setItem(json))
+      .catch(e => !cancelled && setError(e.message))
+    return () => { cancelled = true }
+  }, [id])
+
+  useEffect(() => {
+    if (item) document.title = `${item.title} · Radar de Notícias`
+  }, [item])
+
+  const source = item?.sources?.[0]
+  const color = source?.color || '#1d4ed8'
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-3xl mx-auto px-4 py-8">
+        <a href="/" onClick={(e) => followLink(e, '/')} className="text-sm font-semibold" style={{ color: '#1d4ed8' }}>
+          ← Radar de Notícias
+        </a>
+        {error && <p className="mt-8 text-red-600">{error}</p>}
+        {!item && !error && <p className="mt-8 text-gray-600">Carregando…</p>}
+        {item && (
+          <motion.article
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="mt-6 bg-white rounded-2xl shadow-smooth overflow-hidden border"
+            style={{ borderColor: color + '33' }}
+          >
+            <img {...cardImage(item, source)} sizes="(min-width: 768px) 48rem, 100vw" alt={item.image ? item.title : ''} className="w-full max-h-96 object-cover bg-gray-100" />
+            <div className="p-6 space-y-4">
+              <div className="flex flex-wrap items-center gap-2">
+                {item.sources.map(s => (
+                  <a
+                    key={s.key}
+                    href={sourcePath(s.key)}
+                    onClick={(e) => followLink(e, sourcePath(s.key))}
+                    className="badge hover:opacity-80"
+                    style={{ backgroundColor: s.color || '#1d4ed8', color: '#fff' }}
+                    title={`Todas as notícias de ${s.name}`}
+                  >
+                    {s.name}
+                  </a>
+                ))}
+                {item.publishedAt && (
+                  <span className="badge" style={{ backgroundColor: '#f1f5f9', color: '#0f172a' }}>{formatTime(item.publishedAt, item.dateOnly)}</span>
+                )}
+              </div>
+              <h1 className="text-2xl font-bold text-gray-900">{item.title}</h1>
+              {(item.summary || item.description) && <p className="text-gray-700 leading-relaxed">{item.summary || item.description}</p>}
+              <div className="flex flex-wrap items-center gap-3">
+                <button onClick={() => setReading(true)} className="px-4 py-2 rounded-xl font-semibold" style={{ backgroundColor: color, color: '#fff' }}>
+                  Ler aqui
+                </button>
+                <a href={item.url} target="_blank" rel="noreferrer" className="px-4 py-2 rounded-xl font-semibold border bg-white" style={{ borderColor: color, color }}>
+                  Site original ↗
+                </a>
+                <button onClick={() => shareItem(item).then(setShared).catch(() => {})} className="text-sm text-gray-500 hover:text-gray-800">
+                  {shared === 'copied' ? 'Link copiado ✓' : '🔗 Compartilhar'}
+                </button>
+              </div>
+            </div>
+          </motion.article>
+        )}
+      </div>
+      {reading && item && <ReaderModal item={item} onClose={closeReader} />}
+    </div>
+  )
+}
@@ -0,0 +1,103 @@
+import React, { useEffect, useState } from 'react'
+import { motion } from 'framer-motion'
+
+function formatTime(iso, dateOnly) {
+  if (!iso) return null
+  return new Intl.DateTimeFormat('pt-BR', { dateStyle: 'long', ...(dateOnly ? {} : { timeStyle: 'short' }), timeZone: 'America/Sao_Paulo' }).format(new Date(iso))
+}
+
+// Modo leitura: texto limpo da matéria (via /api/article) sem sair do radar
+export default function ReaderModal({ item, onClose }) {
+  const [article, setArticle] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    setArticle(null)
+    setError(null)
+    fetch(`/api/article?url=${encodeURIComponent(item.url)}`)
+      .then(async r => {
+        const json = await r.json().catch(() => ({}))
+        if (!r.ok) throw new Error(json.error || 'Falha ao carregar a matéria')
+        return json
+      })
+      .then(json => !cancelled && setArticle(json))
+      .catch(e => !cancelled && setError(e.message))
+    return () => { cancelled = true }
+  }, [item.url])
+
+  useEffect(() => {
+    const onKey = (e) => e.key === 'Escape' && onClose()
+    window.addEventListener('keydown', onKey)
+    const overflow = document.body.style.overflow
+    document.body.style.overflow = 'hidden'
+    return () => {
+      window.removeEventListener('keydown', onKey)
+      document.body.style.overflow = overflow
+    }
+  }, [onClose])
+
+  const color = article?.source?.color || '#1d4ed8'
+  const original = article?.canonicalUrl || item.url
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/50 flex items-start justify-center overflow-y-auto p-4" onClick={onClose}>
+      <motion.article
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="bg-white rounded-2xl shadow-smooth max-w-3xl w-full my-8"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-label={item.title}
+      >
+        <div className="flex items-center justify-between gap-3 px-6 pt-5">
+          {article?.source
+            ? <span className="badge" style={{ backgroundColor: color, color: '#fff' }}>{article.source.name}</span>
+            : <span />}
+          <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-800">Fechar</button>
+        </div>
+
+        <div className="px-6 pb-6 pt-3">
+          <h2 className="text-2xl font-extrabold text-gray-900">{article?.title || item.title}</h2>
+          {article && (
+            <p className="mt-2 text-sm text-gray-500">
+              {[article.author && `Por ${article.author}`, formatTime(article.publishedAt, article.dateOnly), article.siteName].filter(Boolean).join(' · ')}
+            </p>
+          )}
+
+          {!article && !error && <div className="py-10 text-gray-600">Carregando matéria…</div>}
+          {error && (
+            <div className="py-10 text-red-600">
+              {error}. <a href={item.url} target="_blank" rel="noreferrer" className="underline">Abrir no site original</a>
+            </div>
+          )}
+
+          {article && (
+            <>
+              {article.image && <img src={article.image} alt="" className="mt-4 w-full max-h-96 object-cover rounded-xl" />}
+              {article.lead && <p className="mt-4 text-lg font-semibold text-gray-800">{article.lead}</p>}
+              <div className="mt-4 space-y-4 text-gray-800 leading-relaxed">
+                {article.paragraphs.map((p, i) => <p key={i}>{p}</p>)}
+              </div>
+              {!article.lead && !article.paragraphs.length && (
+                <p className="mt-4 text-gray-500">Não foi possível extrair o texto desta matéria.</p>
+              )}
+              <div className="mt-6 pt-4 border-t">
+                <a
+                  href={original}
+                  target="_blank"
+                  rel="noreferrer"
+                  className="inline-block px-4 py-2 rounded-xl font-semibold"
+                  style={{ backgroundColor: color, color: '#fff' }}
+                >
+                  Abrir no site original
+                </a>
+              </div>
+            </>
+          )}
+        </div>
+      </motion.article>
+    </div>
+  )
+}
@@ -0,0 +1,85 @@
+
+import React from 'react'
+import { motion } from 'framer-motion'
+
+const STATUS_STYLES = {
+  ok: { label: 'OK', bg: '#dcfce7', fg: '#166534' },
+  pending: { label: 'Aguardando', bg: '#f1f5f9', fg: '#334155' },
+  degraded: { label: 'Instável', bg: '#fef9c3', fg: '#854d0e' },
+  empty: { label: 'Sem itens', bg: '#fee2e2', fg: '#991b1b' },
+  failing: { label: 'Falhando', bg: '#fee2e2', fg: '#991b1b' },
+}
+
+function formatTime(iso) {
+  if (!iso) return '—'
+  return new Intl.DateTimeFormat('pt-BR', { dateStyle: 'short', timeStyle: 'short', timeZone: 'America/Sao_Paulo' }).format(new Date(iso))
+}
+
+function formatDuration(ms) {
+  if (ms == null) return '—'
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`
+}
+
+export default function StatusPanel({ status, onClose }) {
+  if (!status) return null
+  return (
+    <motion.section
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-white rounded-2xl shadow-smooth border p-4 mb-8"
+    >
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-lg font-bold text-gray-900">Status das fontes</h2>
+        <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-800">Fechar</button>
+      </div>
+      <p className="text-xs text-gray-500 mb-3">
+        Fontes sem itens em {status.emptyRunsAlert} coletas seguidas (provável mudança de layout) ou com {status.emptyRunsAlert} falhas seguidas aparecem destacadas.
+      </p>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th className="py-2 pr-3">Fonte</th>
+              <th className="py-2 pr-3">Situação</th>
+              <th className="py-2 pr-3">Última tentativa</th>
+              <th className="py-2 pr-3">Último sucesso</th>
+              <th className="py-2 pr-3">Duração</th>
+              <th className="py-2 pr-3" title="Itens lidos / sem data / sem imagem / descartados pelo filtro de data">Itens (lidos · s/ data · s/ imagem · descartados)</th>
+              <th className="py-2">Erro recente</th>
+            </tr>
+          </thead>
+          <tbody>
+            {status.sources.map(s => {
+              const st = STATUS_STYLES[s.status] || STATUS_STYLES.pending
+              const run = s.lastRun
+              return (
+                <tr key={s.key} className="border-b last:border-0" style={s.alert ? { backgroundColor: '#fef2f2' } : undefined}>
+                  <td className="py-2 pr-3 font-semibold" style={{ color: s.color }}>{s.name}</td>
+                  <td className="py-2 pr-3">
+                    <span className="badge" style={{ backgroundColor: st.bg, color: st.fg }}>{st.label}</span>
+                    {s.refreshing && <span className="ml-1 text-xs text-gray-500">coletando…</span>}
+                    {s.consecutiveEmpty > 0 && <div className="text-xs text-gray-500">{s.consecutiveEmpty} coleta(s) vazia(s) seguidas</div>}
+                  </td>
+                  <td className="py-2 pr-3 whitespace-nowrap">{formatTime(s.lastAttemptAt)}</td>
+                  <td className="py-2 pr-3 whitespace-nowrap">{formatTime(s.lastSuccessAt)}</td>
+                  <td className="py-2 pr-3 whitespace-nowrap">{formatDuration(s.lastDurationMs)}</td>
+                  <td className="py-2 pr-3 whitespace-nowrap">
+                    {run ? `${run.parsed} · ${run.missingDate} · ${run.missingImage} · ${run.droppedByDate}` : '—'}
+                  </td>
+                  <td className="py-2 text-xs text-red-700 max-w-xs">
+                    {s.errors[0] ? (
+                      <span title={s.errors.map(e => `${formatTime(e.at)}: ${e.message}`).join('\n')}>
+                        {formatTime(s.errors[0].at)}: {s.errors[0].message}
+                        {s.errors.length > 1 && ` (+${s.errors.length - 1})`}
+                      </span>
+                    ) : '—'}
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+    </motion.section>
+  )
+}
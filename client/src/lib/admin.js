@@ -0,0 +1,51 @@
+// Administração das fontes: o token (ADMIN_TOKEN do servidor) fica só nesta aba
+const TOKEN_KEY = 'radar.adminToken'
+
+export function getAdminToken() {
+  return sessionStorage.getItem(TOKEN_KEY) || ''
+}
+
+export function setAdminToken(token) {
+  if (token) sessionStorage.setItem(TOKEN_KEY, token.trim())
+  else sessionStorage.removeItem(TOKEN_KEY)
+}
+
+async function call(path, options = {}) {
+  const res = await fetch(path, {
+    ...options,
+    headers: { Authorization: `Bearer ${getAdminToken()}`, 'Content-Type': 'application/json', ...(options.headers || {}) },
+  })
+  const json = await res.json().catch(() => ({}))
+  if (!res.ok) throw Object.assign(new Error(json.error || 'Falha na administração'), { status: res.status })
+  return json
+}
+
+export function fetchSources() {
+  return call('/api/admin/sources')
+}
+
+// Roda a definição uma vez no servidor, sem salvar
+export function testSource(def) {
+  return call('/api/admin/sources/test', { method: 'POST', body: JSON.stringify(def) })
+}
+
+// Cria (isNew) ou substitui a definição inteira
+export function saveSource(def, isNew) {
+  return isNew
+    ? call('/api/admin/sources', { method: 'POST', body: JSON.stringify(def) })
+    : call(`/api/admin/sources/${encodeURIComponent(def.key)}`, { method: 'PUT', body: JSON.stringify(def) })
+}
+
+export function setSourceEnabled(key, enabled) {
+  return call(`/api/admin/sources/${encodeURIComponent(key)}`, { method: 'PATCH', body: JSON.stringify({ enabled }) })
+}
+
+// Extrator do motor (texto ou lista) ↔ textarea com uma alternativa por linha
+export function extractorToText(value) {
+  return (Array.isArray(value) ? value : value ? [value] : []).join('\n')
+}
+
+export function textToExtractor(text) {
+  const list = text.split('\n').map(s => s.trim()).filter(Boolean)
+  return list.length > 1 ? list : list[0] || undefined
+}
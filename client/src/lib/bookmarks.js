@@ -0,0 +1,56 @@
+// Token pessoal dos salvos: gerado no navegador e guardado no localStorage.
+// Colar o mesmo token em outro aparelho traz os mesmos itens e notas.
+const TOKEN_KEY = 'radar.bookmarksToken'
+
+function randomToken() {
+  const bytes = new Uint8Array(18)
+  crypto.getRandomValues(bytes)
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('')
+}
+
+export function getToken() {
+  let token = localStorage.getItem(TOKEN_KEY)
+  if (!token) {
+    token = randomToken()
+    localStorage.setItem(TOKEN_KEY, token)
+  }
+  return token
+}
+
+export function setToken(token) {
+  localStorage.setItem(TOKEN_KEY, token.trim())
+}
+
+async function call(path, options = {}) {
+  const res = await fetch(path, {
+    ...options,
+    headers: { Authorization: `Bearer ${getToken()}`, 'Content-Type': 'application/json', ...(options.headers || {}) },
+  })
+  if (res.status === 204) return null
+  const json = await res.json().catch(() => ({}))
+  if (!res.ok) throw new Error(json.error || 'Falha ao acessar os salvos')
+  return json
+}
+
+export async function fetchBookmarks() {
+  return (await call('/api/bookmarks')).items
+}
+
+// Salva o item (com cópia de título/fonte/data/imagem) ou atualiza nota e etiquetas
+export function saveBookmark(item, source, patch = {}) {
+  return call('/api/bookmarks', {
+    method: 'POST',
+    body: JSON.stringify({
+      url: item.url,
+      title: item.title,
+      image: item.image,
+      publishedAt: item.publishedAt,
+      source: source ? { key: source.key } : undefined,
+      ...patch,
+    }),
+  })
+}
+
+export function removeBookmark(url) {
+  return call(`/api/bookmarks?url=${encodeURIComponent(url)}`, { method: 'DELETE' })
+}
@@ -4,3 +4,14 @@ export function formatPtBRDate(date) {
   const formatter = new Intl.DateTimeFormat('pt-BR', { weekday: 'long', day: '2-digit', month: 'long', year: 'numeric', hour: '2-digit', minute: '2-digit', hour12: false, timeZone: 'America/Sao_Paulo' })
   return formatter.format(d)
 }
+
+// Data "YYYY-MM-DD" no fuso de São Paulo (en-CA já formata nessa ordem)
+export function toSPDateKey(date = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', { year: 'numeric', month: '2-digit', day: '2-digit', timeZone: 'America/Sao_Paulo' }).format(new Date(date))
+}
+
+// "2025-11-04" → "04/11/2025"
+export function formatDateKey(key) {
+  const [y, m, d] = key.split('-')
+  return `${d}/${m}/${y}`
+}
@@ -0,0 +1,39 @@
+
+// Mesma normalização da busca no servidor: minúsculas e sem acentos
+function foldChar(ch) {
+  return ch.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+}
+
+const WORD = /[\p{L}\p{N}]/u
+
+// Divide o texto em trechos { text, match } marcando as ocorrências (início de palavra) dos termos
+export function highlightSegments(text, needles) {
+  if (!text || !needles?.length) return [{ text: text || '', match: false }]
+  const chars = [...text]
+
+  // Texto normalizado + índice do caractere original de cada posição
+  let folded = ''
+  const origin = []
+  chars.forEach((ch, i) => {
+    const f = foldChar(ch)
+    folded += f
+    for (let k = 0; k < f.length; k++) origin.push(i)
+  })
+
+  const marks = new Array(chars.length).fill(false)
+  for (const needle of needles) {
+    if (!needle) continue
+    for (let i = folded.indexOf(needle); i !== -1; i = folded.indexOf(needle, i + 1)) {
+      if (i > 0 && WORD.test(folded[i - 1])) continue
+      for (let j = i; j < i + needle.length; j++) marks[origin[j]] = true
+    }
+  }
+
+  const segments = []
+  chars.forEach((ch, i) => {
+    const last = segments[segments.length - 1]
+    if (last && last.match === marks[i]) last.text += ch
+    else segments.push({ text: ch, match: marks[i] })
+  })
+  return segments
+}
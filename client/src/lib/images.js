@@ -0,0 +1,16 @@
+// Imagens dos cartões via /api/img: reduzidas no servidor, em cache e, sem foto, com o placeholder da fonte
+function imageUrl(item, source, width) {
+  const params = new URLSearchParams({ w: String(width) })
+  if (item.image) params.set('url', item.image)
+  if (source?.key) params.set('source', source.key)
+  return `/api/img?${params}`
+}
+
+// src + srcSet nas larguras que o servidor gera (320, 480 e 960)
+export function cardImage(item, source) {
+  return {
+    src: imageUrl(item, source, 480),
+    srcSet: [320, 480, 960].map(w => `${imageUrl(item, source, w)} ${w}w`).join(', '),
+    sizes: '(min-width: 1024px) 33vw, (min-width: 640px) 50vw, 100vw',
+  }
+}
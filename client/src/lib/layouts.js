@@ -0,0 +1,69 @@
+// Visões da grade: os mesmos itens (já filtrados por fonte, período, tema e
+// busca) arrumados de outro jeito. A escolha fica no localStorage do aparelho,
+// como o token dos salvos.
+import { formatDateKey, toSPDateKey } from './format'
+
+const LAYOUT_KEY = 'radar.layout'
+
+export const LAYOUTS = [
+  { key: 'grid', label: 'Cartões' },
+  { key: 'timeline', label: 'Linha do tempo' },
+  { key: 'headlines', label: 'Manchetes' },
+  { key: 'columns', label: 'Por fonte' },
+]
+
+export function getLayout() {
+  const saved = localStorage.getItem(LAYOUT_KEY)
+  return LAYOUTS.some(l => l.key === saved) ? saved : 'grid'
+}
+
+export function saveLayout(key) {
+  localStorage.setItem(LAYOUT_KEY, key)
+}
+
+const hourFormat = new Intl.DateTimeFormat('en-GB', { hour: '2-digit', hourCycle: 'h23', timeZone: 'America/Sao_Paulo' })
+const weekdayFormat = new Intl.DateTimeFormat('pt-BR', { weekday: 'long', timeZone: 'America/Sao_Paulo' })
+
+// "Hoje", "Ontem" ou "segunda-feira, 03/11/2025" (dia em America/Sao_Paulo)
+export function dayLabel(key, now = Date.now()) {
+  if (key === toSPDateKey(now)) return 'Hoje'
+  if (key === toSPDateKey(now - 24 * 60 * 60 * 1000)) return 'Ontem'
+  // Meio-dia de Brasília: o dia da semana não escorrega com o fuso do navegador
+  return `${weekdayFormat.format(new Date(`${key}T12:00:00-03:00`))}, ${formatDateKey(key)}`
+}
+
+// Linha do tempo: dias do mais recente ao mais antigo, cada um dividido por hora.
+// Itens que só têm o dia (dateOnly) fecham o dia em "hour: null"; sem data, o último grupo (key null)
+export function groupTimeline(items) {
+  const days = new Map()
+  const undated = []
+  const sorted = [...items].sort((a, b) => new Date(b.publishedAt || 0) - new Date(a.publishedAt || 0))
+  for (const it of sorted) {
+    if (!it.publishedAt) { undated.push(it); continue }
+    const key = toSPDateKey(it.publishedAt)
+    const hour = it.dateOnly ? null : hourFormat.format(new Date(it.publishedAt))
+    if (!days.has(key)) days.set(key, new Map())
+    const hours = days.get(key)
+    if (!hours.has(hour)) hours.set(hour, [])
+    hours.get(hour).push(it)
+  }
+  const groups = [...days].map(([key, hours]) => ({
+    key,
+    // Map guarda a ordem de inserção (horas decrescentes); o bloco sem horário vai para o fim
+    hours: [...hours].map(([hour, list]) => ({ hour, items: list })).sort((a, b) => (a.hour === null) - (b.hour === null)),
+  }))
+  if (undated.length) groups.push({ key: null, hours: [{ hour: null, items: undated }] })
+  return groups
+}
+
+// Colunas por fonte, na ordem de sources (a de sources.json); fontes sem itens ficam de fora.
+// Itens de fontes fora da lista (salvos de uma fonte removida, por exemplo) vêm no fim
+export function groupBySource(items, sources) {
+  const columns = new Map(sources.map(s => [s.key, { source: s, items: [] }]))
+  for (const it of items) {
+    const key = it.__source?.key
+    if (!columns.has(key)) columns.set(key, { source: it.__source, items: [] })
+    columns.get(key).items.push(it)
+  }
+  return [...columns.values()].filter(c => c.items.length > 0)
+}
@@ -0,0 +1,53 @@
+// Atualizações ao vivo (/api/stream): itens que chegam ficam guardados até o
+// usuário clicar no aviso "N novas notícias" e só então entram na grade.
+
+const byDateDesc = (a, b) => new Date(b.publishedAt || 0) - new Date(a.publishedAt || 0)
+
+// Recebidos que ainda não estão no payload e cabem na janela pedida (sem repetições)
+export function pendingItems(data, incoming) {
+  if (!data?.window) return []
+  const since = new Date(data.window.since)
+  // Janela em horas é "últimas N horas" até agora: o limite final avança com o tempo
+  const until = data.window.mode === 'hours' ? null : new Date(data.window.until)
+  const known = new Map(data.sources.map(s => [s.key, new Set(s.items.map(it => it.url))]))
+  const seen = new Set()
+  return incoming.filter(({ item, source }) => {
+    const urls = known.get(source.key)
+    const id = `${source.key}|${item.url}`
+    if (!urls || urls.has(item.url) || seen.has(id)) return false
+    seen.add(id)
+    const t = new Date(item.publishedAt)
+    return t >= since && (!until || t <= until)
+  })
+}
+
+// Payload com os novos itens em cada fonte e, se houver, como grupos próprios na visão agrupada
+export function mergeItems(data, pending) {
+  if (!pending.length) return data
+  const sources = data.sources.map(s => {
+    const added = pending.filter(p => p.source.key === s.key).map(p => p.item)
+    return added.length ? { ...s, items: [...added, ...s.items].sort(byDateDesc) } : s
+  })
+  if (!data.clusters) return { ...data, sources }
+
+  const inClusters = new Set(data.clusters.flatMap(c => [c.primary.url, ...c.also.map(a => a.url)]))
+  const clusters = [
+    ...pending
+      .filter(p => !inClusters.has(p.item.url) && inClusters.add(p.item.url))
+      .map(p => ({ id: p.item.url, primary: { ...p.item, source: p.source }, also: [], size: 1 })),
+    ...data.clusters,
+  ]
+  clusters.sort((a, b) => byDateDesc(a.primary, b.primary))
+  return { ...data, sources, clusters }
+}
+
+// Aplica o evento "status" à fonte correspondente do payload
+export function patchSourceStatus(data, st) {
+  if (!data?.window || !data.sources.some(s => s.key === st.key)) return data
+  return {
+    ...data,
+    sources: data.sources.map(s => (s.key === st.key
+      ? { ...s, refreshing: st.refreshing, updatedAt: st.updatedAt, error: st.error }
+      : s)),
+  }
+}
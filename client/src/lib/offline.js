@@ -0,0 +1,19 @@
+// Leitura sem rede: service worker (public/sw.js) e o texto do aviso "offline"
+
+// Só no build: no `vite dev` o service worker serviria módulos velhos ao recarregar
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(e => console.warn('Service worker não registrado:', e))
+  })
+}
+
+// "14:32" para dados de hoje, "04/11 14:32" para dias anteriores (horário de São Paulo)
+export function offlineDataTime(iso, now = new Date()) {
+  if (!iso) return null
+  const tz = { timeZone: 'America/Sao_Paulo' }
+  const day = (d) => new Intl.DateTimeFormat('pt-BR', { ...tz, day: '2-digit', month: '2-digit' }).format(d)
+  const d = new Date(iso)
+  const time = new Intl.DateTimeFormat('pt-BR', { ...tz, hour: '2-digit', minute: '2-digit' }).format(d)
+  return day(d) === day(now) ? time : `${day(d)} ${time}`
+}
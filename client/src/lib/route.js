@@ -0,0 +1,115 @@
+// Rotas do cliente. O estado da grade mora na URL, para que links possam ser
+// compartilhados e o "voltar" do navegador funcione:
+//   /                 todas as fontes          /fonte/:key   uma fonte
+//   /salvos           aba Salvos               /item/:id     uma notícia (Open Graph no servidor)
+//   /admin            administração das fontes
+// Filtros na query: periodo (today, 48h, 7d ou custom com de/ate; padrão hoje e ontem),
+// tema, q (busca), agrupar=0 e arquivo=YYYY-MM-DD (modo arquivo).
+import { toSPDateKey } from './format'
+
+const ROUTE_EVENT = 'radar:route'
+const DEFAULT_PERIOD = '2d'
+const PERIOD_KEYS = ['today', '2d', '48h', '7d', 'custom'] // mesmas chaves de PERIODS em App.jsx
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/
+
+function yesterdayKey() {
+  return toSPDateKey(Date.now() - 24 * 60 * 60 * 1000)
+}
+
+export function parseRoute(loc = window.location) {
+  let path
+  try {
+    path = decodeURIComponent(loc.pathname).replace(/\/+$/, '') || '/'
+  } catch {
+    // Escape inválido (/fonte/%E0): a grade com todas as fontes, como qualquer caminho desconhecido
+    return { page: 'radar', tab: 'all', params: new URLSearchParams(loc.search) }
+  }
+  let m
+  if (path === '/admin') return { page: 'admin' }
+  if ((m = path.match(/^\/item\/([\w-]+)$/))) return { page: 'item', id: m[1] }
+  const tab = (m = path.match(/^\/fonte\/([\w-]+)$/)) ? m[1] : path === '/salvos' ? 'saved' : 'all'
+  return { page: 'radar', tab, params: new URLSearchParams(loc.search) }
+}
+
+// Estado da grade a partir da rota; valores inválidos na URL caem no padrão
+export function radarView({ tab = 'all', params = new URLSearchParams() } = {}) {
+  const key = PERIOD_KEYS.includes(params.get('periodo')) ? params.get('periodo') : DEFAULT_PERIOD
+  const de = DATE_RE.test(params.get('de') || '') ? params.get('de') : yesterdayKey()
+  const ate = DATE_RE.test(params.get('ate') || '') ? params.get('ate') : toSPDateKey()
+  const arquivo = DATE_RE.test(params.get('arquivo') || '') ? params.get('arquivo') : null
+  return {
+    active: tab,
+    period: { key, since: de, until: ate },
+    activeTopic: params.get('tema') || 'all',
+    q: (params.get('q') || '').trim(),
+    clustered: params.get('agrupar') !== '0',
+    mode: arquivo ? 'archive' : 'live',
+    archiveDate: arquivo || yesterdayKey(),
+  }
+}
+
+// Caminho + query de um estado da grade, omitindo o que está no padrão
+export function radarPath(view) {
+  const path = view.active === 'saved' ? '/salvos' : view.active && view.active !== 'all' ? sourcePath(view.active) : '/'
+  const params = new URLSearchParams()
+  if (view.mode === 'archive') params.set('arquivo', view.archiveDate)
+  else if (view.period.key !== DEFAULT_PERIOD) {
+    params.set('periodo', view.period.key)
+    if (view.period.key === 'custom') {
+      params.set('de', view.period.since)
+      params.set('ate', view.period.until)
+    }
+  }
+  if (view.activeTopic && view.activeTopic !== 'all') params.set('tema', view.activeTopic)
+  if (view.q) params.set('q', view.q)
+  if (!view.clustered) params.set('agrupar', '0')
+  const query = params.toString()
+  return query ? `${path}?${query}` : path
+}
+
+export function sourcePath(key) {
+  return `/fonte/${encodeURIComponent(key)}`
+}
+
+export function itemPath(id) {
+  return `/item/${id}`
+}
+
+// replace: troca a entrada do histórico (digitação na busca) em vez de criar outra
+export function navigate(url, { replace = false } = {}) {
+  if (url === window.location.pathname + window.location.search) return
+  window.history[replace ? 'replaceState' : 'pushState'](null, '', url)
+  window.dispatchEvent(new Event(ROUTE_EVENT))
+}
+
+export function onRouteChange(fn) {
+  window.addEventListener('popstate', fn)
+  window.addEventListener(ROUTE_EVENT, fn)
+  return () => {
+    window.removeEventListener('popstate', fn)
+    window.removeEventListener(ROUTE_EVENT, fn)
+  }
+}
+
+// Links internos: clique simples navega sem recarregar; Ctrl/⌘/botão do meio abrem outra aba
+export function followLink(e, url) {
+  if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return
+  e.preventDefault()
+  navigate(url)
+  window.scrollTo(0, 0)
+}
+
+// Compartilha o link permanente (menu nativo no celular; no desktop, copia)
+export async function shareItem(item) {
+  const url = `${window.location.origin}${itemPath(item.id)}`
+  if (navigator.share) {
+    try {
+      await navigator.share({ title: item.title, url })
+      return 'shared'
+    } catch (e) {
+      if (e.name === 'AbortError') return null
+    }
+  }
+  await navigator.clipboard.writeText(url)
+  return 'copied'
+}
@@ -1,7 +1,20 @@
-
-import React from 'react'
+import React, { useEffect, useState } from 'react'
 import { createRoot } from 'react-dom/client'
 import App from './App'
+import AdminPage from './components/AdminPage'
+import ItemPage from './components/ItemPage'
+import { registerServiceWorker } from './lib/offline'
+import { onRouteChange, parseRoute } from './lib/route'
 import './styles.css'
 
-createRoot(document.getElementById('root')).render(<App />)
+// Escolhe a página pela URL (ver lib/route.js) e acompanha navegação e "voltar"
+function Root() {
+  const [route, setRoute] = useState(() => parseRoute())
+  useEffect(() => onRouteChange(() => setRoute(parseRoute())), [])
+  if (route.page === 'admin') return <AdminPage />
+  if (route.page === 'item') return <ItemPage id={route.id} />
+  return <App route={route} />
+}
+
+createRoot(document.getElementById('root')).render(<Root />)
+registerServiceWorker()
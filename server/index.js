@@ -1,654 +1,686 @@
 // server/index.js
 import express from "express";
-import fetch from "node-fetch";
-import * as cheerio from "cheerio";
+import fs from "fs";
+import crypto from "crypto";
 import dayjs from "dayjs";
-import utc from "dayjs/plugin/utc.js";
-import timezone from "dayjs/plugin/timezone.js";
-import customParseFormat from "dayjs/plugin/customParseFormat.js";
-import localizedFormat from "dayjs/plugin/localizedFormat.js";
 import cors from "cors";
 import path from "path";
 import { fileURLToPath } from "url";
+import { DEFAULT_TZ, describeWindow, parseWindow, withinWindow } from "./lib/dates.js";
+import { readArticle, runSource } from "./lib/engine.js";
+import {
+  activeSourceDefinitions,
+  addSourceDefinition,
+  listSourceDefinitions,
+  normalizeDefinition,
+  openSourceRegistry,
+  registryFile,
+  replaceSourceDefinition,
+  setSourceEnabled,
+} from "./lib/registry.js";
+import { renderAtom, renderJsonFeed, renderRss } from "./lib/syndication.js";
+import {
+  archiveDays,
+  archivedItem,
+  archivedItemById,
+  archivedItems,
+  flushArchive,
+  isArchivedImage,
+  itemId,
+  openArchive,
+  queryArchive,
+  recordItems,
+} from "./lib/archive.js";
+import { indexArticleText, indexItem, indexSize, search } from "./lib/search.js";
+import { cachedArticleTexts, flushArticleCache, openArticleCache } from "./lib/articles.js";
+import { openHttpCache } from "./lib/http.js";
+import { DEFAULT_IMAGE_WIDTH, IMAGE_WIDTHS, openImageCache, placeholder, thumbnail } from "./lib/images.js";
+import { buildClipping, previousDay, renderClippingHtml, sendClipping } from "./lib/clipping.js";
+import { mailConfig, scheduleDaily } from "./lib/mailer.js";
+import { broadcast, openStream } from "./lib/stream.js";
+import { describeAlerts, evaluateAlerts, flushAlertState, loadAlertRules, openAlertState } from "./lib/alerts.js";
+import { flushBookmarks, listBookmarks, openBookmarks, removeBookmark, saveBookmark, userFromToken } from "./lib/bookmarks.js";
+import { listTopics, loadTopics, tagItem } from "./lib/tagger.js";
+import { clusterItems } from "./lib/cluster.js";
+import { EMPTY_RUNS_ALERT, recordRun, sourceHealth } from "./lib/health.js";
+import { getJob, isRefreshing, requestRefresh, syncSchedule } from "./lib/scheduler.js";
 
-dayjs.extend(utc);
-dayjs.extend(timezone);
-dayjs.extend(customParseFormat);
-dayjs.extend(localizedFormat);
-
-const DEFAULT_TZ = "America/Sao_Paulo";
 const PORT = process.env.PORT || 4000;
 
-/* ====================== UTILS ====================== */
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+// Endereço público do site, usado nos links de e-mails (sem requisição não há como descobrir o host)
+const PUBLIC_URL = process.env.PUBLIC_URL || null;
 
-// Fetch com timeout + headers reais (evita bloqueios)
-async function safeFetch(url, opts = {}) {
-  const controller = new AbortController();
-  const timeoutMs = opts.timeout ?? 20000;
-  const to = setTimeout(() => controller.abort(new Error("timeout")), timeoutMs);
-  try {
-    const res = await fetch(url, {
-      ...opts,
-      signal: controller.signal,
-      headers: {
-        "User-Agent":
-          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36",
-        Accept:
-          "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
-        "Accept-Language": "pt-BR,pt;q=0.9,en;q=0.8,es;q=0.7",
-        ...(opts.headers || {}),
-      },
-    });
-    if (!res.ok) throw new Error(`HTTP ${res.status} on ${url}`);
-    return await res.text();
-  } finally {
-    clearTimeout(to);
-  }
-}
+/* ====================== REGISTRO DE FONTES ====================== */
 
-function normalizeWhitespace(s) {
-  return (s || "").replace(/\s+/g, " ").trim();
-}
+// Fontes declaradas em sources.json (seletores + URL); o motor genérico executa cada uma.
+// Alterações feitas em /api/admin/sources ficam em DATA_DIR/sources.json (ver lib/registry.js)
+const SOURCES_FILE = process.env.SOURCES_FILE || path.join(__dirname, "sources.json");
+const sourceCount = openSourceRegistry({ seedFile: SOURCES_FILE, runtimeFile: path.join(DATA_DIR, "sources.json") });
+console.log(`Fontes: ${sourceCount} definições de ${registryFile()}`);
+// Fontes ativas com o coletor de cada uma; refeita a cada alteração no registro
+let SOURCES = [];
 
-// Mapas de meses PT/ES (para "4 de novembro de 2025", etc.)
-const MONTHS_PT = {
-  janeiro: 1, jan: 1,
-  fevereiro: 2, fev: 2,
-  março: 3, mar: 3, marco: 3,
-  abril: 4, abr: 4,
-  maio: 5, mai: 5,
-  junho: 6, jun: 6,
-  julho: 7, jul: 7,
-  agosto: 8, ago: 8,
-  setembro: 9, set: 9, "setembro.": 9,
-  outubro: 10, out: 10,
-  novembro: 11, nov: 11,
-  dezembro: 12, dez: 12,
-};
-const MONTHS_ES = {
-  enero: 1, ene: 1,
-  febrero: 2, feb: 2,
-  marzo: 3, mar: 3,
-  abril: 4, abr: 4,
-  mayo: 5, may: 5,
-  junio: 6, jun: 6,
-  julio: 7, jul: 7,
-  agosto: 8, ago: 8,
-  septiembre: 9, sep: 9, setiembre: 9, set: 9,
-  octubre: 10, oct: 10,
-  noviembre: 11, nov: 11,
-  diciembre: 12, dic: 12,
-};
+/* ====================== TEMAS ====================== */
 
-// Tenta converter "4 de novembro de 2025 18:45" → ISO
-function parseNamedMonth(text) {
-  if (!text) return null;
-  const t = text
-    .toLowerCase()
-    .replace(/[–—−]/g, "-")
-    .replace(/\bàs?\s+/i, " ")
-    .replace(/(\d{1,2})h(\d{2})/g, "$1:$2")
-    .replace(/(\d{1,2})h\b/g, "$1:00");
-
-  const m = t.match(
-    /(\d{1,2})\s*(?:de)?\s*([a-zçéíóúñãõâêôü\.]+)\s*(?:de)?\s*(\d{4})(?:\s+(\d{1,2}:\d{2}))?/i
-  );
-  if (!m) return null;
-
-  const dd = m[1].padStart(2, "0");
-  const monRaw = m[2].replace(/\.$/, "");
-  const yyyy = m[3];
-  const hhmm = m[4] || "12:00";
-
-  let mon = MONTHS_PT[monRaw] || MONTHS_ES[monRaw];
-  if (!mon) return null;
-  const mm = String(mon).padStart(2, "0");
-  const iso = `${yyyy}-${mm}-${dd}T${hhmm}:00`;
-  const d = dayjs.tz(iso, DEFAULT_TZ);
-  return d.isValid() ? d.toISOString() : null;
+// Dicionário de temas editável (palavras-chave pt/es/en); reinicie o servidor após editar
+const TOPICS_FILE = process.env.TOPICS_FILE || path.join(__dirname, "topics.json");
+loadTopics(TOPICS_FILE);
+
+/* ====================== ALERTAS ====================== */
+
+// Regras de alerta por webhook (contêm URLs secretas; o arquivo fica fora do git)
+const ALERTS_FILE = process.env.ALERTS_FILE || path.join(__dirname, "alerts.json");
+const alertRules = loadAlertRules(ALERTS_FILE);
+if (alertRules) console.log(`Alertas: ${alertRules} regra(s) de ${ALERTS_FILE}`);
+
+/* ====================== ARQUIVO ====================== */
+
+const archivedCount = openArchive(path.join(DATA_DIR, "archive.json"));
+console.log(`Arquivo: ${archivedCount} notícias carregadas de ${DATA_DIR}`);
+
+// Matérias já lidas (não são baixadas de novo) e respostas HTTP para GET condicional
+const articleCount = openArticleCache(path.join(DATA_DIR, "articles.json"));
+const httpCacheCount = openHttpCache(path.join(DATA_DIR, "http-cache"));
+const imageCount = openImageCache(path.join(DATA_DIR, "img-cache"));
+console.log(`Cache: ${articleCount} matérias, ${httpCacheCount} respostas HTTP, ${imageCount} miniaturas`);
+
+// Deduplicação e fila de envios dos alertas
+openAlertState(path.join(DATA_DIR, "alerts-state.json"));
+
+// Itens salvos e notas dos usuários (por token)
+openBookmarks(path.join(DATA_DIR, "bookmarks.json"));
+
+// Índice de busca começa com os títulos já arquivados e o texto das matérias em cache
+for (const it of archivedItems()) {
+  for (const key of it.sources) indexItem(key, it);
 }
+for (const [url, text] of cachedArticleTexts()) indexArticleText(url, text);
+console.log(`Busca: ${indexSize()} notícias indexadas`);
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => {
+    flushArchive();
+    flushArticleCache();
+    flushBookmarks();
+    flushAlertState();
+    process.exit(0);
+  });
+}
+
+/* ====================== CACHE + API ====================== */
 
-// Parser de datas: ISO → formatos numéricos → nome de mês (pt/es/en)
-function parseDateTime(raw) {
-  if (!raw) return null;
+// Última coleta de cada fonte: { data, at, error, errorAt }. Em caso de falha os dados anteriores são mantidos.
+const cache = new Map();
 
-  // ISO em atributos
-  const isoMatch = raw.match(
-    /\d{4}-\d{2}-\d{2}([Tt ]\d{2}:\d{2}(:\d{2})?([+-]\d{2}:?\d{2}|Z)?)?/
-  );
-  if (isoMatch) {
-    const d = dayjs.tz(isoMatch[0], DEFAULT_TZ);
-    if (d.isValid()) return d.toISOString();
-  }
+// Situação de uma fonte para o evento "status" do /api/stream
+function broadcastStatus(src, refreshing) {
+  const cached = cache.get(src.key);
+  broadcast("status", {
+    key: src.key,
+    refreshing,
+    updatedAt: cached?.at ? new Date(cached.at).toISOString() : null,
+    error: cached?.error || null,
+    health: sourceHealth(src.key),
+  });
+}
 
-  // Normalizações
-  let cleaned = normalizeWhitespace(raw)
-    .replace(/\|/g, " ")
-    .replace(/Publicado em:?\s*/i, "")
-    .replace(/Publicada em:?\s*/i, "")
-    .replace(/Atualizado em:?\s*/i, "")
-    .replace(/[–—−]/g, "-")
-    .replace(/\bàs?\s+/i, " ")
-    .replace(/(\d{1,2})h(\d{2})/g, "$1:$2")
-    .replace(/(\d{1,2})h\b/g, "$1:00");
-
-  // Formatos numéricos comuns
-  const numericFormats = [
-    "DD/MM/YYYY HH:mm",
-    "DD/MM/YYYY",
-    "D/M/YYYY",
-    "DD-MM-YYYY HH:mm",
-    "DD-MM-YYYY",
-    "DD.MM.YYYY HH:mm",
-    "DD.MM.YYYY",
-  ];
-  for (const fmt of numericFormats) {
-    const d = dayjs.tz(cleaned, fmt, DEFAULT_TZ);
-    if (d.isValid()) return d.toISOString();
+async function refreshSource(src) {
+  const startedAt = Date.now();
+  broadcastStatus(src, true);
+  try {
+    const data = await src.fetcher();
+    recordRun(src.key, { startedAt, finishedAt: Date.now(), items: data, win: parseWindow() });
+    cache.set(src.key, { data, at: Date.now(), error: null, errorAt: null });
+    const fresh = recordItems(src.key, data);
+    for (const it of data) indexItem(src.key, it);
+    // Alertas e abas abertas só recebem o que esta fonte ainda não tinha listado;
+    // evaluateAlerts roda mesmo sem novidades, para marcar a primeira coleta da fonte
+    const tagged = fresh.map((it) => ({ ...it, tags: tagItem(it) }));
+    evaluateAlerts(src, tagged);
+    if (tagged.length) {
+      broadcast("items", {
+        source: { key: src.key, name: src.name, color: src.color },
+        items: tagged.filter((it) => it.title && it.url && it.publishedAt).map((it) => newsItem(it, { summary: true })),
+      });
+    }
+    return data;
+  } catch (e) {
+    recordRun(src.key, { startedAt, finishedAt: Date.now(), error: e?.message || String(e) });
+    const prev = cache.get(src.key);
+    cache.set(src.key, { data: prev?.data || [], at: prev?.at || null, error: e?.message || String(e), errorAt: Date.now() });
+    console.error(`[${src.key}] ${e?.message || e}`);
+    throw e;
+  } finally {
+    broadcastStatus(src, false);
   }
+}
 
-  // Inglês com nome de mês
-  const englishFormats = [
-    "D MMMM YYYY HH:mm",
-    "D MMMM YYYY",
-    "MMMM D, YYYY HH:mm",
-    "MMMM D, YYYY",
-  ];
-  for (const fmt of englishFormats) {
-    const d = dayjs.tz(cleaned, fmt, DEFAULT_TZ);
-    if (d.isValid()) return d.toISOString();
-  }
+// Coleta periódica em segundo plano; /api/news só lê o cache. Reaplicado quando a administração muda as fontes
+function applySources() {
+  SOURCES = activeSourceDefinitions().map((def) => ({
+    ...def,
+    // A janela padrão (hoje e ontem) decide até onde a paginação desce
+    fetcher: () => runSource(def, { window: parseWindow() }),
+  }));
+  syncSchedule(SOURCES, refreshSource);
+}
+applySources();
+
+// Monta o payload de /api/news a partir do cache (nunca espera por coleta); summary: inclui o resumo de cada item
+function buildNewsPayload(selected, win, { summary = false } = {}) {
+  const now = dayjs().tz(DEFAULT_TZ);
+  // Janelas maiores que a listagem atual (e o arranque a frio) são completadas com o arquivo
+  const archived = queryArchive({ start: win.start, end: win.end, sources: selected.map((s) => s.key) });
+
+  return {
+    tz: DEFAULT_TZ,
+    generatedAt: now.toISOString(),
+    window: describeWindow(win),
+    topics: listTopics(),
+    sources: selected.map((s) => {
+      const cached = cache.get(s.key);
+      const live = cached?.data || [];
+      const liveUrls = new Set(live.map((it) => it.url));
+      const list = [...live, ...(archived.get(s.key) || []).filter((it) => !liveUrls.has(it.url))];
+      return {
+        key: s.key,
+        name: s.name,
+        color: s.color,
+        url: s.url,
+        items: filterAndSort(list, win).map((it) => newsItem(it, { summary })),
+        updatedAt: cached?.at ? new Date(cached.at).toISOString() : null,
+        refreshing: isRefreshing(s.key),
+        error: cached?.error || null,
+      };
+    }),
+  };
+}
 
-  // PT/ES com nome de mês
-  const named = parseNamedMonth(cleaned);
-  if (named) return named;
+// Forma pública de um item em /api/news e no evento "items" do /api/stream
+function newsItem(it, { summary = false } = {}) {
+  return {
+    id: itemId(it.url),
+    title: it.title,
+    url: it.url,
+    image: it.image,
+    publishedAt: it.publishedAt,
+    ...(it.dateOnly ? { dateOnly: true } : {}),
+    tags: it.tags || tagItem(it),
+    ...(summary ? { summary: it.summary || null } : {}),
+  };
+}
 
-  // Último recurso: dd/mm/yyyy (ou -, .) com hora opcional
-  const dmY = cleaned.match(
-    /(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{4})(?:\s+(\d{1,2}:\d{2}))?/
+function buildClusters(payload) {
+  const flat = payload.sources.flatMap((s) =>
+    s.items.map((it) => ({ ...it, source: { key: s.key, name: s.name, color: s.color } }))
   );
-  if (dmY) {
-    const [, dd, mm, yyyy, hhmm] = dmY;
-    const s = `${yyyy}-${mm.padStart(2, "0")}-${dd.padStart(2, "0")}${
-      hhmm ? "T" + hhmm + ":00" : "T12:00:00"
-    }`;
-    const d = dayjs.tz(s, DEFAULT_TZ);
-    if (d.isValid()) return d.toISOString();
-  }
+  return clusterItems(flat);
+}
 
-  return null;
+function selectSources(query) {
+  const only = query.sources ? String(query.sources).split(",").map((s) => s.trim()) : null;
+  return only ? SOURCES.filter((s) => only.includes(s.key)) : SOURCES;
 }
 
-// Somente hoje e ontem (inclusivo) no fuso de SP
-function withinLastTwoDays(iso, tz = DEFAULT_TZ) {
-  if (!iso) return false;
-  const now = dayjs().tz(tz);
-  const startToday = now.startOf("day");
-  const startYesterday = startToday.subtract(1, "day");
-  const endToday = startToday.endOf("day");
-  const d = dayjs.tz(iso, tz);
-  return d.valueOf() >= startYesterday.valueOf() && d.valueOf() <= endToday.valueOf();
+function filterAndSort(items, win) {
+  const kept = items.filter((it) => it && it.title && it.url && it.publishedAt && withinWindow(it.publishedAt, win));
+  kept.sort((a, b) => dayjs(b.publishedAt).valueOf() - dayjs(a.publishedAt).valueOf());
+  return kept;
 }
 
-// Busca meta (imagem + data) na página da matéria
-async function fetchArticleMeta(url) {
+/* ====================== APP ====================== */
+
+const app = express();
+app.set("trust proxy", true); // Render/Railway ficam atrás de proxy: protocolo/host corretos nos links dos feeds
+app.use(cors());
+app.use(express.json({ limit: "100kb" }));
+
+// Health opcional
+app.get("/healthz", (req, res) => res.type("text/plain").send("ok"));
+
+// Agregado tolerante a falhas por fonte
+app.get("/api/news", (req, res) => {
+  let win;
   try {
-    const html = await safeFetch(url);
-    const $ = cheerio.load(html);
-
-    const ogImage =
-      $('meta[property="og:image"]').attr("content") ||
-      $('meta[name="twitter:image"]').attr("content") ||
-      null;
-
-    const ogTime =
-      $('meta[property="article:published_time"]').attr("content") ||
-      $('meta[property="article:modified_time"]').attr("content") ||
-      $('meta[property="og:updated_time"]').attr("content") ||
-      $('meta[name="dc.date"]').attr("content") ||
-      $('meta[name="date"]').attr("content") ||
-      $('meta[itemprop="datePublished"]').attr("content") ||
-      $('meta[itemprop="dateModified"]').attr("content") ||
-      $("time[datetime]").attr("datetime") ||
-      null;
-
-    const publishedAt = parseDateTime(ogTime) || null;
-    return { ogImage, publishedAt };
+    win = parseWindow(req.query);
   } catch (e) {
-    return { ogImage: null, publishedAt: null };
+    return res.status(400).json({ error: e.message });
   }
-}
 
-/* ====================== SCRAPERS ====================== */
-
-async function scrapeUNNewsPT() {
-  const url = "https://news.un.org/pt/news?page=0";
-  const html = await safeFetch(url);
-  const $ = cheerio.load(html);
-  const items = [];
-  $(".view-content .views-row").each((_, el) => {
-    const title = normalizeWhitespace($(el).find("h2 a").text());
-    const link = $(el).find("h2 a").attr("href");
-    const img = $(el).find("img").attr("src");
-    const timeText =
-      $(el).find("time").attr("datetime") ||
-      $(el).find(".views-field-created .field-content").text();
-    const publishedAt = parseDateTime(timeText);
-    if (title && link) {
-      items.push({
-        title,
-        url: link.startsWith("http") ? link : `https://news.un.org${link}`,
-        image: img && (img.startsWith("http") ? img : `https://news.un.org${img}`),
-        publishedAt,
-      });
-    }
-  });
-  for (const it of items) {
-    if (!it.image || !it.publishedAt) {
-      const meta = await fetchArticleMeta(it.url);
-      it.image = it.image || meta.ogImage;
-      it.publishedAt = it.publishedAt || meta.publishedAt;
-    }
+  try {
+    const selected = selectSources(req.query);
+    // summary=true: inclui o resumo extrativo de cada item (quando a matéria já foi lida)
+    const payload = buildNewsPayload(selected, win, { summary: req.query.summary === "true" || req.query.summary === "1" });
+    // force=true: enfileira uma recoleta e responde já com os dados atuais
+    if (req.query.force) payload.refresh = requestRefresh(selected.map((s) => s.key));
+    // cluster=true: agrupa a mesma notícia vista em várias fontes (visão "Todas")
+    if (req.query.cluster === "true" || req.query.cluster === "1") payload.clusters = buildClusters(payload);
+    res.json(payload);
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
   }
-  return items;
-}
+});
 
-async function scrapeMRE() {
-  const url = "https://www.gov.br/mre/pt-br/canais_atendimento/imprensa/notas-a-imprensa";
-  const html = await safeFetch(url);
-  const $ = cheerio.load(html);
-  const items = [];
-  $(".listagem .item, .tileListaNoticias .item").each((_, el) => {
-    const a = $(el).find("a").first();
-    const title = normalizeWhitespace(a.text());
-    const link = a.attr("href");
-    const img = $(el).find("img").attr("data-src") || $(el).find("img").attr("src");
-    const timeText = $(el).find("time").attr("datetime") || $(el).find(".data, .data-publicacao").text();
-    const publishedAt = parseDateTime(timeText);
-    if (title && link) {
-      items.push({
-        title,
-        url: link.startsWith("http") ? link : `https://www.gov.br${link}`,
-        image: img && (img.startsWith("http") ? img : `https://www.gov.br${img}`),
-        publishedAt,
-      });
-    }
-  });
-  for (const it of items) {
-    if (!it.image || !it.publishedAt) {
-      const meta = await fetchArticleMeta(it.url);
-      it.image = it.image || meta.ogImage;
-      it.publishedAt = it.publishedAt || meta.publishedAt;
-    }
-  }
-  return items;
-}
+// Atualizações ao vivo (SSE): itens novos e início/fim das coletas de cada fonte
+app.get("/api/stream", openStream);
 
-async function scrapeUNEP() {
-  const url = "https://www.unep.org/es/resources/filter/sort_by=publication_date/sort_order=desc/page=0";
-  const html = await safeFetch(url);
-  const $ = cheerio.load(html);
-  const items = [];
-  $(".view-content .views-row, .search-result").each((_, el) => {
-    const a = $(el).find("h3 a, h2 a").first();
-    const title = normalizeWhitespace(a.text());
-    const link = a.attr("href");
-    const img = $(el).find("img").attr("src");
-    const timeText = $(el).find("time").attr("datetime") || $(el).find(".date, .field--name-field-date").text();
-    const publishedAt = parseDateTime(timeText);
-    if (title && link) {
-      items.push({
-        title,
-        url: link.startsWith("http") ? link : `https://www.unep.org${link}`,
-        image: img && (img.startsWith("http") ? img : `https://www.unep.org${img}`),
-        publishedAt,
-      });
-    }
-  });
-  for (const it of items) {
-    if (!it.image || !it.publishedAt) {
-      const meta = await fetchArticleMeta(it.url);
-      it.image = it.image || meta.ogImage;
-      it.publishedAt = it.publishedAt || meta.publishedAt;
+// Feeds do radar (RSS 2.0, Atom, JSON Feed 1.1) com os mesmos filtros de /api/news
+const FEED_FORMATS = {
+  "feed.xml": { type: "application/rss+xml; charset=utf-8", render: renderRss },
+  "feed.atom": { type: "application/atom+xml; charset=utf-8", render: renderAtom },
+  "feed.json": { type: "application/feed+json; charset=utf-8", render: (p, o) => JSON.stringify(renderJsonFeed(p, o)) },
+};
+
+for (const [file, format] of Object.entries(FEED_FORMATS)) {
+  app.get(`/api/${file}`, (req, res) => {
+    let win;
+    try {
+      win = parseWindow(req.query);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
     }
-  }
-  return items;
-}
 
-async function scrapeUNFCCC() {
-  const url = "https://unfccc.int/news";
-  const html = await safeFetch(url);
-  const $ = cheerio.load(html);
-  const items = [];
-  $(".view-content .views-row, article, .news-listing .news-item").each((_, el) => {
-    const a = $(el).find("h2 a, h3 a").first();
-    const title = normalizeWhitespace(a.text());
-    const link = a.attr("href");
-    const img = $(el).find("img").attr("src");
-    const timeText = $(el).find("time").attr("datetime") || $(el).find(".date").text();
-    const publishedAt = parseDateTime(timeText);
-    if (title && link) {
-      items.push({
-        title,
-        url: link.startsWith("http") ? link : `https://unfccc.int${link}`,
-        image: img && (img.startsWith("http") ? img : `https://unfccc.int${img}`),
-        publishedAt,
-      });
+    try {
+      const payload = buildNewsPayload(selectSources(req.query), win);
+      const origin = `${req.protocol}://${req.get("host")}`;
+      res.type(format.type).send(format.render(payload, { siteUrl: `${origin}/`, selfUrl: `${origin}${req.originalUrl}` }));
+    } catch (e) {
+      res.status(500).json({ error: String(e) });
     }
   });
-  for (const it of items) {
-    if (!it.image || !it.publishedAt) {
-      const meta = await fetchArticleMeta(it.url);
-      it.image = it.image || meta.ogImage;
-      it.publishedAt = it.publishedAt || meta.publishedAt;
-    }
-  }
-  return items;
 }
 
-async function scrapeRelacoesExteriores() {
-  const url = "https://relacoesexteriores.com.br/analises/artigo/";
-  const html = await safeFetch(url);
-  const $ = cheerio.load(html);
-  const items = [];
-  $("article").each((_, el) => {
-    const a = $(el).find("h2 a, .entry-title a").first();
-    const title = normalizeWhitespace(a.text());
-    const link = a.attr("href");
-    const img = $(el).find("img").attr("src");
-    const timeText = $(el).find("time").attr("datetime") || $(el).find(".posted-on").text();
-    const publishedAt = parseDateTime(timeText);
-    if (title && link) {
-      items.push({ title, url: link, image: img, publishedAt });
-    }
-  });
-  for (const it of items) {
-    if (!it.image || !it.publishedAt) {
-      const meta = await fetchArticleMeta(it.url);
-      it.image = it.image || meta.ogImage;
-      it.publishedAt = it.publishedAt || meta.publishedAt;
-    }
+// Regras de alerta e contadores de envio (sem as URLs dos webhooks)
+app.get("/api/alerts", (req, res) => {
+  res.json({ rules: describeAlerts() });
+});
+
+// Clipping do dia (padrão: ontem) agrupado por fonte, como página para imprimir
+app.get("/api/clipping", (req, res) => {
+  let clipping;
+  try {
+    clipping = buildClipping(selectSources(req.query), String(req.query.date || previousDay()));
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
   }
-  return items;
-}
+  const origin = `${req.protocol}://${req.get("host")}`;
+  res.type("html").send(renderClippingHtml(clipping, { siteUrl: PUBLIC_URL || `${origin}/`, printable: true }));
+});
 
-async function scrapeMMA() {
-  const url = "https://www.gov.br/mma/pt-br/noticias";
-  const html = await safeFetch(url);
-  const $ = cheerio.load(html);
-  const items = [];
-  $(".listagem .item, .tileListaNoticias .item").each((_, el) => {
-    const a = $(el).find("a").first();
-    const title = normalizeWhitespace(a.text());
-    const link = a.attr("href");
-    const img = $(el).find("img").attr("data-src") || $(el).find("img").attr("src");
-    const timeText = $(el).find("time").attr("datetime") || $(el).find(".data, .data-publicacao").text();
-    const publishedAt = parseDateTime(timeText);
-    if (title && link) {
-      items.push({
-        title,
-        url: link.startsWith("http") ? link : `https://www.gov.br${link}`,
-        image: img && (img.startsWith("http") ? img : `https://www.gov.br${img}`),
-        publishedAt,
-      });
-    }
+// Saúde de cada fonte: tentativas, duração, itens lidos/sem data/sem imagem/descartados e erros recentes
+app.get("/api/sources/status", (req, res) => {
+  res.json({
+    generatedAt: new Date().toISOString(),
+    emptyRunsAlert: EMPTY_RUNS_ALERT,
+    sources: selectSources(req.query).map((s) => ({
+      key: s.key,
+      name: s.name,
+      color: s.color,
+      refreshing: isRefreshing(s.key),
+      ...sourceHealth(s.key),
+    })),
   });
-  for (const it of items) {
-    if (!it.image || !it.publishedAt) {
-      const meta = await fetchArticleMeta(it.url);
-      it.image = it.image || meta.ogImage;
-      it.publishedAt = it.publishedAt || meta.publishedAt;
-    }
-  }
-  return items;
-}
+});
 
-async function scrapeInfoBRICS() {
-  const url = "https://infobrics.org/en/news/";
-  const html = await safeFetch(url);
-  const $ = cheerio.load(html);
-  const items = [];
-  $(".news-list .news-item, article, .content .news").each((_, el) => {
-    const a = $(el).find("a").first();
-    const title = normalizeWhitespace($(el).find("h3, h2").first().text() || a.text());
-    const link = a.attr("href");
-    const img = $(el).find("img").attr("src");
-    const timeText = $(el).find(".date, time").first().text() || $(el).find("time").attr("datetime");
-    const publishedAt = parseDateTime(timeText);
-    if (title && link) {
-      items.push({
-        title,
-        url: link.startsWith("http") ? link : `https://infobrics.org${link}`,
-        image: img && (img.startsWith("http") ? img : `https://infobrics.org${img}`),
-        publishedAt,
-      });
-    }
+// Recoleta manual em fila: devolve um job; o progresso sai em GET /api/refresh/:id
+app.post("/api/refresh", (req, res) => {
+  res.status(202).json(requestRefresh(selectSources(req.query).map((s) => s.key)));
+});
+
+app.get("/api/refresh/:id", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job não encontrado" });
+  res.json(job);
+});
+
+// Busca textual: q com termos e "frases", sources= opcional, limit (máx. 200)
+app.get("/api/search", (req, res) => {
+  const q = String(req.query.q || "").trim();
+  if (!q) return res.status(400).json({ error: "Informe o parâmetro q" });
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+  const selected = selectSources(req.query);
+  const byKey = new Map(SOURCES.map((s) => [s.key, s]));
+
+  const { terms, phrases, total, results } = search(q, {
+    sources: req.query.sources ? selected.map((s) => s.key) : null,
+    limit,
   });
-  for (const it of items) {
-    if (!it.image || !it.publishedAt) {
-      const meta = await fetchArticleMeta(it.url);
-      it.image = it.image || meta.ogImage;
-      it.publishedAt = it.publishedAt || meta.publishedAt;
-    }
+  res.json({
+    q,
+    terms,
+    phrases: phrases.map((p) => p.join(" ")),
+    total,
+    items: results.map(({ sources, ...it }) => {
+      const s = byKey.get(sources[0]);
+      return {
+        ...it,
+        id: itemId(it.url),
+        tags: tagItem(it),
+        source: s ? { key: s.key, name: s.name, color: s.color } : { key: sources[0], name: sources[0] },
+      };
+    }),
+  });
+});
+
+// Modo leitura: texto limpo de uma matéria já coletada (URLs desconhecidas são recusadas)
+app.get("/api/article", async (req, res) => {
+  const url = String(req.query.url || "").trim();
+  if (!url) return res.status(400).json({ error: "Informe o parâmetro url" });
+  const known = archivedItem(url);
+  if (!known) return res.status(404).json({ error: "Matéria não encontrada no radar" });
+
+  try {
+    const { text, ...article } = await readArticle(url);
+    indexArticleText(url, text);
+    const s = SOURCES.find((src) => known.sources.includes(src.key));
+    res.json({
+      url,
+      ...article,
+      title: known.title || article.title,
+      image: known.image || article.image,
+      publishedAt: known.publishedAt || article.publishedAt,
+      dateOnly: known.publishedAt ? Boolean(known.dateOnly) : article.dateOnly,
+      source: s ? { key: s.key, name: s.name, color: s.color } : null,
+    });
+  } catch (e) {
+    res.status(502).json({ error: `Não foi possível ler a matéria: ${e?.message || e}` });
   }
-  return items;
-}
+});
 
-async function scrapeIBGE() {
-  const url = "https://agenciadenoticias.ibge.gov.br/agencia-noticias.html";
-  const html = await safeFetch(url);
-  const $ = cheerio.load(html);
-  const items = [];
-  $(".noticiasGrid .row .lista-noticias a, .lista-noticias a").each((_, el) => {
-    const a = $(el);
-    const title = normalizeWhitespace(a.find(".titulo").text() || a.attr("title"));
-    const link = a.attr("href");
-    const img = a.find("img").attr("data-src") || a.find("img").attr("src");
-    const timeText = a.find(".data-publicacao, time").text() || a.find("time").attr("datetime");
-    const publishedAt = parseDateTime(timeText);
-    if (title && link) {
-      items.push({
-        title,
-        url: link.startsWith("http") ? link : `https://agenciadenoticias.ibge.gov.br${link}`,
-        image: img && (img.startsWith("http") ? img : `https://agenciadenoticias.ibge.gov.br${img}`),
-        publishedAt,
-      });
-    }
+/* ---------- Links permanentes (/item/:id) ---------- */
+
+function itemSources(known) {
+  return known.sources.map((key) => {
+    const def = listSourceDefinitions().find((d) => d.key === key);
+    return def ? { key: def.key, name: def.name, color: def.color } : { key, name: key };
   });
-  for (const it of items) {
-    if (!it.image || !it.publishedAt) {
-      const meta = await fetchArticleMeta(it.url);
-      it.image = it.image || meta.ogImage;
-      it.publishedAt = it.publishedAt || meta.publishedAt;
-    }
-  }
-  return items;
 }
 
-async function scrapeMDIC() {
-  const url = "https://www.gov.br/mdic/pt-br/assuntos/noticias";
-  const html = await safeFetch(url);
-  const $ = cheerio.load(html);
-  const items = [];
-  $(".listagem .item, .tileListaNoticias .item").each((_, el) => {
-    const a = $(el).find("a").first();
-    const title = normalizeWhitespace(a.text());
-    const link = a.attr("href");
-    const img = $(el).find("img").attr("data-src") || $(el).find("img").attr("src");
-    const timeText = $(el).find("time").attr("datetime") || $(el).find(".data, .data-publicacao").text();
-    const publishedAt = parseDateTime(timeText);
-    if (title && link) {
-      items.push({
-        title,
-        url: link.startsWith("http") ? link : `https://www.gov.br${link}`,
-        image: img && (img.startsWith("http") ? img : `https://www.gov.br${img}`),
-        publishedAt,
-      });
-    }
-  });
-  for (const it of items) {
-    if (!it.image || !it.publishedAt) {
-      const meta = await fetchArticleMeta(it.url);
-      it.image = it.image || meta.ogImage;
-      it.publishedAt = it.publishedAt || meta.publishedAt;
+// Uma notícia do arquivo pelo id curto; a página /item/:id do cliente lê daqui
+app.get("/api/items/:id", (req, res) => {
+  const known = archivedItemById(req.params.id);
+  if (!known) return res.status(404).json({ error: "Notícia não encontrada no radar" });
+  const { sources, firstSeen, lastSeen, ...item } = known;
+  res.json({ ...item, tags: tagItem(known), sources: itemSources(known), firstSeen, lastSeen });
+});
+
+/* ---------- Imagens dos cartões (ver lib/images.js) ---------- */
+
+// /api/img?url=<imagem do item>&source=<fonte>&w=480. Só baixa imagens que algum item
+// do radar trouxe (a rota não vira proxy aberto); qualquer falha vira o placeholder da fonte
+app.get("/api/img", async (req, res) => {
+  const url = String(req.query.url || "").trim();
+  const width = IMAGE_WIDTHS.includes(Number(req.query.w)) ? Number(req.query.w) : DEFAULT_IMAGE_WIDTH;
+  // WebP só para quem declara; Accept: */* sozinho não garante suporte
+  const format = /image\/webp/.test(req.get("accept") || "") ? "webp" : "jpeg";
+  res.vary("Accept");
+
+  let fallback = "missing";
+  if (url && !isArchivedImage(url)) fallback = "unknown";
+  else if (url) {
+    try {
+      const img = await thumbnail(url, { width, format });
+      return res.set("Cache-Control", "public, max-age=604800, immutable").type(img.type).send(img.body);
+    } catch (e) {
+      fallback = e instanceof RangeError ? "rejected" : "error";
     }
   }
-  return items;
-}
+  const source = listSourceDefinitions().find((d) => d.key === req.query.source);
+  res
+    .set("Cache-Control", "public, max-age=3600")
+    .set("X-Image-Fallback", fallback)
+    .type("image/svg+xml")
+    .send(placeholder(source));
+});
 
-async function scrapeGovBRMeioAmbienteClima() {
-  const url = "https://www.gov.br/pt-br/noticias/meio-ambiente-e-clima";
-  const html = await safeFetch(url);
-  const $ = cheerio.load(html);
-  const items = [];
-  $(".listagem .item, .tileListaNoticias .item").each((_, el) => {
-    const a = $(el).find("a").first();
-    const title = normalizeWhitespace(a.text());
-    const link = a.attr("href");
-    const img = $(el).find("img").attr("data-src") || $(el).find("img").attr("src");
-    const timeText = $(el).find("time").attr("datetime") || $(el).find(".data, .data-publicacao").text();
-    const publishedAt = parseDateTime(timeText);
-    if (title && link) {
-      items.push({
-        title,
-        url: link.startsWith("http") ? link : `https://www.gov.br${link}`,
-        image: img && (img.startsWith("http") ? img : `https://www.gov.br${img}`),
-        publishedAt,
-      });
-    }
-  });
-  for (const it of items) {
-    if (!it.image || !it.publishedAt) {
-      const meta = await fetchArticleMeta(it.url);
-      it.image = it.image || meta.ogImage;
-      it.publishedAt = it.publishedAt || meta.publishedAt;
-    }
+/* ---------- Salvos (token pessoal em Authorization: Bearer <token>) ---------- */
+
+function requireUser(req, res, next) {
+  try {
+    req.user = userFromToken((req.get("authorization") || "").replace(/^Bearer\s+/i, ""));
+    next();
+  } catch (e) {
+    res.status(401).json({ error: e.message });
   }
-  return items;
 }
 
-async function scrapeEIR() {
-  const url = "https://www.e-ir.info/category/articles/";
-  const html = await safeFetch(url);
-  const $ = cheerio.load(html);
-  const items = [];
-  $("article").each((_, el) => {
-    const a = $(el).find("h2 a, .entry-title a").first();
-    const title = normalizeWhitespace(a.text());
-    const link = a.attr("href");
-    const img = $(el).find("img").attr("src");
-    const timeText = $(el).find("time").attr("datetime") || $(el).find(".posted-on").text();
-    const publishedAt = parseDateTime(timeText);
-    if (title && link) {
-      items.push({ title, url: link, image: img, publishedAt });
-    }
-  });
-  for (const it of items) {
-    if (!it.image || !it.publishedAt) {
-      const meta = await fetchArticleMeta(it.url);
-      it.image = it.image || meta.ogImage;
-      it.publishedAt = it.publishedAt || meta.publishedAt;
-    }
-  }
-  return items;
+function sourceInfo(key) {
+  const s = SOURCES.find((src) => src.key === key);
+  return s ? { key: s.key, name: s.name, color: s.color } : null;
 }
 
-/* ====================== REGISTRO DE FONTES ====================== */
+app.get("/api/bookmarks", requireUser, (req, res) => {
+  res.json({ items: listBookmarks(req.user).map((b) => ({ ...b, id: itemId(b.url), topics: tagItem(b) })) });
+});
 
-const SOURCES = [
-  { key: "un_news_pt", name: "UN News (PT)", color: "#1d4ed8", fetcher: scrapeUNNewsPT },
-  { key: "mre_notas", name: "MRE – Notas à Imprensa", color: "#16a34a", fetcher: scrapeMRE },
-  { key: "unep_es", name: "UNEP (ES) – Recursos", color: "#ef4444", fetcher: scrapeUNEP },
-  { key: "unfccc", name: "UNFCCC – News", color: "#0ea5e9", fetcher: scrapeUNFCCC },
-  { key: "relacoes_exteriores", name: "Relações Exteriores (Artigos)", color: "#9333ea", fetcher: scrapeRelacoesExteriores },
-  { key: "mma", name: "MMA – Notícias", color: "#16a34a", fetcher: scrapeMMA },
-  { key: "infobrics", name: "InfoBRICS – News", color: "#ef4444", fetcher: scrapeInfoBRICS },
-  { key: "ibge", name: "IBGE – Agência de Notícias", color: "#1f2937", fetcher: scrapeIBGE },
-  { key: "mdic", name: "MDIC – Notícias", color: "#1d4ed8", fetcher: scrapeMDIC },
-  { key: "govbr_meio_ambiente", name: "Gov.br – Meio Ambiente e Clima", color: "#0d9488", fetcher: scrapeGovBRMeioAmbienteClima },
-  { key: "eir", name: "E-IR Articles", color: "#dc2626", fetcher: scrapeEIR },
-];
+// Salva um item ou atualiza nota/etiquetas: { url, note?, tags?, title?, image?, publishedAt?, source? }
+app.post("/api/bookmarks", requireUser, (req, res) => {
+  const body = req.body || {};
+  const url = String(body.url || "").trim();
+  if (!url) return res.status(400).json({ error: "Informe a url do item" });
+
+  // O arquivo é a referência para título/data/imagem; o corpo só completa itens que ele não conhece
+  const known = archivedItem(url);
+  const snapshot = {
+    url,
+    title: known?.title || (body.title ? String(body.title).slice(0, 500) : null),
+    image: known?.image || body.image || null,
+    publishedAt: known?.publishedAt || body.publishedAt || null,
+    source: sourceInfo(body.source?.key) || (known ? sourceInfo(known.sources[0]) : null),
+  };
+  if (!snapshot.title) return res.status(404).json({ error: "Item desconhecido: envie ao menos o título" });
 
-/* ====================== CACHE + API ====================== */
+  try {
+    const saved = saveBookmark(req.user, snapshot, { note: body.note, tags: body.tags });
+    res.json({ ...saved, topics: tagItem(saved) });
+  } catch (e) {
+    res.status(409).json({ error: e.message });
+  }
+});
 
-const cache = new Map();
-const CACHE_MS = 1000 * 60 * 60; // 1h
+app.delete("/api/bookmarks", requireUser, (req, res) => {
+  const url = String(req.query.url || "").trim();
+  if (!removeBookmark(req.user, url)) return res.status(404).json({ error: "Item não está nos salvos" });
+  res.status(204).end();
+});
 
-async function getSourceData(src) {
-  const cached = cache.get(src.key);
-  if (cached && Date.now() - cached.at < CACHE_MS) return cached.data;
-  const data = await src.fetcher();
-  cache.set(src.key, { data, at: Date.now() });
-  return data;
+/* ---------- Administração das fontes (ADMIN_TOKEN em Authorization: Bearer <token>) ---------- */
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+// Prévia de uma definição: tempo máximo e itens devolvidos
+const PREVIEW_TIMEOUT_MS = 60_000;
+const PREVIEW_ITEMS = 30;
+
+function digest(value) {
+  return crypto.createHash("sha256").update(String(value)).digest();
 }
-async function getSourceDataForce(src) {
-  const data = await src.fetcher();
-  cache.set(src.key, { data, at: Date.now() });
-  return data;
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) return res.status(503).json({ error: "Administração desativada: defina ADMIN_TOKEN no servidor" });
+  const token = (req.get("authorization") || "").replace(/^Bearer\s+/i, "");
+  // Comparação em tempo constante (sobre os hashes, que têm sempre o mesmo tamanho)
+  if (!crypto.timingSafeEqual(digest(token), digest(ADMIN_TOKEN))) return res.status(401).json({ error: "Token de administração inválido" });
+  next();
 }
 
-function filterAndSort(items) {
-  const kept = items.filter((it) => it && it.title && it.url && it.publishedAt && withinLastTwoDays(it.publishedAt));
-  kept.sort((a, b) => dayjs(b.publishedAt).valueOf() - dayjs(a.publishedAt).valueOf());
-  return kept;
+function adminSource(def) {
+  const cached = cache.get(def.key);
+  return {
+    ...def,
+    enabled: def.enabled !== false,
+    updatedAt: cached?.at ? new Date(cached.at).toISOString() : null,
+    refreshing: isRefreshing(def.key),
+    health: sourceHealth(def.key),
+  };
 }
 
-/* ====================== APP ====================== */
+function sendRegistryError(res, e) {
+  res.status(e instanceof RangeError ? 400 : 500).json({ error: e.message });
+}
 
-const app = express();
-app.use(cors());
+app.get("/api/admin/sources", requireAdmin, (req, res) => {
+  res.json({ file: registryFile(), sources: listSourceDefinitions().map(adminSource) });
+});
 
-// Health opcional
-app.get("/healthz", (req, res) => res.type("text/plain").send("ok"));
+// Roda uma definição uma vez, sem gravar nada (nem no arquivo de notícias), e devolve os itens lidos
+app.post("/api/admin/sources/test", requireAdmin, async (req, res) => {
+  let def;
+  try {
+    def = normalizeDefinition(req.body, { requireKey: false });
+  } catch (e) {
+    return sendRegistryError(res, e);
+  }
+  const startedAt = Date.now();
+  // Estourado o tempo, o sinal cancela a coleta (nenhuma página a mais, nada gravado em cache)
+  // e a resposta sai na hora, sem esperar o pedido que estiver pendurado
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new Error(`sem resposta em ${PREVIEW_TIMEOUT_MS / 1000} s`)), PREVIEW_TIMEOUT_MS);
+  try {
+    const items = await Promise.race([
+      runSource(def, { signal: controller.signal }),
+      new Promise((_, reject) => controller.signal.addEventListener("abort", () => reject(controller.signal.reason))),
+    ]);
+    res.json({
+      durationMs: Date.now() - startedAt,
+      total: items.length,
+      missingDate: items.filter((it) => !it.publishedAt).length,
+      missingImage: items.filter((it) => !it.image).length,
+      items: items.slice(0, PREVIEW_ITEMS).map((it) => ({
+        title: it.title,
+        url: it.url,
+        image: it.image || null,
+        publishedAt: it.publishedAt || null,
+        description: it.description || null,
+        tags: tagItem(it),
+      })),
+    });
+  } catch (e) {
+    res.status(502).json({ error: `A coleta falhou: ${e?.message || e}`, durationMs: Date.now() - startedAt });
+  } finally {
+    clearTimeout(timer);
+  }
+});
 
-// Agregado tolerante a falhas por fonte
-app.get("/api/news", async (req, res) => {
-  const { sources, force } = req.query;
-  const only = sources ? String(sources).split(",").map((s) => s.trim()) : null;
-  const selected = only ? SOURCES.filter((s) => only.includes(s.key)) : SOURCES;
+app.post("/api/admin/sources", requireAdmin, (req, res) => {
+  try {
+    const def = addSourceDefinition(req.body);
+    if (!def) return res.status(409).json({ error: `Já existe uma fonte "${req.body.key}"` });
+    applySources();
+    res.status(201).json(adminSource(def));
+  } catch (e) {
+    sendRegistryError(res, e);
+  }
+});
 
+// Edição completa; a key da rota é mantida
+app.put("/api/admin/sources/:key", requireAdmin, (req, res) => {
   try {
-    const tasks = selected.map((s) => (force ? getSourceDataForce(s) : getSourceData(s)));
-    const settled = await Promise.allSettled(tasks);
-    const now = dayjs().tz(DEFAULT_TZ);
-
-    const payload = {
-      tz: DEFAULT_TZ,
-      generatedAt: now.toISOString(),
-      sources: selected.map((s, i) => {
-        const r = settled[i];
-        const list = r.status === "fulfilled" ? r.value : [];
-        const error = r.status === "rejected" ? (r.reason?.message || String(r.reason)) : null;
-        if (error) console.error(`[${s.key}] ${error}`);
-        return {
-          key: s.key,
-          name: s.name,
-          color: s.color,
-          items: filterAndSort(list).map((it) => ({
-            title: it.title,
-            url: it.url,
-            image: it.image,
-            publishedAt: it.publishedAt,
-          })),
-          error,
-        };
-      }),
-    };
+    const def = replaceSourceDefinition(req.params.key, req.body);
+    if (!def) return res.status(404).json({ error: "Fonte não encontrada" });
+    applySources();
+    res.json(adminSource(def));
+  } catch (e) {
+    sendRegistryError(res, e);
+  }
+});
 
-    res.json(payload);
+// Ativa/desativa: { enabled: true|false }
+app.patch("/api/admin/sources/:key", requireAdmin, (req, res) => {
+  if (typeof req.body?.enabled !== "boolean") return res.status(400).json({ error: "Envie { enabled: true|false }" });
+  try {
+    const def = setSourceEnabled(req.params.key, req.body.enabled);
+    if (!def) return res.status(404).json({ error: "Fonte não encontrada" });
+    applySources();
+    res.json(adminSource(def));
   } catch (e) {
-    res.status(500).json({ error: String(e) });
+    sendRegistryError(res, e);
+  }
+});
+
+// Arquivo: um dia (date=YYYY-MM-DD) ou intervalo (from/to), sempre no fuso de SP
+app.get("/api/archive", (req, res) => {
+  const { date, from, to } = req.query;
+  const today = dayjs().tz(DEFAULT_TZ).format("YYYY-MM-DD");
+  const start = dayjs.tz(String(date || from || today), "YYYY-MM-DD", DEFAULT_TZ);
+  const end = dayjs.tz(String(date || to || today), "YYYY-MM-DD", DEFAULT_TZ);
+  if (!start.isValid() || !end.isValid() || end.isBefore(start)) {
+    return res.status(400).json({ error: "Use date=YYYY-MM-DD ou from/to=YYYY-MM-DD" });
   }
+
+  const selected = selectSources(req.query);
+  const bySource = queryArchive({
+    start: start.startOf("day"),
+    end: end.endOf("day"),
+    sources: selected.map((s) => s.key),
+  });
+  res.json({
+    tz: DEFAULT_TZ,
+    generatedAt: dayjs().tz(DEFAULT_TZ).toISOString(),
+    from: start.format("YYYY-MM-DD"),
+    to: end.format("YYYY-MM-DD"),
+    topics: listTopics(),
+    sources: selected.map((s) => ({
+      key: s.key,
+      name: s.name,
+      color: s.color,
+      items: (bySource.get(s.key) || []).map((it) => ({ ...it, tags: tagItem(it) })),
+      error: null,
+    })),
+  });
+});
+
+// Dias disponíveis no arquivo, com contagem
+app.get("/api/archive/days", (req, res) => {
+  res.json({ tz: DEFAULT_TZ, days: archiveDays() });
 });
 
 /* ====================== CLIENTE ESTÁTICO ====================== */
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
 const clientDist = path.resolve(__dirname, "../client/dist");
 
 app.use(express.static(clientDist));
 
+function escapeAttr(s) {
+  return String(s ?? "").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+}
+
+// Link permanente: o mesmo index.html do React, com título e Open Graph da notícia no <head>
+// (WhatsApp, Slack e afins não executam JavaScript ao montar a prévia)
+app.get("/item/:id", (req, res) => {
+  let html;
+  try {
+    html = fs.readFileSync(path.join(clientDist, "index.html"), "utf8");
+  } catch {
+    return res.status(404).send("Cliente não compilado (rode npm run build em client/)");
+  }
+  const known = archivedItemById(req.params.id);
+  if (!known) return res.status(404).type("html").send(html);
+
+  const origin = (PUBLIC_URL || `${req.protocol}://${req.get("host")}`).replace(/\/+$/, "");
+  const [source] = itemSources(known);
+  const description = (known.summary || known.description || "").slice(0, 300);
+  const image = known.image
+    ? `${origin}/api/img?${new URLSearchParams({ url: known.image, source: source?.key || "", w: "960" })}`
+    : null;
+  const meta = [
+    `<title>${escapeAttr(known.title)} · Radar de Notícias</title>`,
+    description && `<meta name="description" content="${escapeAttr(description)}" />`,
+    `<meta property="og:type" content="article" />`,
+    `<meta property="og:site_name" content="Radar de Notícias${source ? ` · ${escapeAttr(source.name)}` : ""}" />`,
+    `<meta property="og:title" content="${escapeAttr(known.title)}" />`,
+    description && `<meta property="og:description" content="${escapeAttr(description)}" />`,
+    `<meta property="og:url" content="${escapeAttr(`${origin}/item/${known.id}`)}" />`,
+    `<meta property="og:locale" content="pt_BR" />`,
+    image && `<meta property="og:image" content="${escapeAttr(image)}" />`,
+    known.publishedAt && `<meta property="article:published_time" content="${escapeAttr(known.publishedAt)}" />`,
+    `<meta name="twitter:card" content="${image ? "summary_large_image" : "summary"}" />`,
+  ].filter(Boolean);
+  res.type("html").send(html.replace(/<title>[^<]*<\/title>/, meta.join("\n    ")));
+});
+
 // raiz e demais rotas -> React
 app.get("/", (req, res) => res.sendFile(path.join(clientDist, "index.html")));
 app.get("*", (req, res, next) => {
@@ -656,6 +688,20 @@ app.get("*", (req, res, next) => {
   res.sendFile(path.join(clientDist, "index.html"));
 });
 
+/* ====================== CLIPPING POR E-MAIL ====================== */
+
+// Envio diário opcional (SMTP_URL/SMTP_HOST + CLIPPING_TO); ver lib/mailer.js
+const mail = mailConfig();
+if (mail) {
+  scheduleDaily(mail.time, async () => {
+    const clipping = buildClipping(SOURCES, previousDay());
+    if (!clipping.total) return console.log(`[clipping] ${clipping.date}: nenhuma notícia, envio pulado`);
+    await sendClipping(mail, clipping, { siteUrl: PUBLIC_URL });
+    console.log(`[clipping] ${clipping.date}: ${clipping.total} notícias enviadas para ${mail.to.length} destinatário(s)`);
+  });
+  console.log(`Clipping: envio diário às ${mail.time} (America/Sao_Paulo) para ${mail.to.join(", ")}`);
+}
+
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
 });
@@ -0,0 +1,311 @@
+// server/lib/alerts.js
+//
+// Alertas por webhook. Cada regra (server/alerts.json, ver alerts.example.json)
+// combina palavras-chave, fontes e temas; depois de cada coleta, os itens
+// recém-vistos que casam com a regra são enviados ao webhook dela:
+//   {
+//     "id": "mre-venezuela",                       // identificador estável (usado na deduplicação)
+//     "name": "MRE sobre Venezuela",
+//     "keywords": ["venezuela", "maduro"],         // qualquer uma (mesma sintaxe de topics.json); opcional
+//     "sources": ["mre_notas"],                    // qualquer uma; opcional
+//     "topics": ["america_latina"],                // qualquer um; opcional
+//     "webhook": { "url": "https://hooks.slack.com/services/...", "format": "slack" }  // slack | discord | generic
+//   }
+// Critérios diferentes se somam (fonte E palavra-chave E tema). Um item
+// dispara no máximo uma vez por regra; envios que falham são repetidos com
+// espera crescente, e a fila sobrevive a reinícios (DATA_DIR/alerts-state.json).
+// Só alertam itens publicados nas últimas ALERT_MAX_AGE_HOURS horas: "recém-visto"
+// não quer dizer recente (arquivo vazio, fonte nova, páginas 2..N da listagem).
+// A primeira coleta de cada fonte só marca o que já existe, sem enviar nada.
+
+import fs from "fs";
+import path from "path";
+import fetch from "node-fetch";
+import { compileKeyword, itemSequence } from "./tagger.js";
+import { USER_AGENT } from "./http.js";
+
+const FORMATS = ["slack", "discord", "generic"];
+const ITEMS_PER_MESSAGE = 10; // Discord aceita até 10 embeds por mensagem
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_MS = 30_000; // 30s, 1min, 2min, 4min, 8min
+const REQUEST_TIMEOUT_MS = 10_000;
+const FIRED_RETENTION_DAYS = 60;
+const SAVE_DEBOUNCE_MS = 1000;
+const MAX_AGE_MS = (Number(process.env.ALERT_MAX_AGE_HOURS) || 48) * 60 * 60 * 1000;
+
+let rules = [];
+let stateFile = null;
+let fired = {}; // ruleId → { url → firedAt }
+let queue = []; // entregas pendentes: { id, ruleId, body, attempts, nextAt, lastError }
+let stats = {}; // ruleId → { lastFiredAt, delivered, failed, lastError }
+let seeded = new Set(); // fontes que já passaram pela primeira coleta
+let deliverySeq = 0;
+let pumpTimer = null;
+let pumping = false;
+let saveTimer = null;
+
+function guessFormat(url) {
+  if (/hooks\.slack\.com/i.test(url)) return "slack";
+  if (/discord(app)?\.com\/api\/webhooks/i.test(url)) return "discord";
+  return "generic";
+}
+
+function compileRule(raw, file) {
+  const where = `${file}: regra ${raw?.id || "?"}`;
+  if (!raw?.id) throw new Error(`${where} sem id`);
+  const url = raw.webhook?.url;
+  if (!/^https?:\/\//i.test(url || "")) throw new Error(`${where}: webhook.url deve ser http(s)`);
+  const format = raw.webhook.format || guessFormat(url);
+  if (!FORMATS.includes(format)) throw new Error(`${where}: webhook.format deve ser ${FORMATS.join(", ")}`);
+  const keywords = raw.keywords || [];
+  const needles = keywords.map(compileKeyword).filter(Boolean);
+  const sources = raw.sources || [];
+  const topics = raw.topics || [];
+  if (!needles.length && !sources.length && !topics.length) throw new Error(`${where}: informe keywords, sources ou topics`);
+  return { id: String(raw.id), name: raw.name || String(raw.id), keywords, needles, sources, topics, webhook: { url, format } };
+}
+
+// Lê as regras; arquivo ausente desliga os alertas
+export function loadAlertRules(file) {
+  if (!fs.existsSync(file)) {
+    rules = [];
+    return 0;
+  }
+  const list = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(list)) throw new Error(`${file}: esperado um array de regras`);
+  rules = list.map((r) => compileRule(r, file));
+  const ids = new Set();
+  for (const r of rules) {
+    if (ids.has(r.id)) throw new Error(`${file}: id de regra duplicado "${r.id}"`);
+    ids.add(r.id);
+  }
+  return rules.length;
+}
+
+/* ---------- estado (deduplicação + fila) ---------- */
+
+export function openAlertState(file) {
+  stateFile = file;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  if (fs.existsSync(file)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+      fired = saved.fired || {};
+      queue = saved.queue || [];
+      stats = saved.stats || {};
+      seeded = new Set(saved.seeded || []);
+      deliverySeq = queue.reduce((max, d) => Math.max(max, Number(d.id) || 0), 0);
+    } catch (e) {
+      const backup = `${file}.corrupt-${Date.now()}`;
+      fs.renameSync(file, backup);
+      console.error(`[alerts] ${file} ilegível (${e.message}); movido para ${backup}`);
+    }
+  }
+  pruneFired();
+  schedulePump(0);
+}
+
+function pruneFired() {
+  const cutoff = new Date(Date.now() - FIRED_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  for (const [ruleId, urls] of Object.entries(fired)) {
+    for (const [url, at] of Object.entries(urls)) if (at < cutoff) delete urls[url];
+    if (!Object.keys(urls).length) delete fired[ruleId];
+  }
+}
+
+export function flushAlertState() {
+  if (!stateFile) return;
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  const tmp = `${stateFile}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ fired, queue, stats, seeded: [...seeded] }));
+  fs.renameSync(tmp, stateFile);
+}
+
+function scheduleSave() {
+  if (!stateFile || saveTimer) return;
+  saveTimer = setTimeout(() => {
+    try {
+      flushAlertState();
+    } catch (e) {
+      console.error(`[alerts] falha ao gravar: ${e.message}`);
+    }
+  }, SAVE_DEBOUNCE_MS);
+}
+
+/* ---------- regras ---------- */
+
+export function matches(rule, source, item) {
+  if (rule.sources.length && !rule.sources.includes(source.key)) return false;
+  if (rule.topics.length && !rule.topics.some((t) => item.tags?.includes(t))) return false;
+  if (rule.needles.length) {
+    const seq = itemSequence({ title: item.title, description: `${item.description || ""} ${item.summary || ""}` });
+    if (!rule.needles.some((k) => seq.includes(k))) return false;
+  }
+  return true;
+}
+
+// dateOnly: a fonte não informou o horário
+function formatTime(iso, dateOnly = false) {
+  return iso
+    ? new Intl.DateTimeFormat("pt-BR", { dateStyle: "short", ...(dateOnly ? {} : { timeStyle: "short" }), timeZone: "America/Sao_Paulo" }).format(new Date(iso))
+    : "";
+}
+
+// Corpo do webhook no formato de destino
+export function alertBody(rule, items) {
+  if (rule.webhook.format === "slack") {
+    const lines = items.map((it) => `• <${it.url}|${it.title.replace(/[<>|]/g, "")}> — ${it.source.name}${it.publishedAt ? ` (${formatTime(it.publishedAt, it.dateOnly)})` : ""}`);
+    return { text: `*Radar de Notícias – ${rule.name}*\n${lines.join("\n")}`, unfurl_links: false };
+  }
+  if (rule.webhook.format === "discord") {
+    return {
+      content: `**Radar de Notícias – ${rule.name}**`,
+      embeds: items.map((it) => ({
+        title: it.title.slice(0, 256),
+        url: it.url,
+        description: (it.summary || it.description || "").slice(0, 500) || undefined,
+        timestamp: it.publishedAt || undefined,
+        color: it.source.color ? parseInt(it.source.color.replace("#", ""), 16) : undefined,
+        footer: { text: it.source.name },
+        thumbnail: it.image ? { url: it.image } : undefined,
+      })),
+    };
+  }
+  return {
+    rule: { id: rule.id, name: rule.name },
+    firedAt: new Date().toISOString(),
+    items: items.map((it) => ({
+      title: it.title,
+      url: it.url,
+      image: it.image || null,
+      publishedAt: it.publishedAt || null,
+      dateOnly: Boolean(it.dateOnly),
+      description: it.description || null,
+      summary: it.summary || null,
+      tags: it.tags || [],
+      source: it.source,
+    })),
+  };
+}
+
+function isRecent(item, now) {
+  const t = Date.parse(item.publishedAt || "");
+  return Number.isFinite(t) && t >= now - MAX_AGE_MS;
+}
+
+// Avalia os itens recém-vistos de uma fonte (chamada a cada coleta, mesmo sem itens novos)
+// e enfileira um envio por regra (em lotes)
+export function evaluateAlerts(source, items, { now = Date.now() } = {}) {
+  if (!seeded.has(source.key)) {
+    seeded.add(source.key);
+    scheduleSave();
+    return 0;
+  }
+  const src = { key: source.key, name: source.name, color: source.color || null };
+  const recent = items.filter((it) => it?.url && isRecent(it, now));
+  let queued = 0;
+  for (const rule of rules) {
+    const seen = (fired[rule.id] ||= {});
+    const hits = recent.filter((it) => !seen[it.url] && matches(rule, src, it));
+    if (!hits.length) continue;
+    const firedAt = new Date(now).toISOString();
+    for (const it of hits) seen[it.url] = firedAt;
+    for (let i = 0; i < hits.length; i += ITEMS_PER_MESSAGE) {
+      const batch = hits.slice(i, i + ITEMS_PER_MESSAGE).map((it) => ({ ...it, source: src }));
+      queue.push({ id: String(++deliverySeq), ruleId: rule.id, body: alertBody(rule, batch), attempts: 0, nextAt: Date.now(), lastError: null });
+      queued++;
+    }
+    (stats[rule.id] ||= { lastFiredAt: null, delivered: 0, failed: 0, lastError: null }).lastFiredAt = firedAt;
+  }
+  if (queued) {
+    scheduleSave();
+    schedulePump(0);
+  }
+  return queued;
+}
+
+/* ---------- entrega com repetição ---------- */
+
+async function post(url, body) {
+  const controller = new AbortController();
+  const to = setTimeout(() => controller.abort(new Error("timeout")), REQUEST_TIMEOUT_MS);
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "User-Agent": USER_AGENT },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+    await res.text().catch(() => "");
+    return res;
+  } finally {
+    clearTimeout(to);
+  }
+}
+
+function schedulePump(delay) {
+  clearTimeout(pumpTimer);
+  pumpTimer = setTimeout(pump, Math.max(0, delay));
+  pumpTimer.unref?.();
+}
+
+async function deliver(d) {
+  const rule = rules.find((r) => r.id === d.ruleId);
+  const st = (stats[d.ruleId] ||= { lastFiredAt: null, delivered: 0, failed: 0, lastError: null });
+  if (!rule) return true; // regra removida do arquivo: descarta o envio
+  d.attempts++;
+  let retryAfterMs = null;
+  try {
+    const res = await post(rule.webhook.url, d.body);
+    if (res.ok) {
+      st.delivered++;
+      st.lastError = null;
+      return true;
+    }
+    d.lastError = `HTTP ${res.status}`;
+    // 4xx (exceto 408/429) não melhora com nova tentativa
+    if (res.status < 500 && res.status !== 408 && res.status !== 429) d.attempts = MAX_ATTEMPTS;
+    const retryAfter = Number(res.headers.get("retry-after"));
+    if (Number.isFinite(retryAfter) && retryAfter > 0) retryAfterMs = retryAfter * 1000;
+  } catch (e) {
+    d.lastError = e?.message || String(e);
+  }
+  st.lastError = d.lastError;
+  if (d.attempts >= MAX_ATTEMPTS) {
+    st.failed++;
+    console.error(`[alerts] ${d.ruleId}: envio descartado após ${d.attempts} tentativa(s) (${d.lastError})`);
+    return true;
+  }
+  d.nextAt = Date.now() + (retryAfterMs ?? RETRY_BASE_MS * 2 ** (d.attempts - 1));
+  return false;
+}
+
+async function pump() {
+  if (pumping) return; // a rodada em curso reagenda ao terminar
+  pumping = true;
+  try {
+    const due = queue.filter((d) => d.nextAt <= Date.now());
+    for (const d of due) {
+      if (await deliver(d)) queue = queue.filter((x) => x !== d);
+    }
+    if (due.length) scheduleSave();
+  } finally {
+    pumping = false;
+  }
+  if (queue.length) schedulePump(Math.min(...queue.map((d) => d.nextAt)) - Date.now());
+}
+
+// Regras (sem a URL do webhook, que é segredo) com contadores de envio
+export function describeAlerts() {
+  return rules.map((r) => ({
+    id: r.id,
+    name: r.name,
+    keywords: r.keywords,
+    sources: r.sources,
+    topics: r.topics,
+    format: r.webhook.format,
+    pending: queue.filter((d) => d.ruleId === r.id).length,
+    ...(stats[r.id] || { lastFiredAt: null, delivered: 0, failed: 0, lastError: null }),
+  }));
+}
@@ -0,0 +1,178 @@
+// server/lib/archive.js
+//
+// Arquivo persistente de tudo o que já foi coletado, num arquivo JSON local.
+// Cada notícia é indexada pela URL e guarda, por fonte, quando foi vista pela
+// primeira e pela última vez — assim itens que saíram da listagem do site
+// continuam consultáveis.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import dayjs from "dayjs";
+import { DEFAULT_TZ } from "./dates.js";
+
+const SAVE_DEBOUNCE_MS = 2000;
+
+let archiveFile = null;
+let entries = new Map(); // url → entry
+let ids = new Map(); // id curto (links /item/:id) → URL
+let images = new Set(); // URLs de imagem já vistas nos itens (as únicas que o proxy de imagens baixa)
+let saveTimer = null;
+
+export function openArchive(file) {
+  archiveFile = file;
+  entries = new Map();
+  ids = new Map();
+  images = new Set();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  if (fs.existsSync(file)) {
+    try {
+      const list = JSON.parse(fs.readFileSync(file, "utf8"));
+      for (const e of list) {
+        entries.set(e.url, e);
+        ids.set(itemId(e.url), e.url);
+        if (e.image) images.add(e.image);
+      }
+    } catch (e) {
+      // Arquivo corrompido: preserva uma cópia e recomeça vazio
+      const backup = `${file}.corrupt-${Date.now()}`;
+      fs.renameSync(file, backup);
+      console.error(`[archive] ${file} ilegível (${e.message}); movido para ${backup}`);
+    }
+  }
+  return entries.size;
+}
+
+// Grava de forma atômica (tmp + rename) para não corromper em caso de queda
+export function flushArchive() {
+  if (!archiveFile) return;
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  const tmp = `${archiveFile}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify([...entries.values()]));
+  fs.renameSync(tmp, archiveFile);
+}
+
+function scheduleSave() {
+  if (!archiveFile || saveTimer) return;
+  saveTimer = setTimeout(() => {
+    try {
+      flushArchive();
+    } catch (e) {
+      console.error(`[archive] falha ao gravar: ${e.message}`);
+    }
+  }, SAVE_DEBOUNCE_MS);
+}
+
+// Registra o resultado de uma coleta; atualiza título/imagem/data com o que veio de mais recente.
+// Devolve os itens que esta fonte ainda não tinha listado (usados pelos alertas)
+export function recordItems(sourceKey, items, seenAt = new Date().toISOString()) {
+  const fresh = [];
+  for (const it of items) {
+    if (!it?.url || !it.title) continue;
+    const prev = entries.get(it.url);
+    const entry = prev || { url: it.url, title: it.title, image: null, publishedAt: null, seen: {} };
+    entry.title = it.title || entry.title;
+    entry.image = it.image || entry.image;
+    if (it.image) images.add(it.image);
+    if (it.publishedAt) {
+      entry.publishedAt = it.publishedAt;
+      // Sem horário na fonte: só o dia vale (ver dateparser.js)
+      if (it.dateOnly) entry.dateOnly = true;
+      else delete entry.dateOnly;
+    }
+    entry.description = it.description || entry.description || null;
+    entry.summary = it.summary || entry.summary || null;
+    const seen = entry.seen[sourceKey];
+    if (!seen) fresh.push(it);
+    if (!prev) ids.set(itemId(it.url), it.url);
+    entry.seen[sourceKey] = { firstSeen: seen?.firstSeen || seenAt, lastSeen: seenAt };
+    entries.set(it.url, entry);
+  }
+  scheduleSave();
+  return fresh;
+}
+
+function firstSeenOf(entry) {
+  return Object.values(entry.seen).reduce((min, s) => (!min || s.firstSeen < min ? s.firstSeen : min), null);
+}
+
+function lastSeenOf(entry) {
+  return Object.values(entry.seen).reduce((max, s) => (!max || s.lastSeen > max ? s.lastSeen : max), null);
+}
+
+// Data de referência de um item arquivado: publicação, ou a primeira vez que foi visto
+function referenceDate(entry) {
+  return entry.publishedAt || firstSeenOf(entry);
+}
+
+// Identificador estável e curto de uma notícia (derivado da URL), usado nos links /item/:id
+export function itemId(url) {
+  return crypto.createHash("sha1").update(url).digest("base64url").slice(0, 12);
+}
+
+function toItem(entry) {
+  return {
+    id: itemId(entry.url),
+    title: entry.title,
+    url: entry.url,
+    image: entry.image,
+    publishedAt: entry.publishedAt,
+    ...(entry.dateOnly ? { dateOnly: true } : {}),
+    description: entry.description || null,
+    summary: entry.summary || null,
+    firstSeen: firstSeenOf(entry),
+    lastSeen: lastSeenOf(entry),
+  };
+}
+
+export function isArchivedImage(url) {
+  return images.has(url);
+}
+
+// Itens de cada fonte cuja data de referência cai em [start, end]
+export function queryArchive({ start, end, sources }) {
+  const bySource = new Map(sources.map((key) => [key, []]));
+  for (const entry of entries.values()) {
+    const ref = dayjs(referenceDate(entry));
+    if (!ref.isValid() || ref.isBefore(start) || ref.isAfter(end)) continue;
+    for (const key of Object.keys(entry.seen)) {
+      bySource.get(key)?.push(toItem(entry));
+    }
+  }
+  for (const list of bySource.values()) {
+    list.sort((a, b) => dayjs(b.publishedAt || b.firstSeen).valueOf() - dayjs(a.publishedAt || a.firstSeen).valueOf());
+  }
+  return bySource;
+}
+
+// Todas as entradas arquivadas, no formato de item + chaves das fontes que o listaram
+export function* archivedItems() {
+  for (const entry of entries.values()) yield { ...toItem(entry), sources: Object.keys(entry.seen) };
+}
+
+// Uma notícia arquivada pela URL (com as fontes que a listaram), ou null
+export function archivedItem(url) {
+  const entry = entries.get(url);
+  return entry ? { ...toItem(entry), sources: Object.keys(entry.seen) } : null;
+}
+
+// Uma notícia arquivada pelo id de itemId(), ou null
+export function archivedItemById(id) {
+  const url = ids.get(String(id));
+  return url ? archivedItem(url) : null;
+}
+
+// Contagem de itens por dia (YYYY-MM-DD em São Paulo), do mais recente ao mais antigo
+export function archiveDays(tz = DEFAULT_TZ) {
+  const counts = new Map();
+  for (const entry of entries.values()) {
+    const ref = dayjs(referenceDate(entry));
+    if (!ref.isValid()) continue;
+    const day = ref.tz(tz).format("YYYY-MM-DD");
+    counts.set(day, (counts.get(day) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .sort((a, b) => (a[0] < b[0] ? 1 : -1))
+    .map(([date, count]) => ({ date, count }));
+}
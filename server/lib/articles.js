@@ -0,0 +1,73 @@
+// server/lib/articles.js
+//
+// Cache dos metadados de matéria (og:image, data, descrição, texto) por URL.
+// Uma matéria já lida nunca é baixada de novo pelo enriquecimento; o texto
+// guardado também repõe o índice de busca quando o servidor reinicia.
+
+import fs from "fs";
+import path from "path";
+
+const SAVE_DEBOUNCE_MS = 2000;
+const MAX_ENTRIES = Number(process.env.ARTICLE_CACHE_MAX) || 5000;
+
+let cacheFile = null;
+let articles = new Map(); // url → { ogImage, publishedAt, description, text, fetchedAt }
+let saveTimer = null;
+
+export function openArticleCache(file) {
+  cacheFile = file;
+  articles = new Map();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  if (fs.existsSync(file)) {
+    try {
+      for (const [url, meta] of Object.entries(JSON.parse(fs.readFileSync(file, "utf8")))) articles.set(url, meta);
+    } catch (e) {
+      const backup = `${file}.corrupt-${Date.now()}`;
+      fs.renameSync(file, backup);
+      console.error(`[articles] ${file} ilegível (${e.message}); movido para ${backup}`);
+    }
+  }
+  return articles.size;
+}
+
+// Mantém só as MAX_ENTRIES matérias lidas mais recentemente
+function prune() {
+  if (articles.size <= MAX_ENTRIES) return;
+  const oldest = [...articles.entries()].sort((a, b) => (a[1].fetchedAt < b[1].fetchedAt ? -1 : 1));
+  for (const [url] of oldest.slice(0, articles.size - MAX_ENTRIES)) articles.delete(url);
+}
+
+export function flushArticleCache() {
+  if (!cacheFile) return;
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  prune();
+  const tmp = `${cacheFile}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(articles)));
+  fs.renameSync(tmp, cacheFile);
+}
+
+function scheduleSave() {
+  if (!cacheFile || saveTimer) return;
+  saveTimer = setTimeout(() => {
+    try {
+      flushArticleCache();
+    } catch (e) {
+      console.error(`[articles] falha ao gravar: ${e.message}`);
+    }
+  }, SAVE_DEBOUNCE_MS);
+}
+
+export function cachedArticleMeta(url) {
+  return articles.get(url) || null;
+}
+
+export function rememberArticleMeta(url, meta) {
+  articles.set(url, { ...meta, fetchedAt: new Date().toISOString() });
+  scheduleSave();
+}
+
+// [url, texto] das matérias guardadas, para reindexar a busca
+export function* cachedArticleTexts() {
+  for (const [url, meta] of articles) if (meta.text) yield [url, meta.text];
+}
@@ -0,0 +1,130 @@
+// server/lib/bookmarks.js
+//
+// Itens salvos com notas e etiquetas pessoais, guardados no servidor por
+// usuário. O usuário é identificado só por um token aleatório gerado no
+// navegador (o mesmo token em outro aparelho traz os mesmos salvos); no disco
+// fica apenas o hash do token. Cada item salvo guarda uma cópia de título,
+// fonte, data e imagem, para continuar legível depois de sair da listagem.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const SAVE_DEBOUNCE_MS = 1000;
+const MIN_TOKEN_LENGTH = 16;
+const MAX_NOTE = 5000;
+const MAX_TAGS = 12;
+const MAX_TAG = 40;
+const MAX_ITEMS_PER_USER = 2000;
+
+let bookmarksFile = null;
+let users = new Map(); // hash do token → Map(url → item salvo)
+let saveTimer = null;
+
+export function openBookmarks(file) {
+  bookmarksFile = file;
+  users = new Map();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  if (fs.existsSync(file)) {
+    try {
+      for (const [user, items] of Object.entries(JSON.parse(fs.readFileSync(file, "utf8")))) {
+        users.set(user, new Map(items.map((it) => [it.url, it])));
+      }
+    } catch (e) {
+      const backup = `${file}.corrupt-${Date.now()}`;
+      fs.renameSync(file, backup);
+      console.error(`[bookmarks] ${file} ilegível (${e.message}); movido para ${backup}`);
+    }
+  }
+  return users.size;
+}
+
+export function flushBookmarks() {
+  if (!bookmarksFile) return;
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  const data = Object.fromEntries([...users].map(([user, items]) => [user, [...items.values()]]));
+  const tmp = `${bookmarksFile}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data));
+  fs.renameSync(tmp, bookmarksFile);
+}
+
+function scheduleSave() {
+  if (!bookmarksFile || saveTimer) return;
+  saveTimer = setTimeout(() => {
+    try {
+      flushBookmarks();
+    } catch (e) {
+      console.error(`[bookmarks] falha ao gravar: ${e.message}`);
+    }
+  }, SAVE_DEBOUNCE_MS);
+}
+
+// Hash do token; lança erro se o token for curto demais para ser impossível de adivinhar
+export function userFromToken(token) {
+  const t = String(token || "").trim();
+  if (t.length < MIN_TOKEN_LENGTH) throw new Error(`Token ausente ou curto demais (mínimo ${MIN_TOKEN_LENGTH} caracteres)`);
+  return crypto.createHash("sha256").update(t).digest("hex");
+}
+
+function cleanTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || "").split(",");
+  const out = [];
+  for (const tag of list) {
+    const t = String(tag).trim().slice(0, MAX_TAG);
+    if (t && !out.some((x) => x.toLowerCase() === t.toLowerCase())) out.push(t);
+  }
+  return out.slice(0, MAX_TAGS);
+}
+
+// A cópia vem em parte do corpo da requisição: imagem só http(s) (vira <img src> no cliente)
+// e data só em ISO 8601; o que não passa é descartado, não recusado
+function cleanImage(value) {
+  try {
+    const url = new URL(String(value || "").trim());
+    return ["http:", "https:"].includes(url.protocol) ? url.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+function cleanDate(value) {
+  const s = String(value || "").trim();
+  if (!/^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(s)) return null;
+  const t = Date.parse(s);
+  return Number.isNaN(t) ? null : new Date(t).toISOString();
+}
+
+export function listBookmarks(user) {
+  return [...(users.get(user)?.values() || [])].sort((a, b) => (a.savedAt < b.savedAt ? 1 : -1));
+}
+
+// Salva (ou atualiza a nota/etiquetas de) um item; snapshot traz título, fonte, data e imagem
+export function saveBookmark(user, snapshot, { note, tags } = {}) {
+  if (!users.has(user)) users.set(user, new Map());
+  const items = users.get(user);
+  const prev = items.get(snapshot.url);
+  if (!prev && items.size >= MAX_ITEMS_PER_USER) throw new Error(`Limite de ${MAX_ITEMS_PER_USER} itens salvos atingido`);
+
+  const now = new Date().toISOString();
+  const saved = {
+    url: snapshot.url,
+    title: snapshot.title || prev?.title,
+    image: cleanImage(snapshot.image) || prev?.image || null,
+    publishedAt: cleanDate(snapshot.publishedAt) || prev?.publishedAt || null,
+    source: snapshot.source || prev?.source || null,
+    note: note !== undefined ? String(note).slice(0, MAX_NOTE) : prev?.note || "",
+    tags: tags !== undefined ? cleanTags(tags) : prev?.tags || [],
+    savedAt: prev?.savedAt || now,
+    updatedAt: now,
+  };
+  items.set(saved.url, saved);
+  scheduleSave();
+  return saved;
+}
+
+export function removeBookmark(user, url) {
+  const removed = users.get(user)?.delete(url) || false;
+  if (removed) scheduleSave();
+  return removed;
+}
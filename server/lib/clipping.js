@@ -0,0 +1,149 @@
+// server/lib/clipping.js
+//
+// Clipping diário: as notícias de um dia (por padrão, ontem em São Paulo),
+// agrupadas por fonte na ordem de SOURCES, como página HTML para imprimir ou
+// corpo de e-mail (HTML com estilos inline + versão em texto).
+
+import dayjs from "dayjs";
+import { DEFAULT_TZ } from "./dates.js";
+import { queryArchive } from "./archive.js";
+import { sendMail } from "./mailer.js";
+
+const TITLE = "Clipping – Radar de Notícias";
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// "YYYY-MM-DD" de ontem no fuso do radar
+export function previousDay(tz = DEFAULT_TZ) {
+  return dayjs().tz(tz).subtract(1, "day").format("YYYY-MM-DD");
+}
+
+// Data do clipping validada; null se não for YYYY-MM-DD
+export function parseClippingDate(date, tz = DEFAULT_TZ) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date))) return null;
+  const d = dayjs.tz(String(date), "YYYY-MM-DD", tz);
+  return d.isValid() && d.format("YYYY-MM-DD") === date ? d : null;
+}
+
+// Itens do dia por fonte, na ordem das definições (fontes sem itens ficam de fora)
+export function buildClipping(sources, date, tz = DEFAULT_TZ) {
+  const day = parseClippingDate(date, tz);
+  if (!day) throw new RangeError("date deve ser YYYY-MM-DD");
+  const bySource = queryArchive({ start: day.startOf("day"), end: day.endOf("day"), sources: sources.map((s) => s.key) });
+  const groups = sources
+    .map((s) => ({ key: s.key, name: s.name, color: s.color, url: s.url, items: bySource.get(s.key) || [] }))
+    .filter((g) => g.items.length);
+  return {
+    date,
+    tz,
+    generatedAt: dayjs().tz(tz).toISOString(),
+    total: groups.reduce((n, g) => n + g.items.length, 0),
+    sources: groups,
+  };
+}
+
+function formatDay(date) {
+  return new Intl.DateTimeFormat("pt-BR", { weekday: "long", day: "2-digit", month: "long", year: "numeric", timeZone: "UTC" }).format(
+    new Date(`${date}T12:00:00Z`)
+  );
+}
+
+function formatTime(iso, tz) {
+  return iso ? new Intl.DateTimeFormat("pt-BR", { hour: "2-digit", minute: "2-digit", timeZone: tz }).format(new Date(iso)) : "";
+}
+
+export function clippingSubject(clipping) {
+  return `${TITLE} – ${formatDay(clipping.date)} (${clipping.total} notícias)`;
+}
+
+// HTML com estilos inline (clientes de e-mail ignoram <style>); printable acrescenta o botão "Imprimir"
+export function renderClippingHtml(clipping, { siteUrl = null, printable = false } = {}) {
+  const groups = clipping.sources.map((g) => {
+    const rows = g.items.map((it) => {
+      const thumb = it.image
+        ? `<img src="${escapeHtml(it.image)}" alt="" width="96" height="64" style="display:block;width:96px;height:64px;object-fit:cover;border-radius:6px;border:0">`
+        : `<div style="width:96px;height:64px;background:#f1f5f9;border-radius:6px"></div>`;
+      const time = it.dateOnly ? "" : formatTime(it.publishedAt, clipping.tz);
+      const summary = it.summary || it.description;
+      return `
+        <tr>
+          <td style="padding:8px 12px 8px 0;vertical-align:top;width:96px">${thumb}</td>
+          <td style="padding:8px 0;vertical-align:top">
+            <a href="${escapeHtml(it.url)}" style="color:#0f172a;font-weight:700;text-decoration:none;font-size:15px">${escapeHtml(it.title)}</a>
+            ${time ? `<div style="color:#64748b;font-size:12px;margin-top:2px">${time}</div>` : ""}
+            ${summary ? `<div style="color:#334155;font-size:13px;margin-top:4px">${escapeHtml(summary)}</div>` : ""}
+          </td>
+        </tr>`;
+    });
+    return `
+    <section style="margin:24px 0;page-break-inside:auto">
+      <h2 style="font-size:17px;margin:0 0 4px;padding-bottom:4px;border-bottom:3px solid ${escapeHtml(g.color || "#1d4ed8")};color:${escapeHtml(g.color || "#1d4ed8")}">
+        ${escapeHtml(g.name)} <span style="color:#64748b;font-weight:400;font-size:13px">(${g.items.length})</span>
+      </h2>
+      <table role="presentation" cellpadding="0" cellspacing="0" style="width:100%;border-collapse:collapse">${rows.join("")}
+      </table>
+    </section>`;
+  });
+
+  const body = groups.length
+    ? groups.join("")
+    : `<p style="color:#64748b">Nenhuma notícia arquivada neste dia.</p>`;
+  const printButton = printable
+    ? `<p class="no-print" style="margin:0 0 16px"><button onclick="window.print()" style="padding:6px 14px;border-radius:8px;border:1px solid #1d4ed8;background:#1d4ed8;color:#fff;font-weight:600;cursor:pointer">Imprimir</button></p>`
+    : "";
+  const footer = siteUrl
+    ? `<p style="color:#94a3b8;font-size:12px;margin-top:32px">Gerado pelo <a href="${escapeHtml(siteUrl)}" style="color:#64748b">Radar de Notícias</a>.</p>`
+    : "";
+
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(clippingSubject(clipping))}</title>
+<style>@media print { .no-print { display: none } a { color: inherit } }</style>
+</head>
+<body style="margin:0;padding:24px;background:#fff;font-family:Arial,Helvetica,sans-serif;color:#0f172a">
+<div style="max-width:760px;margin:0 auto">
+  ${printButton}
+  <h1 style="font-size:22px;margin:0;color:#1d4ed8">${TITLE}</h1>
+  <p style="margin:4px 0 0;color:#475569;text-transform:capitalize">${formatDay(clipping.date)}</p>
+  <p style="margin:4px 0 0;color:#64748b;font-size:13px">${clipping.total} notícias de ${clipping.sources.length} fontes</p>
+  ${body}
+  ${footer}
+</div>
+</body>
+</html>
+`;
+}
+
+// Versão em texto puro, para clientes de e-mail sem HTML
+export function renderClippingText(clipping, { siteUrl = null } = {}) {
+  const lines = [`${TITLE}`, formatDay(clipping.date), ""];
+  for (const g of clipping.sources) {
+    lines.push(`== ${g.name} (${g.items.length}) ==`);
+    for (const it of g.items) {
+      const time = it.dateOnly ? "" : formatTime(it.publishedAt, clipping.tz);
+      lines.push(`- ${time ? `[${time}] ` : ""}${it.title}`, `  ${it.url}`);
+    }
+    lines.push("");
+  }
+  if (!clipping.sources.length) lines.push("Nenhuma notícia arquivada neste dia.", "");
+  if (siteUrl) lines.push(`Radar de Notícias: ${siteUrl}`);
+  return lines.join("\n");
+}
+
+// Envia o clipping aos destinatários da configuração SMTP (ver mailer.js)
+export function sendClipping(config, clipping, { siteUrl = null } = {}) {
+  return sendMail(config, {
+    subject: clippingSubject(clipping),
+    html: renderClippingHtml(clipping, { siteUrl }),
+    text: renderClippingText(clipping, { siteUrl }),
+  });
+}
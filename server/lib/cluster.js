@@ -0,0 +1,109 @@
+// server/lib/cluster.js
+//
+// Agrupa a mesma notícia publicada por várias fontes (ex.: nota do MRE
+// replicada no Gov.br e no MMA). Dois itens caem no mesmo grupo quando:
+//   - apontam para a mesma URL canônica, ou
+//   - os títulos normalizados são parecidos (Dice ≥ SIMILARITY_THRESHOLD)
+//     e foram publicados com até MAX_GAP_HOURS de diferença.
+
+import { tokenize } from "./text.js";
+import { ALL_STOPWORDS } from "./stopwords.js";
+
+const SIMILARITY_THRESHOLD = 0.6;
+const MAX_GAP_HOURS = 72;
+const MIN_TOKENS = 3; // títulos muito curtos ("Nota à imprensa") só agrupam por URL
+
+// URL comparável: sem protocolo/www, fragmento, parâmetros de rastreamento e barra final
+export function canonicalUrl(url) {
+  try {
+    const u = new URL(url);
+    for (const key of [...u.searchParams.keys()]) {
+      if (/^(utm_|fbclid$|gclid$|mc_|ref$)/i.test(key)) u.searchParams.delete(key);
+    }
+    const host = u.hostname.replace(/^www\./, "");
+    const pathname = u.pathname.replace(/\/+$/, "").replace(/\/(index|view)(\.html?)?$/i, "");
+    const query = u.searchParams.toString();
+    return `${host}${pathname}${query ? `?${query}` : ""}`.toLowerCase();
+  } catch {
+    return String(url || "").toLowerCase();
+  }
+}
+
+// Palavras significativas do título (sem acento, sem palavras vazias)
+export function titleTokens(title) {
+  return new Set(tokenize(title).filter((t) => t.length > 1 && !ALL_STOPWORDS.has(t)));
+}
+
+// Coeficiente de Dice entre dois conjuntos de tokens
+export function similarity(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const t of a) if (b.has(t)) shared++;
+  return (2 * shared) / (a.size + b.size);
+}
+
+function closeInTime(a, b) {
+  if (!a.publishedAt || !b.publishedAt) return true;
+  return Math.abs(new Date(a.publishedAt) - new Date(b.publishedAt)) <= MAX_GAP_HOURS * 3600 * 1000;
+}
+
+// Primário do grupo: a publicação mais antiga (a original); em empate, a que tem imagem
+function pickPrimary(members) {
+  return [...members].sort(
+    (a, b) =>
+      new Date(a.publishedAt || 0) - new Date(b.publishedAt || 0) ||
+      Number(Boolean(b.image)) - Number(Boolean(a.image))
+  )[0];
+}
+
+// items: [{ title, url, image, publishedAt, tags, source: { key, name, color } }]
+// → [{ id, primary, also: [{ source, title, url, publishedAt }], size }], do mais recente ao mais antigo
+export function clusterItems(items) {
+  const parent = items.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const union = (i, j) => {
+    const a = find(i);
+    const b = find(j);
+    if (a !== b) parent[b] = a;
+  };
+
+  const byUrl = new Map();
+  const tokens = items.map((it) => titleTokens(it.title));
+  items.forEach((it, i) => {
+    const key = canonicalUrl(it.url);
+    if (byUrl.has(key)) union(byUrl.get(key), i);
+    else byUrl.set(key, i);
+  });
+
+  for (let i = 0; i < items.length; i++) {
+    if (tokens[i].size < MIN_TOKENS) continue;
+    for (let j = i + 1; j < items.length; j++) {
+      if (tokens[j].size < MIN_TOKENS || find(i) === find(j)) continue;
+      if (closeInTime(items[i], items[j]) && similarity(tokens[i], tokens[j]) >= SIMILARITY_THRESHOLD) union(i, j);
+    }
+  }
+
+  const groups = new Map();
+  items.forEach((it, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(it);
+  });
+
+  const clusters = [...groups.values()].map((members) => {
+    const primary = pickPrimary(members);
+    const seenSources = new Set([primary.source.key]);
+    const also = [];
+    for (const m of members) {
+      if (m === primary || seenSources.has(m.source.key)) continue;
+      seenSources.add(m.source.key);
+      also.push({ source: m.source, title: m.title, url: m.url, publishedAt: m.publishedAt });
+    }
+    const tags = [...new Set(members.flatMap((m) => m.tags || []))];
+    const latest = members.reduce((max, m) => (m.publishedAt && m.publishedAt > max ? m.publishedAt : max), "");
+    return { id: canonicalUrl(primary.url), primary: { ...primary, tags }, also, size: members.length, latest };
+  });
+
+  clusters.sort((a, b) => new Date(b.latest || 0) - new Date(a.latest || 0));
+  return clusters.map(({ latest, ...c }) => c);
+}
@@ -0,0 +1,243 @@
+// server/lib/dateparser.js
+//
+// Leitura das datas que as fontes publicam, em qualquer um destes formatos:
+//   ISO 8601          "2025-06-10T07:15:00Z", "2025-06-10T10:00:00-03:00", "2025-06-10"
+//   RFC 822 (feeds)   "Tue, 10 Jun 2025 08:00:00 +0000", "10 Jun 2025 08:00 GMT"
+//   numéricos         "10/06/2025 09h45", "10.06.2025", "10-06-25 14:30", "2025/06/10"
+//   mês por extenso   "4 de novembro de 2025 às 18h45", "4 nov. 2025", "Nov 4, 2025 3:45 PM",
+//                     "November 4th, 2025", "5 de junio de 2025" (pt/es/en, completo ou abreviado)
+//   relativos         "há 3 horas", "hace 2 días", "2 hours ago", "ontem às 14h", "hoy", "yesterday"
+//
+// Datas sem fuso são do horário de São Paulo; offsets explícitos (Z, -03:00,
+// +0000, GMT, UTC, BRT...) são respeitados. Expressões relativas contam a
+// partir de `now` (a hora da coleta). Sem horário, a data vale o início do dia
+// e volta marcada com dateOnly — o cliente mostra só o dia e a ordenação não
+// inventa um horário.
+
+import dayjs from "dayjs";
+import { DEFAULT_TZ } from "./dates.js";
+import { foldAccents, normalizeWhitespace } from "./text.js";
+
+const MONTHS = {
+  // pt
+  janeiro: 1, fevereiro: 2, marco: 3, abril: 4, maio: 5, junho: 6,
+  julho: 7, agosto: 8, setembro: 9, outubro: 10, novembro: 11, dezembro: 12,
+  jan: 1, fev: 2, mar: 3, abr: 4, mai: 5, jun: 6, jul: 7, ago: 8, set: 9, out: 10, nov: 11, dez: 12,
+  // es
+  enero: 1, febrero: 2, marzo: 3, mayo: 5, junio: 6, julio: 7,
+  septiembre: 9, setiembre: 9, octubre: 10, noviembre: 11, diciembre: 12,
+  ene: 1, feb: 2, may: 5, sep: 9, oct: 10, dic: 12,
+  // en
+  january: 1, february: 2, march: 3, april: 4, june: 6, july: 7, august: 8,
+  september: 9, october: 10, november: 11, december: 12,
+  apr: 4, aug: 8, sept: 9, dec: 12,
+};
+const MONTH_NAMES = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join("|");
+
+// Fusos por sigla que aparecem em feeds e páginas (minutos em relação a UTC)
+const ZONES = { z: 0, gmt: 0, ut: 0, utc: 0, brt: -180, brst: -120, est: -300, edt: -240, cst: -360, cdt: -300, pst: -480, pdt: -420, cet: 60, cest: 120, bst: 60 };
+
+const UNITS = {
+  minute: ["minuto", "min", "minute", "mins"],
+  hour: ["hora", "h", "hour", "hr", "hrs"],
+  day: ["dia", "day"],
+  week: ["semana", "week"],
+  month: ["mes", "meses", "month"],
+  year: ["ano", "year"],
+};
+const UNIT_OF = Object.fromEntries(Object.entries(UNITS).flatMap(([unit, words]) => words.map((w) => [w, unit])));
+const UNIT_NAMES = Object.keys(UNIT_OF).sort((a, b) => b.length - a.length).join("|");
+const ONE = { um: 1, uma: 1, un: 1, una: 1, a: 1, an: 1, one: 1 };
+
+// Dia relativo ("hoje", "ontem"...) → dias para trás
+const RELATIVE_DAYS = [
+  [/\b(?:anteontem|anteayer|antier|day before yesterday)\b/, 2],
+  [/\b(?:ontem|ayer|yesterday)\b/, 1],
+  [/\b(?:hoje|hoy|today)\b/, 0],
+];
+
+const ISO_RE = /(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(z|[+-]\d{2}:?\d{2})?)?/i;
+const AGO_RE = new RegExp(`\\b(?:(?:ha|hace)\\s+(\\d+|${Object.keys(ONE).join("|")})\\s+(${UNIT_NAMES})s?|(\\d+|${Object.keys(ONE).join("|")})\\s+(${UNIT_NAMES})s?\\s+(?:ago|atras))\\b`);
+const NOW_RE = /\b(?:agora(?: mesmo)?|ahora(?: mismo)?|just now|now|a instantes|hace instantes|ha instantes)\b/;
+const NUMERIC_YMD_RE = /\b(\d{4})[/.](\d{1,2})[/.](\d{1,2})\b/;
+const NUMERIC_DMY_RE = /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})\b/;
+const NAMED_DMY_RE = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th|º)?\\.?\\s*(?:de\\s+|-|/)?(${MONTH_NAMES})\\.?(?:\\s*(?:de|del|,)?\\s*|-|/)(\\d{4})\\b`);
+const NAMED_MDY_RE = new RegExp(`\\b(${MONTH_NAMES})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`);
+const NAMED_DM_RE = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th|º)?\\s*(?:de\\s+)?(${MONTH_NAMES})\\b\\.?`);
+const NAMED_MD_RE = new RegExp(`\\b(${MONTH_NAMES})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`);
+const TIME_HM_RE = /\b(\d{1,2})\s*(?::|h)\s*(\d{2})(?::(\d{2}))?(?!\d)(?:\s*([ap])\.?\s*m\b\.?)?/;
+const TIME_H_RE = /\b(\d{1,2})\s*(?:h\b|([ap])\.?\s*m\b\.?)/;
+const OFFSET_RE = new RegExp(`(?:\\b(gmt|utc|ut)\\s*([+-]\\d{1,2}(?::?\\d{2})?)?|([+-])(\\d{2}):?(\\d{2})\\b|\\b(${Object.keys(ZONES).join("|")})\\b)`);
+
+// Minúsculas, sem acentos e com espaços simples: "Março" → "marco", "días" → "dias"
+function fold(text) {
+  return foldAccents(normalizeWhitespace(text)).replace(/[–—−]/g, "-");
+}
+
+function cut(text, match) {
+  return `${text.slice(0, match.index)} ${text.slice(match.index + match[0].length)}`;
+}
+
+// "+0300", "-03:00", "+3", "-0330" → minutos
+function offsetMinutes(sign, hh, mm = "0") {
+  const total = Number(hh) * 60 + Number(mm);
+  return sign === "-" ? -total : total;
+}
+
+function findOffset(text) {
+  const m = text.match(OFFSET_RE);
+  if (!m) return null;
+  if (m[1]) {
+    if (!m[2]) return 0;
+    const [, sign, digits] = m[2].match(/([+-])(\d+(?::?\d+)?)/);
+    const [hh, mm] = digits.includes(":") ? digits.split(":") : digits.length > 2 ? [digits.slice(0, -2), digits.slice(-2)] : [digits, "0"];
+    return offsetMinutes(sign, hh, mm);
+  }
+  if (m[3]) return offsetMinutes(m[3], m[4], m[5]);
+  return ZONES[m[6]];
+}
+
+function findTime(text) {
+  let hour, minute = 0, second = 0, meridiem, m;
+  if ((m = text.match(TIME_HM_RE))) [, hour, minute, second = 0, meridiem] = m;
+  else if ((m = text.match(TIME_H_RE))) [, hour, meridiem] = m;
+  else return null;
+  [hour, minute, second] = [hour, minute, second].map(Number);
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (meridiem === "p" ? 12 : 0);
+  }
+  if (hour > 23 || minute > 59 || second > 59) return null;
+  return { hour, minute, second, rest: cut(text, m) };
+}
+
+// Ano de dois dígitos → 20xx; datas impossíveis (31/02) são recusadas
+function validDate(year, month, day) {
+  const y = Number(year) < 100 ? 2000 + Number(year) : Number(year);
+  const m = Number(month);
+  const d = Number(day);
+  if (y < 1990 || y > 2100 || m < 1 || m > 12 || d < 1 || d > 31) return null;
+  const probe = dayjs.utc(`${y}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`);
+  return probe.isValid() && probe.date() === d && probe.month() + 1 === m ? { year: y, month: m, day: d } : null;
+}
+
+// Dia/mês sem ano: a ocorrência mais recente que não esteja no futuro (com um dia de folga)
+function inferYear(month, day, now, tz) {
+  const today = dayjs(now).tz(tz);
+  for (const year of [today.year(), today.year() - 1]) {
+    const date = validDate(year, month, day);
+    if (date && !dayjs.tz(`${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`, tz).isAfter(today.add(1, "day"))) {
+      return date;
+    }
+  }
+  return null;
+}
+
+// Parte de data do texto (sem horário); devolve o que sobrou para procurar a hora
+function findDate(text, now, tz) {
+  let m = text.match(NUMERIC_YMD_RE);
+  if (m) return { date: validDate(m[1], m[2], m[3]), rest: cut(text, m) };
+
+  m = text.match(NUMERIC_DMY_RE);
+  if (m) {
+    // Padrão dd/mm; se o segundo número não cabe em mês, é o formato americano mm/dd
+    const [a, b] = [Number(m[1]), Number(m[2])];
+    const date = b > 12 && a <= 12 ? validDate(m[3], a, b) : validDate(m[3], b, a);
+    return { date, rest: cut(text, m) };
+  }
+
+  m = text.match(NAMED_DMY_RE);
+  if (m) return { date: validDate(m[3], MONTHS[m[2]], m[1]), rest: cut(text, m) };
+  m = text.match(NAMED_MDY_RE);
+  if (m) return { date: validDate(m[3], MONTHS[m[1]], m[2]), rest: cut(text, m) };
+  m = text.match(NAMED_DM_RE);
+  if (m) return { date: inferYear(MONTHS[m[2]], Number(m[1]), now, tz), rest: cut(text, m) };
+  m = text.match(NAMED_MD_RE);
+  if (m) return { date: inferYear(MONTHS[m[1]], Number(m[2]), now, tz), rest: cut(text, m) };
+  return null;
+}
+
+function result(d, dateOnly) {
+  return d.isValid() ? { iso: d.toISOString(), dateOnly } : null;
+}
+
+// Data + hora (ou só a data) no fuso indicado; com offset explícito, ele vale sobre o fuso
+function compose({ year, month, day }, time, offset, tz) {
+  const ymd = `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+  if (!time) return result(dayjs.tz(ymd, tz).startOf("day"), true);
+  const hms = [time.hour, time.minute, time.second].map((n) => String(n).padStart(2, "0")).join(":");
+  if (offset != null) return result(dayjs.utc(`${ymd}T${hms}`).subtract(offset, "minute"), false);
+  return result(dayjs.tz(`${ymd}T${hms}`, tz), false);
+}
+
+function parseIso(m, tz) {
+  const [, y, mo, d, hh, mi, ss, zone] = m;
+  if (!validDate(y, mo, d)) return null;
+  if (hh == null) return result(dayjs.tz(`${y}-${mo}-${d}`, tz).startOf("day"), true);
+  const local = `${y}-${mo}-${d}T${hh}:${mi}:${ss || "00"}`;
+  if (!zone) return result(dayjs.tz(local, tz), false);
+  // Com "Z" ou offset o instante já está definido: nada de reinterpretar no fuso local
+  const offset = zone.toLowerCase() === "z" ? 0 : offsetMinutes(zone[0], zone.slice(1, 3), zone.slice(-2));
+  return result(dayjs.utc(local).subtract(offset, "minute"), false);
+}
+
+function parseRelative(text, now, tz) {
+  const base = dayjs(now).tz(tz);
+
+  const ago = text.match(AGO_RE);
+  if (ago) {
+    const amount = ago[1] || ago[3];
+    const n = ONE[amount] ?? Number(amount);
+    const unit = UNIT_OF[ago[2] || ago[4]];
+    const at = base.subtract(n, unit);
+    // Minutos/horas dão o instante; dias ou mais, só o dia
+    return unit === "minute" || unit === "hour" ? result(at, false) : result(at.startOf("day"), true);
+  }
+
+  for (const [re, daysBack] of RELATIVE_DAYS) {
+    const m = text.match(re);
+    if (!m) continue;
+    const day = base.subtract(daysBack, "day");
+    const time = findTime(cut(text, m));
+    return compose({ year: day.year(), month: day.month() + 1, day: day.date() }, time, null, tz);
+  }
+
+  if (NOW_RE.test(text)) return result(base, false);
+  return null;
+}
+
+// Texto de data → { iso, dateOnly } ou null. now: referência das expressões relativas (hora da coleta)
+export function parseDate(raw, { now = new Date(), tz = DEFAULT_TZ } = {}) {
+  if (raw == null) return null;
+  const text = fold(String(raw));
+  if (!text) return null;
+
+  const iso = text.match(ISO_RE);
+  if (iso) {
+    const parsed = parseIso(iso, tz);
+    if (parsed) return parsed;
+  }
+
+  // "3 days ago 2 comments": o "ago" da expressão relativa não é agosto ("ago 2" → 2 de agosto)
+  if (AGO_RE.test(text)) return parseRelative(text, now, tz);
+
+  const found = findDate(text, now, tz);
+  if (found?.date) {
+    const time = findTime(found.rest);
+    const offset = time ? findOffset(time.rest) : null;
+    return compose(found.date, time, offset, tz);
+  }
+  if (found) return null; // parecia uma data, mas é impossível (ex.: 31/02)
+
+  return parseRelative(text, now, tz);
+}
+
+// Campos do item: { publishedAt } e, quando não há horário, dateOnly: true
+export function publishedFields(parsed) {
+  return parsed ? { publishedAt: parsed.iso, ...(parsed.dateOnly ? { dateOnly: true } : {}) } : { publishedAt: null };
+}
+
+// Só o ISO (para quem não precisa da precisão)
+export function parseDateTime(raw, options) {
+  return parseDate(raw, options)?.iso || null;
+}
@@ -0,0 +1,69 @@
+// server/lib/dates.js
+//
+// Fuso do radar e janelas de tempo das consultas. A leitura das datas
+// publicadas pelas fontes fica em dateparser.js.
+
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+import customParseFormat from "dayjs/plugin/customParseFormat.js";
+import localizedFormat from "dayjs/plugin/localizedFormat.js";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+dayjs.extend(customParseFormat);
+dayjs.extend(localizedFormat);
+
+export const DEFAULT_TZ = "America/Sao_Paulo";
+
+// Limite de intervalo: "YYYY-MM-DD" cobre o dia inteiro em SP; ISO completo é usado como veio
+function parseBound(raw, tz, edge) {
+  const s = String(raw).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) {
+    const d = dayjs.tz(s, "YYYY-MM-DD", tz);
+    if (!d.isValid()) return null;
+    return edge === "start" ? d.startOf("day") : d.endOf("day");
+  }
+  const d = dayjs(s);
+  return d.isValid() ? d.tz(tz) : null;
+}
+
+// Janela de tempo a partir da query: hours=N, since/until, days=N (padrão: hoje e ontem)
+export function parseWindow(query = {}, tz = DEFAULT_TZ) {
+  const now = dayjs().tz(tz);
+
+  if (query.hours != null) {
+    const hours = Number(query.hours);
+    if (!Number.isFinite(hours) || hours <= 0) throw new RangeError("hours deve ser um número positivo");
+    return { mode: "hours", hours, start: now.subtract(hours, "hour"), end: now };
+  }
+
+  if (query.since || query.until) {
+    const start = query.since ? parseBound(query.since, tz, "start") : dayjs(0).tz(tz);
+    const end = query.until ? parseBound(query.until, tz, "end") : now.endOf("day");
+    if (!start || !end) throw new RangeError("since/until devem ser datas ISO (YYYY-MM-DD ou data e hora)");
+    if (end.isBefore(start)) throw new RangeError("until deve ser posterior a since");
+    return { mode: "range", start, end };
+  }
+
+  const days = query.days != null ? Number(query.days) : 2;
+  if (!Number.isInteger(days) || days <= 0) throw new RangeError("days deve ser um inteiro positivo");
+  return { mode: "days", days, start: now.startOf("day").subtract(days - 1, "day"), end: now.endOf("day") };
+}
+
+export function withinWindow(iso, win) {
+  if (!iso) return false;
+  const t = dayjs(iso).valueOf();
+  return t >= win.start.valueOf() && t <= win.end.valueOf();
+}
+
+// Forma serializável da janela, devolvida no payload
+export function describeWindow(win) {
+  return {
+    mode: win.mode,
+    ...(win.days != null ? { days: win.days } : {}),
+    ...(win.hours != null ? { hours: win.hours } : {}),
+    since: win.start.toISOString(),
+    until: win.end.toISOString(),
+  };
+}
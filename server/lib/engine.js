@@ -0,0 +1,348 @@
+// server/lib/engine.js
+//
+// Motor genérico de coleta: executa uma definição declarativa de fonte
+// (ver server/sources.json) em vez de um scraper escrito à mão por site.
+//
+// Formato de uma definição:
+//   {
+//     "key": "mre_notas",                 // identificador estável (usado na API)
+//     "name": "MRE – Notas à Imprensa",   // nome exibido
+//     "color": "#16a34a",                 // cor da aba/cartão
+//     "refreshMinutes": 15,               // opcional: intervalo da coleta em segundo plano (padrão 30)
+//     "url": "https://...",               // página de listagem
+//     "baseUrl": "https://www.gov.br",    // opcional: base para links relativos (padrão: url)
+//     "item": ".listagem .item",          // seletor de cada notícia na listagem
+//     "fields": {                         // extratores relativos ao item
+//       "title": "a",
+//       "url": "a@href",
+//       "image": ["img@data-src", "img@src"],
+//       "date": ["time@datetime", ".data"],
+//       "description": ".resumo"           // opcional: linha fina, usada nos temas
+//     },
+//     "enrich": { "image": true, "date": true, "text": true }, // opcional: o que buscar na página da matéria
+//     "feed": "https://.../rss.xml",       // opcional: RSS/Atom lido antes do HTML
+//     "pagination": { "param": "page" }    // opcional: páginas seguintes da listagem (ver abaixo)
+//   }
+//
+// Com "feed", o feed é a fonte principal e a listagem HTML (url + item +
+// fields) vira fallback quando o feed falha ou vem vazio. Uma fonte só de
+// feed pode omitir "item" e "fields".
+//
+// O enriquecimento abre a página da matéria para completar imagem/data que a
+// listagem não traz e, com "text", para ler o texto (busca e resumo). Cada
+// matéria é baixada uma única vez (cache em articles.js).
+//
+// Paginação da listagem HTML, em uma de três formas:
+//   { "param": "page" }                            // ?page=N, a partir do valor que já está na url
+//   { "url": "https://.../page/{page}/", "start": 1 } // modelo (WordPress, /page=N); start = número da url
+//   { "next": "a[rel=next]@href" }                 // segue o link "próxima" (extrator sobre a página)
+// "maxPages" limita as páginas lidas (padrão PAGINATION_MAX_PAGES). Só há
+// paginação quando a coleta recebe uma janela de datas: a leitura para na
+// primeira página com itens mais antigos que o início da janela, numa página
+// sem itens novos ou no limite. Fontes com feed também descem a listagem quando
+// o feed não chega ao início da janela.
+//
+// Extrator: "seletor" lê o texto do primeiro nó; "seletor@attr" lê o atributo;
+// "@attr" lê o atributo do próprio item. Uma lista é tentada em ordem até
+// achar um valor não vazio (ex.: data-src antes de src em imagens lazy-load).
+
+import fs from "fs";
+import dayjs from "dayjs";
+import * as cheerio from "cheerio";
+import { absoluteUrl, safeFetch } from "./http.js";
+import { cachedArticleMeta, rememberArticleMeta } from "./articles.js";
+import { FEED_ACCEPT, parseFeed } from "./feed.js";
+import { DEFAULT_TZ, withinWindow } from "./dates.js";
+import { parseDate, publishedFields } from "./dateparser.js";
+import { normalizeWhitespace } from "./text.js";
+import { extractArticle } from "./reader.js";
+import { summarize } from "./summary.js";
+
+const DEFAULT_ENRICH = { image: true, date: true, text: true };
+// Matérias baixadas ao mesmo tempo por coleta; o limite por host fica em http.js
+const ENRICH_CONCURRENCY = Number(process.env.ENRICH_CONCURRENCY) || 4;
+// Páginas de listagem lidas por coleta, quando a definição não diz outra coisa
+const PAGINATION_MAX_PAGES = Number(process.env.PAGINATION_MAX_PAGES) || 3;
+const PAGINATION_MODES = ["param", "url", "next"];
+
+function parseExtractor(spec) {
+  const at = spec.lastIndexOf("@");
+  if (at === -1) return { selector: spec.trim(), attr: null };
+  return { selector: spec.slice(0, at).trim(), attr: spec.slice(at + 1).trim() };
+}
+
+// Todos os valores não vazios de um extrator, na ordem das alternativas
+function extractValues($, el, spec) {
+  if (!spec) return [];
+  const candidates = Array.isArray(spec) ? spec : [spec];
+  const values = [];
+  for (const candidate of candidates) {
+    const { selector, attr } = parseExtractor(candidate);
+    const node = selector ? $(el).find(selector).first() : $(el);
+    if (!node.length) continue;
+    const value = normalizeWhitespace(attr ? node.attr(attr) : node.text());
+    if (value) values.push(value);
+  }
+  return values;
+}
+
+function extractField($, el, spec) {
+  return extractValues($, el, spec)[0] ?? null;
+}
+
+// Data do item: a primeira alternativa com horário vence; sem nenhuma, a primeira só com o dia
+function extractDate($, el, spec, now) {
+  const parsed = extractValues($, el, spec).map((v) => parseDate(v, { now })).filter(Boolean);
+  return parsed.find((p) => !p.dateOnly) || parsed[0] || null;
+}
+
+function parseArticleMeta(html, url) {
+  const $ = cheerio.load(html);
+
+  const ogImage =
+    $('meta[property="og:image"]').attr("content") ||
+    $('meta[name="twitter:image"]').attr("content") ||
+    null;
+
+  const ogTime =
+    $('meta[property="article:published_time"]').attr("content") ||
+    $('meta[property="article:modified_time"]').attr("content") ||
+    $('meta[property="og:updated_time"]').attr("content") ||
+    $('meta[name="dc.date"]').attr("content") ||
+    $('meta[name="date"]').attr("content") ||
+    $('meta[itemprop="datePublished"]').attr("content") ||
+    $('meta[itemprop="dateModified"]').attr("content") ||
+    $("time[datetime]").attr("datetime") ||
+    null;
+
+  const description =
+    $('meta[property="og:description"]').attr("content") ||
+    $('meta[name="description"]').attr("content") ||
+    null;
+
+  const published = parseDate(ogTime);
+  // Conteúdo principal (modo leitura); o texto também alimenta a busca
+  const { text, title, author, lead, canonicalUrl, siteName } = extractArticle(html, url);
+  return {
+    ogImage,
+    ...publishedFields(published),
+    description: normalizeWhitespace(description) || null,
+    text,
+    summary: summarize(text),
+    reader: { title, author, lead, canonicalUrl, siteName },
+  };
+}
+
+// Busca meta (imagem + data) na página da matéria; matérias já lidas vêm do cache
+export async function fetchArticleMeta(url, fetchText = safeFetch) {
+  const known = cachedArticleMeta(url);
+  if (known) return known;
+  try {
+    const meta = parseArticleMeta(await fetchText(url), url);
+    rememberArticleMeta(url, meta);
+    return meta;
+  } catch (e) {
+    return { ogImage: null, publishedAt: null, description: null, text: null };
+  }
+}
+
+// Matéria no modo leitura: usa o cache quando a extração já foi feita, senão baixa de novo
+export async function readArticle(url, fetchText = safeFetch) {
+  let meta = cachedArticleMeta(url);
+  if (!meta?.reader) {
+    meta = parseArticleMeta(await fetchText(url), url);
+    rememberArticleMeta(url, meta);
+  }
+  const lines = meta.text ? meta.text.split("\n") : [];
+  return {
+    ...meta.reader,
+    paragraphs: lines.slice(1),
+    image: meta.ogImage,
+    publishedAt: meta.publishedAt,
+    dateOnly: Boolean(meta.dateOnly),
+    text: meta.text,
+  };
+}
+
+async function forEachLimit(list, limit, fn) {
+  let next = 0;
+  const worker = async () => {
+    while (next < list.length) await fn(list[next++]);
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, list.length) }, worker));
+}
+
+function sameDay(a, b) {
+  return dayjs(a).tz(DEFAULT_TZ).format("YYYY-MM-DD") === dayjs(b).tz(DEFAULT_TZ).format("YYYY-MM-DD");
+}
+
+// Completa imagem/data ausentes e lê o texto (busca + resumo) na página da matéria
+async function enrichItems(items, options, fetchText) {
+  const opts = { ...DEFAULT_ENRICH, ...(options === false ? { image: false, date: false, text: false } : options) };
+  const pending = items.filter((it) => opts.text || (opts.image && !it.image) || (opts.date && (!it.publishedAt || it.dateOnly)));
+  await forEachLimit(pending, ENRICH_CONCURRENCY, async (it) => {
+    const meta = await fetchArticleMeta(it.url, fetchText);
+    it.image = it.image || meta.ogImage;
+    if (!it.publishedAt) {
+      Object.assign(it, publishedFields(meta.publishedAt && { iso: meta.publishedAt, dateOnly: meta.dateOnly }));
+    } else if (it.dateOnly && meta.publishedAt && !meta.dateOnly && sameDay(it.publishedAt, meta.publishedAt)) {
+      // A listagem só trazia o dia; a matéria traz o horário do mesmo dia
+      it.publishedAt = meta.publishedAt;
+      delete it.dateOnly;
+    }
+    it.description = it.description || meta.description;
+    it.text = meta.text;
+    // Entradas do cache anteriores aos resumos ganham o resumo aqui
+    it.summary = meta.summary !== undefined ? meta.summary : summarize(meta.text);
+  });
+  return items;
+}
+
+function listingItems(def, $, now) {
+  const base = def.baseUrl || def.url;
+  const items = [];
+  $(def.item).each((_, el) => {
+    const title = extractField($, el, def.fields.title);
+    const link = absoluteUrl(extractField($, el, def.fields.url), base);
+    const img = extractField($, el, def.fields.image);
+    if (title && link) {
+      items.push({
+        title,
+        url: link,
+        image: absoluteUrl(img, base),
+        ...publishedFields(extractDate($, el, def.fields.date, now)),
+        description: extractField($, el, def.fields.description),
+      });
+    }
+  });
+  return items;
+}
+
+// now: hora da coleta, referência para datas relativas ("há 3 horas")
+export function parseListing(def, html, { now = new Date() } = {}) {
+  return listingItems(def, cheerio.load(html), now);
+}
+
+// URL da página seguinte (index 1 = segunda página); null quando a fonte não informa
+function nextPageUrl(def, $, pageUrl, index) {
+  const { param, url, next, start = 1 } = def.pagination;
+  if (next) return absoluteUrl(extractField($, $.root(), next), pageUrl);
+  if (url) return url.replaceAll("{page}", String(start + index));
+  const u = new URL(def.url);
+  const first = Number(u.searchParams.get(param) ?? start);
+  u.searchParams.set(param, String((Number.isInteger(first) ? first : start) + index));
+  return u.toString();
+}
+
+// Algum item anterior ao início da janela: as páginas seguintes são ainda mais antigas
+function reachedWindowStart(items, window) {
+  return items.some((it) => it.publishedAt && new Date(it.publishedAt).getTime() < window.start.valueOf());
+}
+
+// Lê a listagem e, com paginação e janela, as páginas seguintes até sair da janela.
+// Só a primeira página pode falhar a coleta; uma falha adiante fica com o que já foi lido
+async function readListing(def, fetchText, { now, window, maxPages }) {
+  const limit = window && def.pagination ? maxPages || def.pagination.maxPages || PAGINATION_MAX_PAGES : 1;
+  const items = [];
+  const seen = new Set();
+  const visited = new Set();
+  let url = def.url;
+  for (let page = 0; page < limit && url && !visited.has(url); page++) {
+    visited.add(url);
+    let html;
+    try {
+      html = await fetchText(url);
+    } catch (e) {
+      if (!page) throw e;
+      console.warn(`[${def.key}] página ${page + 1} indisponível: ${e.message}`);
+      break;
+    }
+    const $ = cheerio.load(html);
+    const found = listingItems(def, $, now).filter((it) => !seen.has(it.url));
+    for (const it of found) {
+      seen.add(it.url);
+      items.push(it);
+    }
+    if (!found.length || !window || reachedWindowStart(found, window)) break;
+    url = nextPageUrl(def, $, url, page + 1);
+  }
+  return items;
+}
+
+// Executa uma definição: feed (se houver) → listagem HTML → enriquecimento.
+// fetchText(url, opts) → HTML/XML pode ser trocado (ex.: fixtures nos testes).
+// window ({ start, end }, ver dates.js) liga a paginação; maxPages troca o limite da definição.
+// onlyWindow descarta, antes de baixar as matérias, os itens datados fora da janela (os sem
+// data seguem: a data pode vir da matéria). signal (AbortSignal) cancela a coleta: nenhuma
+// página é pedida (nem guardada em cache) depois dele
+export async function runSource(
+  def,
+  { fetchText: fetchPage = safeFetch, now = new Date(), window = null, maxPages = null, onlyWindow = false, signal = null } = {}
+) {
+  const fetchText = signal
+    ? async (url, opts) => {
+        signal.throwIfAborted();
+        const body = await fetchPage(url, { ...opts, signal });
+        signal.throwIfAborted();
+        return body;
+      }
+    : fetchPage;
+  let items = [];
+  if (def.feed) {
+    try {
+      const xml = await fetchText(def.feed, { headers: { Accept: FEED_ACCEPT } });
+      items = parseFeed(xml, def.feed, { now });
+    } catch (e) {
+      if (!def.item) throw e;
+      console.warn(`[${def.key}] feed indisponível, usando HTML: ${e.message}`);
+    }
+  }
+  if (!items.length && def.item) {
+    items = await readListing(def, fetchText, { now, window, maxPages });
+  } else if (def.item && def.pagination && window && !reachedWindowStart(items, window)) {
+    // O feed só traz os últimos itens: a listagem completa o resto da janela
+    try {
+      const known = new Set(items.map((it) => it.url));
+      const listed = await readListing(def, fetchText, { now, window, maxPages });
+      items = items.concat(listed.filter((it) => !known.has(it.url)));
+    } catch (e) {
+      console.warn(`[${def.key}] listagem indisponível, só o feed: ${e.message}`);
+    }
+  }
+  if (window && onlyWindow) items = items.filter((it) => !it.publishedAt || withinWindow(it.publishedAt, window));
+  await enrichItems(items, def.enrich, fetchText);
+  signal?.throwIfAborted();
+  return items;
+}
+
+export function validateDefinition(def) {
+  const missing = ["key", "name"].filter((k) => !def?.[k]);
+  if (!def?.feed || def?.item) {
+    // Sem feed a listagem HTML é obrigatória; com feed ela é opcional, mas se vier tem de estar completa
+    for (const k of ["url", "item"]) if (!def?.[k]) missing.push(k);
+    if (!def?.fields?.title) missing.push("fields.title");
+    if (!def?.fields?.url) missing.push("fields.url");
+  }
+  if (def?.pagination) {
+    const modes = PAGINATION_MODES.filter((k) => def.pagination[k]);
+    if (modes.length !== 1) missing.push(`pagination.${PAGINATION_MODES.join("|")}`);
+    if (!def.item) missing.push("item (paginação só vale para a listagem HTML)");
+  }
+  if (missing.length) {
+    throw new Error(`Definição de fonte inválida (${def?.key || "?"}): faltando ${missing.join(", ")}`);
+  }
+  return def;
+}
+
+// Lê o arquivo de definições e valida cada fonte
+export function loadSourceDefinitions(file) {
+  const defs = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(defs)) throw new Error(`${file}: esperado um array de fontes`);
+  const seen = new Set();
+  for (const def of defs) {
+    validateDefinition(def);
+    if (seen.has(def.key)) throw new Error(`${file}: chave duplicada "${def.key}"`);
+    seen.add(def.key);
+  }
+  return defs;
+}
@@ -0,0 +1,116 @@
+// server/lib/feed.js
+//
+// Leitura de feeds RSS 2.0 / RSS 1.0 (RDF) / Atom no mesmo formato
+// { title, url, image, publishedAt, dateOnly? } produzido pelo scraping de HTML,
+// mais a descrição em texto puro.
+
+import * as cheerio from "cheerio";
+import { absoluteUrl } from "./http.js";
+import { parseDate, publishedFields } from "./dateparser.js";
+import { normalizeWhitespace } from "./text.js";
+
+export const FEED_ACCEPT =
+  "application/rss+xml, application/atom+xml, application/rdf+xml;q=0.9, application/xml;q=0.9, text/xml;q=0.8, */*;q=0.5";
+
+// Texto puro de description/summary (que costumam vir com HTML), encurtado
+function plainText(html, max = 500) {
+  if (!html) return null;
+  const text = normalizeWhitespace(cheerio.load(html).text());
+  return text ? text.slice(0, max) : null;
+}
+
+// Primeira <img> dentro de um trecho HTML (description/content:encoded)
+function firstImageInHtml(html) {
+  if (!html || !html.includes("<img")) return null;
+  const $ = cheerio.load(html);
+  return $("img").first().attr("src") || null;
+}
+
+// media:content / media:thumbnail / enclosure de imagem, nessa ordem
+function mediaImage($, el) {
+  const media = $(el)
+    .find("media\\:content, media\\:group > media\\:content")
+    .filter((_, m) => {
+      const medium = $(m).attr("medium");
+      const type = $(m).attr("type") || "";
+      return medium === "image" || type.startsWith("image/") || (!medium && !type);
+    })
+    .first()
+    .attr("url");
+  if (media) return media;
+
+  const thumb = $(el).find("media\\:thumbnail").first().attr("url");
+  if (thumb) return thumb;
+
+  const enclosure = $(el)
+    .find("enclosure")
+    .filter((_, e) => ($(e).attr("type") || "").startsWith("image/"))
+    .first()
+    .attr("url");
+  if (enclosure) return enclosure;
+
+  // Atom: <link rel="enclosure" type="image/...">
+  return (
+    $(el)
+      .find('link[rel="enclosure"]')
+      .filter((_, l) => ($(l).attr("type") || "").startsWith("image/"))
+      .first()
+      .attr("href") || null
+  );
+}
+
+function parseRssItem($, el, base, now) {
+  const $el = $(el);
+  const guid = $el.children("guid").first();
+  const link =
+    normalizeWhitespace($el.children("link").first().text()) ||
+    (guid.attr("isPermaLink") !== "false" ? normalizeWhitespace(guid.text()) : null);
+  const summary = $el.children("description").first().text();
+  const body = $el.children("content\\:encoded").first().text() || summary;
+  const image = mediaImage($, el) || firstImageInHtml(body);
+  const date =
+    $el.children("pubDate").first().text() ||
+    $el.children("dc\\:date").first().text() ||
+    $el.children("published, updated").first().text();
+  return {
+    title: normalizeWhitespace(cheerio.load($el.children("title").first().text()).text()),
+    url: absoluteUrl(link, base),
+    image: absoluteUrl(image, base),
+    ...publishedFields(parseDate(date, { now })),
+    description: plainText(summary || body),
+  };
+}
+
+function parseAtomEntry($, el, base, now) {
+  const $el = $(el);
+  const links = $el.children("link");
+  const alternate =
+    links.filter((_, l) => !$(l).attr("rel") || $(l).attr("rel") === "alternate").first().attr("href") ||
+    links.first().attr("href");
+  const summary = $el.children("summary").first().text();
+  const body = $el.children("content").first().text() || summary;
+  const image = mediaImage($, el) || firstImageInHtml(body);
+  const date = $el.children("published").first().text() || $el.children("updated").first().text();
+  return {
+    title: normalizeWhitespace(cheerio.load($el.children("title").first().text()).text()),
+    url: absoluteUrl(alternate, base),
+    image: absoluteUrl(image, base),
+    ...publishedFields(parseDate(date, { now })),
+    description: plainText(summary || body),
+  };
+}
+
+// Aceita RSS 2.0, RSS 1.0 (RDF) e Atom; lança erro se o documento não for um feed.
+// now: hora da coleta, referência para datas relativas
+export function parseFeed(xml, base, { now = new Date() } = {}) {
+  const $ = cheerio.load(xml, { xml: true });
+  let items = [];
+  if ($("rss, rdf\\:RDF").length) {
+    items = $("item").map((_, el) => parseRssItem($, el, base, now)).get();
+  } else if ($("feed").length) {
+    items = $("feed > entry").map((_, el) => parseAtomEntry($, el, base, now)).get();
+  } else {
+    throw new Error(`Documento não é RSS/Atom: ${base}`);
+  }
+  return items.filter((it) => it.title && it.url);
+}
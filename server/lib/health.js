@@ -0,0 +1,70 @@
+// server/lib/health.js
+//
+// Saúde das fontes: cada coleta registra duração, itens lidos, itens sem
+// data/imagem, descartados pelo filtro de data e erros. Uma fonte que não
+// lê nada por EMPTY_RUNS_ALERT coletas seguidas provavelmente mudou de layout.
+
+import { withinWindow } from "./dates.js";
+
+export const EMPTY_RUNS_ALERT = Number(process.env.EMPTY_RUNS_ALERT) || 3;
+const ERROR_HISTORY = 10;
+
+const health = new Map(); // key → estado
+
+function emptyState() {
+  return {
+    lastAttemptAt: null,
+    lastSuccessAt: null,
+    lastDurationMs: null,
+    lastRun: null,
+    consecutiveEmpty: 0,
+    consecutiveFailures: 0,
+    runs: 0,
+    errors: [],
+  };
+}
+
+function stateOf(key) {
+  if (!health.has(key)) health.set(key, emptyState());
+  return health.get(key);
+}
+
+// win: janela padrão do radar, para contar quantos itens o filtro de data descartaria
+export function recordRun(key, { startedAt, finishedAt, items, error, win }) {
+  const h = stateOf(key);
+  h.runs++;
+  h.lastAttemptAt = new Date(startedAt).toISOString();
+  h.lastDurationMs = finishedAt - startedAt;
+
+  if (error) {
+    h.consecutiveFailures++;
+    h.errors.unshift({ at: new Date(finishedAt).toISOString(), message: error });
+    h.errors.length = Math.min(h.errors.length, ERROR_HISTORY);
+    return;
+  }
+
+  const missingDate = items.filter((it) => !it.publishedAt).length;
+  h.lastSuccessAt = new Date(finishedAt).toISOString();
+  h.consecutiveFailures = 0;
+  h.consecutiveEmpty = items.length ? 0 : h.consecutiveEmpty + 1;
+  h.lastRun = {
+    parsed: items.length,
+    missingDate,
+    missingImage: items.filter((it) => !it.image).length,
+    droppedByDate: items.filter((it) => it.publishedAt && !withinWindow(it.publishedAt, win)).length + missingDate,
+  };
+}
+
+// ok | pending | empty (nada lido em N coletas seguidas) | failing (N falhas seguidas) | degraded (última coleta falhou ou veio vazia)
+function classify(h) {
+  if (!h.runs) return "pending";
+  if (h.consecutiveFailures >= EMPTY_RUNS_ALERT) return "failing";
+  if (h.consecutiveEmpty >= EMPTY_RUNS_ALERT) return "empty";
+  if (h.consecutiveFailures || h.consecutiveEmpty) return "degraded";
+  return "ok";
+}
+
+export function sourceHealth(key) {
+  const h = stateOf(key);
+  return { ...h, status: classify(h), alert: ["failing", "empty"].includes(classify(h)) };
+}
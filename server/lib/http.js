@@ -0,0 +1,227 @@
+// server/lib/http.js
+//
+// Camada de rede compartilhada por todas as fontes. Cada pedido:
+//   - respeita o robots.txt do site (lido uma vez por dia por origem);
+//   - passa por um limitador por host (FETCH_HOST_CONCURRENCY pedidos
+//     simultâneos, com FETCH_CRAWL_DELAY_MS entre inícios — ou o Crawl-delay
+//     do site, se maior);
+//   - se identifica com um User-Agent honesto (FETCH_USER_AGENT);
+//   - reaproveita o cache em disco com ETag/Last-Modified (GET condicional).
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import fetch from "node-fetch";
+import { isAllowed, parseRobots } from "./robots.js";
+
+export const USER_AGENT = process.env.FETCH_USER_AGENT || "RadarNoticias/1.0 (news aggregator)";
+const HOST_CONCURRENCY = Number(process.env.FETCH_HOST_CONCURRENCY) || 2;
+const CRAWL_DELAY_MS = Number(process.env.FETCH_CRAWL_DELAY_MS ?? 1000);
+const MAX_CRAWL_DELAY_MS = 60_000; // Crawl-delay absurdo não trava a fonte para sempre
+const ROBOTS_TTL_MS = 24 * 60 * 60 * 1000;
+const ROBOTS_RETRY_MS = 10 * 60 * 1000; // robots.txt inacessível: tenta de novo em 10 min
+const HTTP_CACHE_MAX_AGE_DAYS = 30;
+
+/* ---------- limitador por host ---------- */
+
+const hosts = new Map(); // host → { active, nextAt, delayMs, waiting: [], timer }
+
+function hostState(host) {
+  if (!hosts.has(host)) hosts.set(host, { active: 0, nextAt: 0, delayMs: CRAWL_DELAY_MS, waiting: [], timer: null });
+  return hosts.get(host);
+}
+
+function drain(h) {
+  if (h.timer || !h.waiting.length || h.active >= HOST_CONCURRENCY) return;
+  const wait = h.nextAt - Date.now();
+  if (wait > 0) {
+    h.timer = setTimeout(() => {
+      h.timer = null;
+      drain(h);
+    }, wait);
+    return;
+  }
+  h.active++;
+  h.nextAt = Date.now() + h.delayMs;
+  h.waiting.shift()();
+  drain(h);
+}
+
+function acquire(h) {
+  return new Promise((resolve) => {
+    h.waiting.push(resolve);
+    drain(h);
+  });
+}
+
+function release(h) {
+  h.active--;
+  drain(h);
+}
+
+/* ---------- robots.txt ---------- */
+
+const robotsCache = new Map(); // origin → { promise, expiresAt }
+
+async function loadRobots(origin) {
+  const h = hostState(new URL(origin).host);
+  await acquire(h);
+  try {
+    const res = await request(`${origin}/robots.txt`, { timeout: 10000 });
+    // 4xx: sem robots.txt, tudo liberado; 5xx: site indisponível, nada liberado (RFC 9309)
+    if (res.status >= 500) return { robots: { rules: [{ allow: false, path: "/" }], crawlDelayMs: null }, ttl: ROBOTS_RETRY_MS };
+    if (!res.ok) return { robots: { rules: [], crawlDelayMs: null }, ttl: ROBOTS_TTL_MS };
+    return { robots: parseRobots(await res.text(), USER_AGENT), ttl: ROBOTS_TTL_MS };
+  } catch {
+    // Falha de rede: o próprio pedido da página vai falhar e reportar o erro
+    return { robots: { rules: [], crawlDelayMs: null }, ttl: ROBOTS_RETRY_MS };
+  } finally {
+    release(h);
+  }
+}
+
+function robotsFor(origin) {
+  const hit = robotsCache.get(origin);
+  if (hit && hit.expiresAt > Date.now()) return hit.promise;
+  const entry = { expiresAt: Infinity };
+  entry.promise = loadRobots(origin).then(({ robots, ttl }) => {
+    entry.expiresAt = Date.now() + ttl;
+    return robots;
+  });
+  robotsCache.set(origin, entry);
+  return entry.promise;
+}
+
+/* ---------- cache HTTP em disco ---------- */
+
+let httpCacheDir = null;
+
+// Ativa o cache condicional (ETag/Last-Modified); sem isso safeFetch sempre baixa tudo
+export function openHttpCache(dir) {
+  httpCacheDir = dir;
+  fs.mkdirSync(dir, { recursive: true });
+  const cutoff = Date.now() - HTTP_CACHE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+  let kept = 0;
+  for (const name of fs.readdirSync(dir)) {
+    const file = path.join(dir, name);
+    if (fs.statSync(file).mtimeMs < cutoff) fs.rmSync(file, { force: true });
+    else kept++;
+  }
+  return kept;
+}
+
+function cacheFile(url) {
+  return path.join(httpCacheDir, `${crypto.createHash("sha1").update(url).digest("hex")}.json`);
+}
+
+function readCached(url) {
+  if (!httpCacheDir) return null;
+  try {
+    const entry = JSON.parse(fs.readFileSync(cacheFile(url), "utf8"));
+    return entry.url === url ? entry : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeCached(url, res, body) {
+  const etag = res.headers.get("etag");
+  const lastModified = res.headers.get("last-modified");
+  if (!httpCacheDir || (!etag && !lastModified)) return;
+  const file = cacheFile(url);
+  try {
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify({ url, etag, lastModified, storedAt: new Date().toISOString(), body }));
+    fs.renameSync(`${file}.tmp`, file);
+  } catch (e) {
+    console.error(`[http-cache] falha ao gravar ${url}: ${e.message}`);
+  }
+}
+
+/* ---------- pedidos ---------- */
+
+async function request(url, opts = {}) {
+  const controller = new AbortController();
+  const timeoutMs = opts.timeout ?? 20000;
+  const to = setTimeout(() => controller.abort(new Error("timeout")), timeoutMs);
+  try {
+    const res = await fetch(url, {
+      ...opts,
+      // opts.signal: cancelamento de quem pediu (ex.: prévia do admin que estourou o tempo)
+      signal: opts.signal ? AbortSignal.any([controller.signal, opts.signal]) : controller.signal,
+      headers: {
+        "User-Agent": USER_AGENT,
+        Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+        "Accept-Language": "pt-BR,pt;q=0.9,en;q=0.8,es;q=0.7",
+        ...(opts.headers || {}),
+      },
+    });
+    // Lê o corpo ainda dentro do timeout (binary: Buffer, para imagens)
+    const body = opts.binary ? Buffer.from(await res.arrayBuffer()) : await res.text();
+    return { ok: res.ok, status: res.status, headers: res.headers, text: async () => body };
+  } finally {
+    clearTimeout(to);
+  }
+}
+
+// Baixa uma página/feed de forma educada; devolve o texto ou lança erro
+export async function safeFetch(url, opts = {}) {
+  const { origin, host, pathname, search } = new URL(url);
+  const robots = await robotsFor(origin);
+  if (!isAllowed(robots, pathname + search)) throw new Error(`robots.txt não permite ${url}`);
+
+  const h = hostState(host);
+  h.delayMs = Math.min(Math.max(CRAWL_DELAY_MS, robots.crawlDelayMs ?? 0), MAX_CRAWL_DELAY_MS);
+
+  const cached = readCached(url);
+  const conditional = {};
+  if (cached?.etag) conditional["If-None-Match"] = cached.etag;
+  if (cached?.lastModified) conditional["If-Modified-Since"] = cached.lastModified;
+
+  await acquire(h);
+  try {
+    // Cancelado enquanto esperava a vez no host: nem chega a pedir
+    opts.signal?.throwIfAborted();
+    const res = await request(url, { ...opts, headers: { ...conditional, ...(opts.headers || {}) } });
+    if (res.status === 304 && cached) return cached.body;
+    if (!res.ok) throw new Error(`HTTP ${res.status} on ${url}`);
+    const body = await res.text();
+    writeCached(url, res, body);
+    return body;
+  } finally {
+    release(h);
+  }
+}
+
+// Baixa uma imagem com as mesmas regras (robots.txt, limite por host), sem cache HTTP:
+// o proxy de imagens guarda a versão reduzida. Devolve { body: Buffer, contentType }
+export async function fetchImage(url, { maxBytes, timeout = 15000 } = {}) {
+  const { origin, host, pathname, search } = new URL(url);
+  const robots = await robotsFor(origin);
+  if (!isAllowed(robots, pathname + search)) throw new Error(`robots.txt não permite ${url}`);
+
+  const h = hostState(host);
+  h.delayMs = Math.min(Math.max(CRAWL_DELAY_MS, robots.crawlDelayMs ?? 0), MAX_CRAWL_DELAY_MS);
+  await acquire(h);
+  try {
+    const res = await request(url, {
+      binary: true,
+      timeout,
+      size: maxBytes,
+      // Sem Referer forjado: site que bloqueia a imagem fica com o placeholder da fonte
+      headers: { Accept: "image/avif,image/webp,image/*;q=0.8" },
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status} on ${url}`);
+    return { body: await res.text(), contentType: res.headers.get("content-type") || "" };
+  } finally {
+    release(h);
+  }
+}
+
+// Resolve links relativos da listagem/feed; null se vazio ou inválido
+export function absoluteUrl(href, base) {
+  if (!href) return null;
+  try {
+    return new URL(href.trim(), base).toString();
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,142 @@
+// server/lib/images.js
+//
+// Proxy das imagens dos cartões (/api/img). Em vez de o navegador buscar a
+// foto direto no site da fonte (http:// em página https, fotos de vários MB
+// num cartão de 13rem), o servidor:
+//   - baixa a imagem uma vez pelas regras de http.js;
+//   - recusa o que não é foto: SVG (logos), pixels de rastreamento, ícones,
+//     espaçadores e placeholders de lazy-load (imagem lisa, sem detalhe);
+//   - reduz à largura do cartão em WebP (ou JPEG, se o navegador não aceita
+//     WebP) e guarda o resultado em DATA_DIR/img-cache/.
+// Sem imagem aproveitável (ou se o site recusa o pedido), a rota devolve
+// placeholder(): um SVG na cor da fonte.
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import sharp from "sharp";
+import { fetchImage } from "./http.js";
+
+// Larguras servidas (1x e 2x do cartão; 960 também para telas estreitas de alta densidade)
+export const IMAGE_WIDTHS = [320, 480, 960];
+export const DEFAULT_IMAGE_WIDTH = 480;
+
+const MAX_BYTES = (Number(process.env.IMG_MAX_MB) || 15) * 1024 * 1024;
+const MIN_SIDE = 64; // menor que isso é ícone, pixel de rastreamento ou espaçador
+const MAX_RATIO = 4; // mais largo (ou alto) que 4:1 é faixa/banner, não foto
+const MIN_ENTROPY = 1; // imagem quase lisa: cinza de lazy-load, fundo em branco
+const CACHE_MAX_AGE_DAYS = 30;
+const REJECT_TTL_MS = 6 * 60 * 60 * 1000; // imagem recusada (RangeError): não muda tão cedo
+const ERROR_TTL_MS = 5 * 60 * 1000; // timeout, 5xx, rede: tenta de novo logo
+const MAX_REJECTED = 5000; // falhas lembradas; acima disso as mais antigas saem
+const PHOTO_FORMATS = ["jpeg", "png", "webp", "gif", "avif", "heif", "tiff"];
+
+// Sem o cache de operações do libvips: cada imagem é processada uma vez e vai para o disco
+sharp.cache(false);
+
+let cacheDir = null;
+const inflight = new Map(); // arquivo → promessa (vários cartões pedindo a mesma imagem)
+const rejected = new Map(); // url → { error, until }
+
+export function openImageCache(dir) {
+  cacheDir = dir;
+  fs.mkdirSync(dir, { recursive: true });
+  const cutoff = Date.now() - CACHE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+  let kept = 0;
+  for (const name of fs.readdirSync(dir)) {
+    const file = path.join(dir, name);
+    if (fs.statSync(file).mtimeMs < cutoff) fs.rmSync(file, { force: true });
+    else kept++;
+  }
+  return kept;
+}
+
+function cachePath(url, width, format) {
+  const hash = crypto.createHash("sha1").update(url).digest("hex");
+  return path.join(cacheDir, `${hash}-${width}.${format === "webp" ? "webp" : "jpg"}`);
+}
+
+// Confere o original e gera a miniatura; RangeError quando não é uma foto aproveitável
+async function render(url, width, format) {
+  if (!/^https?:\/\//i.test(url)) throw new RangeError("só imagens http(s)");
+  const { body, contentType } = await fetchImage(url, { maxBytes: MAX_BYTES });
+  if (/svg/i.test(contentType)) throw new RangeError("SVG (logo ou ícone)");
+
+  const meta = await sharp(body, { animated: false }).metadata().catch(() => null);
+  if (!meta || !PHOTO_FORMATS.includes(meta.format)) throw new RangeError(`formato não suportado (${meta?.format || contentType || "?"})`);
+  const { width: w = 0, height: h = 0 } = meta;
+  if (Math.min(w, h) < MIN_SIDE) throw new RangeError(`pequena demais (${w}×${h})`);
+  if (Math.max(w, h) / Math.min(w, h) > MAX_RATIO) throw new RangeError(`proporção de faixa (${w}×${h})`);
+
+  const pipeline = sharp(body, { animated: false })
+    .rotate() // respeita a orientação EXIF antes de descartar os metadados
+    .resize({ width, withoutEnlargement: true })
+    .flatten({ background: "#ffffff" });
+  const out = await (format === "webp" ? pipeline.webp({ quality: 72 }) : pipeline.jpeg({ quality: 75, mozjpeg: true })).toBuffer();
+
+  const { entropy } = await sharp(out).stats();
+  if (entropy < MIN_ENTROPY) throw new RangeError("imagem lisa (placeholder do site)");
+  return out;
+}
+
+// Lembra a falha de uma URL; a cada registro saem as vencidas e, se ainda passar do limite,
+// as mais antigas (o Map guarda a ordem de inserção)
+function rememberFailure(url, error) {
+  const now = Date.now();
+  for (const [key, entry] of rejected) if (entry.until <= now) rejected.delete(key);
+  rejected.delete(url);
+  rejected.set(url, { error, until: now + (error instanceof RangeError ? REJECT_TTL_MS : ERROR_TTL_MS) });
+  for (const key of rejected.keys()) {
+    if (rejected.size <= MAX_REJECTED) break;
+    rejected.delete(key);
+  }
+}
+
+// Miniatura de url na largura pedida: do disco quando já existe, senão baixa e reduz.
+// Recusas (RangeError) ficam lembradas por horas; erros de rede e HTTP, por minutos
+export async function thumbnail(url, { width = DEFAULT_IMAGE_WIDTH, format = "webp" } = {}) {
+  const known = rejected.get(url);
+  if (known && known.until > Date.now()) throw known.error;
+
+  const type = format === "webp" ? "image/webp" : "image/jpeg";
+  const file = cacheDir ? cachePath(url, width, format) : null;
+  if (file && fs.existsSync(file)) return { body: fs.readFileSync(file), type };
+
+  const key = file || `${url}|${width}|${format}`;
+  if (!inflight.has(key)) {
+    const job = render(url, width, format)
+      .then((body) => {
+        try {
+          if (file) {
+            fs.writeFileSync(`${file}.tmp`, body);
+            fs.renameSync(`${file}.tmp`, file);
+          }
+        } catch (e) {
+          console.error(`[img-cache] falha ao gravar ${url}: ${e.message}`);
+        }
+        return body;
+      })
+      .catch((e) => {
+        rememberFailure(url, e);
+        throw e;
+      })
+      .finally(() => inflight.delete(key));
+    inflight.set(key, job);
+  }
+  return { body: await inflight.get(key), type };
+}
+
+function escapeXml(s) {
+  return String(s).replace(/[<>&"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+// Placeholder 16:9 na cor da fonte, com o nome dela; o texto é desenhado pelo navegador
+export function placeholder(source) {
+  const color = /^#[0-9a-f]{6}$/i.test(source?.color || "") ? source.color : "#64748b";
+  const name = escapeXml((source?.name || "Radar de Notícias").slice(0, 40));
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="480" height="270" viewBox="0 0 480 270">
+  <rect width="480" height="270" fill="${color}"/>
+  <circle cx="420" cy="40" r="120" fill="#fff" fill-opacity="0.08"/>
+  <circle cx="60" cy="250" r="90" fill="#fff" fill-opacity="0.06"/>
+  <text x="240" y="143" text-anchor="middle" dominant-baseline="middle" fill="#fff" fill-opacity="0.9" font-family="system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif" font-size="24" font-weight="700">${name}</text>
+</svg>`;
+}
@@ -0,0 +1,147 @@
+// server/lib/reader.js
+//
+// Modo leitura: extrai o conteúdo principal de uma matéria no estilo do
+// Readability. Remove navegação, menus e rodapés, pontua cada bloco pelo
+// texto dos parágrafos que contém (com bônus/penalidade pelo class/id) e
+// fica com o bloco de maior pontuação. Também lê autor, linha fina (lead)
+// e a URL canônica.
+
+import * as cheerio from "cheerio";
+import { absoluteUrl } from "./http.js";
+import { normalizeWhitespace } from "./text.js";
+
+const MAX_TEXT = 40000;
+const MIN_PARAGRAPH = 25;
+
+const NOISE = "script, style, noscript, iframe, form, nav, header, footer, aside, svg, button, select, [role=navigation], [role=banner], [role=contentinfo], [aria-hidden=true]";
+// Casam nomes inteiros de class/id ("nav", "site-footer"), não pedaços ("off-canvas")
+const NEGATIVE = /(^|[\s_-])(comments?|meta|footer|footnotes?|menu|nav|navbar|sidebar|share|sharing|social|related|relacionad\w*|breadcrumbs?|banner|promo|ads?|advert\w*|publicidade|cookies?|newsletter|tags|portlet\w*|rodape|cabecalho)(?=$|[\s_-])/i;
+const POSITIVE = /article|body|content|entry|main|post|text|story|materia|noticia|conteudo|documentContent|parent-fieldname-text/i;
+const BLOCKS = "p, h2, h3, h4, li, blockquote";
+
+// Linha fina em portais comuns (Plone/gov.br, WordPress, Drupal)
+const LEAD_SELECTORS = [".documentDescription", ".lead", ".subtitle", ".entry-summary", ".field--name-field-lead", "[itemprop=description]"];
+const AUTHOR_SELECTORS = [".documentAuthor a", ".documentAuthor", "[itemprop=author] [itemprop=name]", "[itemprop=author]", "[rel=author]", ".byline .author", ".author-name", ".author", ".byline"];
+
+function classWeight($el) {
+  const names = `${$el.attr("class") || ""} ${$el.attr("id") || ""}`;
+  let w = 0;
+  if (NEGATIVE.test(names)) w -= 25;
+  if (POSITIVE.test(names)) w += 25;
+  return w;
+}
+
+function linkDensity($, $el) {
+  const total = normalizeWhitespace($el.text()).length;
+  if (!total) return 0;
+  const links = $el
+    .find("a")
+    .map((_, a) => normalizeWhitespace($(a).text()).length)
+    .get()
+    .reduce((a, b) => a + b, 0);
+  return links / total;
+}
+
+// Pontua os ancestrais de cada parágrafo; o pai leva a pontuação cheia, o avô metade
+function topCandidate($) {
+  const scores = new Map();
+  $("p").each((_, p) => {
+    const text = normalizeWhitespace($(p).text());
+    if (text.length < MIN_PARAGRAPH) return;
+    const score = 1 + text.split(/[,;]/).length + Math.min(Math.floor(text.length / 100), 3);
+    const parent = p.parent;
+    const grand = parent?.parent;
+    for (const [node, factor] of [[parent, 1], [grand, 0.5]]) {
+      if (!node || node.type !== "tag") continue;
+      if (!scores.has(node)) scores.set(node, classWeight($(node)));
+      scores.set(node, scores.get(node) + score * factor);
+    }
+  });
+  let best = null;
+  let bestScore = -Infinity;
+  for (const [node, score] of scores) {
+    const adjusted = score * (1 - linkDensity($, $(node)));
+    if (adjusted > bestScore) {
+      best = node;
+      bestScore = adjusted;
+    }
+  }
+  return best ? $(best) : null;
+}
+
+function firstText($, selectors) {
+  for (const sel of selectors) {
+    const value = normalizeWhitespace($(sel).first().text());
+    if (value) return value;
+  }
+  return null;
+}
+
+function metaContent($, ...selectors) {
+  for (const sel of selectors) {
+    const value = normalizeWhitespace($(sel).attr("content"));
+    if (value) return value;
+  }
+  return null;
+}
+
+function findAuthor($) {
+  const meta = metaContent($, 'meta[name="author"]', 'meta[property="article:author"]', 'meta[name="dc.creator"]');
+  // article:author costuma ser a URL do perfil, que não serve como nome
+  if (meta && !/^https?:\/\//i.test(meta)) return meta;
+  const byline = firstText($, AUTHOR_SELECTORS);
+  return byline ? byline.replace(/^(por|by|de)\s+/i, "").slice(0, 120) : null;
+}
+
+// Extrai { title, author, lead, paragraphs, text, canonicalUrl, siteName } do HTML da matéria
+export function extractArticle(html, url) {
+  const $ = cheerio.load(html);
+
+  const title =
+    metaContent($, 'meta[property="og:title"]', 'meta[name="twitter:title"]') ||
+    normalizeWhitespace($("h1").first().text()) ||
+    normalizeWhitespace($("title").text()) ||
+    null;
+  const canonicalUrl =
+    absoluteUrl($('link[rel="canonical"]').attr("href"), url) || absoluteUrl(metaContent($, 'meta[property="og:url"]'), url) || url;
+  const siteName = metaContent($, 'meta[property="og:site_name"]');
+  const author = findAuthor($);
+  const declaredLead = firstText($, LEAD_SELECTORS);
+
+  $(NOISE).remove();
+  $("*").each((_, el) => {
+    const $el = $(el);
+    if (el.tagName === "body" || el.tagName === "html" || el.tagName === "article" || el.tagName === "main") return;
+    if (NEGATIVE.test(`${$el.attr("class") || ""} ${$el.attr("id") || ""}`) && !POSITIVE.test($el.attr("class") || "")) $el.remove();
+  });
+
+  const root = topCandidate($);
+  const paragraphs = [];
+  let length = 0;
+  if (root) {
+    root.find(BLOCKS).each((_, el) => {
+      // Itens de lista com parágrafo dentro já entram pelo <p>
+      if (el.tagName === "li" && $(el).find("p").length) return;
+      if ($(el).parents("blockquote").length && el.tagName !== "blockquote") return;
+      const text = normalizeWhitespace($(el).text());
+      const isHeading = /^h[2-4]$/.test(el.tagName);
+      if (!text || (!isHeading && el.tagName !== "li" && text.length < MIN_PARAGRAPH)) return;
+      if (linkDensity($, $(el)) > 0.5) return;
+      if (length + text.length > MAX_TEXT) return false;
+      paragraphs.push(text);
+      length += text.length;
+    });
+  }
+
+  const lead = declaredLead || paragraphs[0] || null;
+  const body = paragraphs[0] === lead ? paragraphs.slice(1) : paragraphs;
+  return {
+    title,
+    author,
+    lead,
+    paragraphs: body,
+    text: paragraphs.length ? [lead, ...body].join("\n") : null,
+    canonicalUrl,
+    siteName,
+  };
+}
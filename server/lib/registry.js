@@ -0,0 +1,199 @@
+// server/lib/registry.js
+//
+// Registro de fontes editável em tempo de execução (API /api/admin/sources).
+// O server/sources.json do repositório é só a semente: a primeira alteração
+// feita pela administração grava a lista completa em DATA_DIR/sources.json,
+// que passa a valer nos próximos arranques. Para voltar à semente, apague
+// esse arquivo e reinicie.
+//
+// Além dos campos do motor (ver engine.js), cada fonte aceita
+// "enabled": false, que a tira da grade e da coleta sem perder a definição.
+
+import fs from "fs";
+import path from "path";
+import { loadSourceDefinitions, validateDefinition } from "./engine.js";
+
+const KEY_RE = /^[a-z0-9_]{2,40}$/;
+const COLOR_RE = /^#[0-9a-f]{6}$/i;
+const MIN_REFRESH_MINUTES = 5;
+const MAX_REFRESH_MINUTES = 24 * 60;
+const ENRICH_KEYS = ["image", "date", "text"];
+const FIELD_KEYS = ["title", "url", "image", "date", "description"];
+const MAX_PAGES = 50;
+const PARAM_RE = /^[\w.:\[\]-]{1,40}$/;
+
+let defs = [];
+let file = null;
+let loadedFrom = null;
+
+function fail(message) {
+  throw new RangeError(message);
+}
+
+function isHttpUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function cleanText(value, max) {
+  const s = String(value ?? "").trim();
+  return s ? s.slice(0, max) : null;
+}
+
+// Extrator: texto ou lista de textos (ver engine.js)
+function cleanExtractor(value) {
+  const list = (Array.isArray(value) ? value : [value]).map((v) => cleanText(v, 300)).filter(Boolean);
+  if (!list.length) return null;
+  return list.length === 1 ? list[0] : list;
+}
+
+// Paginação da listagem (ver engine.js): uma forma só, com início e limite opcionais
+function cleanPagination(raw) {
+  const pagination = {};
+  const param = cleanText(raw.param, 40);
+  const url = cleanText(raw.url, 2000);
+  const next = cleanExtractor(raw.next);
+  if (param) {
+    if (!PARAM_RE.test(param)) fail("pagination.param deve ser o nome de um parâmetro da URL");
+    pagination.param = param;
+  }
+  if (url) {
+    if (!url.includes("{page}") || !isHttpUrl(url.replaceAll("{page}", "1"))) {
+      fail("pagination.url deve ser uma URL http(s) com {page} no lugar do número da página");
+    }
+    pagination.url = url;
+  }
+  if (next) pagination.next = next;
+  for (const [k, min, max] of [["start", 0, 10000], ["maxPages", 1, MAX_PAGES]]) {
+    if (raw[k] == null || raw[k] === "") continue;
+    const n = Number(raw[k]);
+    if (!Number.isInteger(n) || n < min || n > max) fail(`pagination.${k} deve ser um inteiro entre ${min} e ${max}`);
+    pagination[k] = n;
+  }
+  return pagination;
+}
+
+// Copia só os campos conhecidos, com tipos e limites conferidos (RangeError quando inválida);
+// requireKey: false no teste de prévia, que roda antes de a fonte ter nome definitivo
+export function normalizeDefinition(raw, { requireKey = true } = {}) {
+  if (!raw || typeof raw !== "object") fail("Envie a definição da fonte como objeto JSON");
+  const def = {};
+
+  const key = cleanText(raw.key, 40);
+  if (key && !KEY_RE.test(key)) fail("key deve ter de 2 a 40 caracteres entre a-z, 0-9 e _");
+  if (key) def.key = key;
+  else if (!requireKey) def.key = "previa";
+
+  def.name = cleanText(raw.name, 120);
+  const color = cleanText(raw.color, 7);
+  if (color && !COLOR_RE.test(color)) fail("color deve estar no formato #rrggbb");
+  def.color = color || "#1d4ed8";
+
+  if (raw.refreshMinutes != null && raw.refreshMinutes !== "") {
+    const minutes = Number(raw.refreshMinutes);
+    if (!Number.isInteger(minutes) || minutes < MIN_REFRESH_MINUTES || minutes > MAX_REFRESH_MINUTES) {
+      fail(`refreshMinutes deve ser um inteiro entre ${MIN_REFRESH_MINUTES} e ${MAX_REFRESH_MINUTES}`);
+    }
+    def.refreshMinutes = minutes;
+  }
+
+  for (const k of ["url", "baseUrl", "feed"]) {
+    const value = cleanText(raw[k], 2000);
+    if (!value) continue;
+    if (!isHttpUrl(value)) fail(`${k} deve ser uma URL http(s)`);
+    def[k] = value;
+  }
+
+  const item = cleanText(raw.item, 300);
+  if (item) def.item = item;
+  if (raw.fields && typeof raw.fields === "object") {
+    const fields = {};
+    for (const k of FIELD_KEYS) {
+      const value = cleanExtractor(raw.fields[k]);
+      if (value) fields[k] = value;
+    }
+    if (Object.keys(fields).length) def.fields = fields;
+  }
+
+  if (raw.enrich && typeof raw.enrich === "object") {
+    def.enrich = Object.fromEntries(ENRICH_KEYS.map((k) => [k, raw.enrich[k] !== false]));
+  }
+  if (raw.pagination && typeof raw.pagination === "object") def.pagination = cleanPagination(raw.pagination);
+  if (raw.enabled === false) def.enabled = false;
+
+  try {
+    validateDefinition(def);
+  } catch (e) {
+    fail(e.message);
+  }
+  // Feed sem listagem HTML: a URL da página continua sendo o link da aba
+  if (!def.url && def.feed) def.url = def.feed;
+  return def;
+}
+
+// Carrega DATA_DIR/sources.json (se existir) ou a semente do repositório
+export function openSourceRegistry({ seedFile, runtimeFile }) {
+  file = runtimeFile;
+  loadedFrom = fs.existsSync(runtimeFile) ? runtimeFile : seedFile;
+  defs = loadSourceDefinitions(loadedFrom);
+  return defs.length;
+}
+
+function persist() {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  // Indentado: o arquivo continua legível e fácil de comparar com a semente
+  fs.writeFileSync(tmp, `${JSON.stringify(defs, null, 2)}\n`);
+  fs.renameSync(tmp, file);
+  loadedFrom = file;
+}
+
+// Todas as definições, inclusive as desativadas, na ordem das abas
+export function listSourceDefinitions() {
+  return defs;
+}
+
+// Só as fontes ativas (grade, coleta, feeds, clipping)
+export function activeSourceDefinitions() {
+  return defs.filter((d) => d.enabled !== false);
+}
+
+export function registryFile() {
+  return loadedFrom;
+}
+
+function getSourceDefinition(key) {
+  return defs.find((d) => d.key === key) || null;
+}
+
+// Nova fonte no fim da lista; null se a key já existe
+export function addSourceDefinition(raw) {
+  const def = normalizeDefinition(raw);
+  if (getSourceDefinition(def.key)) return null;
+  defs = [...defs, def];
+  persist();
+  return def;
+}
+
+// Substitui a definição inteira (a key vem da rota e não muda); null se não existe
+export function replaceSourceDefinition(key, raw) {
+  const index = defs.findIndex((d) => d.key === key);
+  if (index === -1) return null;
+  const def = normalizeDefinition({ ...raw, key });
+  defs = defs.map((d, i) => (i === index ? def : d));
+  persist();
+  return def;
+}
+
+export function setSourceEnabled(key, enabled) {
+  const current = getSourceDefinition(key);
+  if (!current) return null;
+  const { enabled: _, ...rest } = current;
+  const def = enabled ? rest : { ...rest, enabled: false };
+  defs = defs.map((d) => (d.key === key ? def : d));
+  persist();
+  return def;
+}
@@ -0,0 +1,75 @@
+// server/lib/robots.js
+//
+// Interpretação de robots.txt (RFC 9309): escolhe o grupo do nosso
+// User-Agent (ou "*"), aplica Allow/Disallow pela regra mais longa, com
+// curingas "*" e "$", e lê o Crawl-delay quando o site declara um.
+
+// "RadarNoticias/1.0 (+...)" → "radarnoticias"
+export function productToken(userAgent) {
+  return String(userAgent || "").split(/[\/\s]/)[0].toLowerCase();
+}
+
+function parseGroups(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+  for (const raw of String(text || "").split(/\r?\n/)) {
+    const line = raw.replace(/#.*/, "").trim();
+    const sep = line.indexOf(":");
+    if (sep === -1) continue;
+    const field = line.slice(0, sep).trim().toLowerCase();
+    const value = line.slice(sep + 1).trim();
+    if (field === "user-agent") {
+      // Linhas User-agent seguidas compartilham o mesmo grupo
+      if (!lastWasAgent) groups.push((current = { agents: [], rules: [], crawlDelay: null }));
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+    if (field === "allow" || field === "disallow") {
+      if (value) current.rules.push({ allow: field === "allow", path: value });
+      else if (field === "disallow") current.rules.push({ allow: true, path: "/" }); // "Disallow:" vazio libera tudo
+    } else if (field === "crawl-delay") {
+      const seconds = Number(value);
+      if (Number.isFinite(seconds) && seconds >= 0) current.crawlDelay = seconds;
+    }
+  }
+  return groups;
+}
+
+// Regras aplicáveis ao agente: { rules, crawlDelayMs }. O grupo é o do nosso
+// product token exato (sem diferença de maiúsculas); "User-agent: bot" não é nosso
+export function parseRobots(text, userAgent) {
+  const token = productToken(userAgent);
+  const groups = parseGroups(text);
+  const mine = groups.filter((g) => g.agents.includes(token));
+  const chosen = mine.length ? mine : groups.filter((g) => g.agents.includes("*"));
+  const delays = chosen.map((g) => g.crawlDelay).filter((d) => d != null);
+  return {
+    rules: chosen.flatMap((g) => g.rules),
+    crawlDelayMs: delays.length ? Math.max(...delays) * 1000 : null,
+  };
+}
+
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith("$");
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${body}${anchored ? "$" : ""}`);
+}
+
+// Caminho (+ query) liberado? A regra mais específica vence; empate favorece Allow
+export function isAllowed(robots, pathWithQuery) {
+  let best = null;
+  for (const rule of robots?.rules || []) {
+    if (!patternToRegExp(rule.path).test(pathWithQuery)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return !best || best.allow;
+}
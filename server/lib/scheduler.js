@@ -0,0 +1,145 @@
+// server/lib/scheduler.js
+//
+// Agendador em processo: cada fonte é recoletada no próprio intervalo
+// (definição "refreshMinutes", com variação aleatória para não baterem todas
+// juntas). As coletas passam por uma fila com concorrência limitada; pedidos
+// manuais ("Atualizar") viram jobs que acompanham o progresso dessa fila.
+
+const DEFAULT_INTERVAL_MIN = 30;
+const JITTER = 0.15; // ±15% do intervalo
+const INITIAL_SPREAD_MS = 10_000; // primeira coleta espalhada nos primeiros segundos
+const CONCURRENCY = Number(process.env.REFRESH_CONCURRENCY) || 3;
+const MAX_JOBS = 20;
+const REMOVED = "fonte removida";
+
+let refreshFn = null;
+const sources = new Map(); // key → definição
+const timers = new Map(); // key → timeout da próxima coleta
+const queue = [];
+const queued = new Set();
+const running = new Set();
+const jobs = new Map(); // id → job
+let jobSeq = 0;
+
+function refreshMinutes(src) {
+  return Number(src.refreshMinutes) || DEFAULT_INTERVAL_MIN;
+}
+
+function intervalMs(src) {
+  const base = refreshMinutes(src) * 60 * 1000;
+  return Math.round(base * (1 - JITTER + Math.random() * 2 * JITTER));
+}
+
+function scheduleNext(key, delay) {
+  clearTimeout(timers.get(key));
+  const src = sources.get(key);
+  if (!src) return;
+  const t = setTimeout(() => enqueue(key), delay ?? intervalMs(src));
+  t.unref?.();
+  timers.set(key, t);
+}
+
+function enqueue(key) {
+  if (!sources.has(key) || queued.has(key) || running.has(key)) return;
+  queue.push(key);
+  queued.add(key);
+  pump();
+}
+
+function settle(key, error) {
+  for (const job of jobs.values()) {
+    if (job.finishedAt || !job.keys.includes(key) || job.done.includes(key)) continue;
+    job.done.push(key);
+    if (error) job.failed[key] = error;
+    if (job.done.length === job.keys.length) job.finishedAt = new Date().toISOString();
+  }
+}
+
+function pump() {
+  while (running.size < CONCURRENCY && queue.length) {
+    const key = queue.shift();
+    queued.delete(key);
+    const src = sources.get(key);
+    if (!src) {
+      settle(key, REMOVED);
+      continue;
+    }
+    running.add(key);
+    refreshFn(src)
+      .then(
+        () => settle(key, null),
+        (e) => settle(key, e?.message || String(e))
+      )
+      .finally(() => {
+        running.delete(key);
+        scheduleNext(key);
+        pump();
+      });
+  }
+}
+
+// Inicia (ou atualiza) o agendamento; fontes novas ganham timer, removidas perdem e as
+// com outro refreshMinutes são reagendadas (na fila ou coletando, o fim da coleta já usa o novo).
+// Removidas (ou desativadas) ainda na fila saem dela e encerram os jobs que as esperavam
+export function syncSchedule(list, refresh) {
+  if (refresh) refreshFn = refresh;
+  const keys = new Set(list.map((s) => s.key));
+  for (const key of [...sources.keys()]) {
+    if (keys.has(key)) continue;
+    clearTimeout(timers.get(key));
+    timers.delete(key);
+    sources.delete(key);
+    if (queued.delete(key)) {
+      queue.splice(queue.indexOf(key), 1);
+      settle(key, REMOVED);
+    }
+  }
+  for (const src of list) {
+    const prev = sources.get(src.key);
+    sources.set(src.key, src);
+    if (!prev) scheduleNext(src.key, Math.round(Math.random() * INITIAL_SPREAD_MS));
+    else if (refreshMinutes(prev) !== refreshMinutes(src) && !isRefreshing(src.key)) scheduleNext(src.key);
+  }
+}
+
+// Pedido manual: enfileira as fontes e devolve um job para acompanhar o progresso
+export function requestRefresh(keys) {
+  const valid = keys.filter((k) => sources.has(k));
+  const job = {
+    id: String(++jobSeq),
+    keys: valid,
+    done: [],
+    failed: {},
+    startedAt: new Date().toISOString(),
+    finishedAt: valid.length ? null : new Date().toISOString(),
+  };
+  jobs.set(job.id, job);
+  while (jobs.size > MAX_JOBS) jobs.delete(jobs.keys().next().value);
+  for (const key of valid) {
+    clearTimeout(timers.get(key));
+    enqueue(key);
+  }
+  return describeJob(job);
+}
+
+export function describeJob(job) {
+  return {
+    id: job.id,
+    total: job.keys.length,
+    completed: job.done.length,
+    pending: job.keys.filter((k) => !job.done.includes(k)),
+    failed: job.failed,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    status: job.finishedAt ? "done" : "running",
+  };
+}
+
+export function getJob(id) {
+  const job = jobs.get(String(id));
+  return job ? describeJob(job) : null;
+}
+
+export function isRefreshing(key) {
+  return queued.has(key) || running.has(key);
+}
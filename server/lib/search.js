@@ -0,0 +1,176 @@
+// server/lib/search.js
+//
+// Índice invertido em memória sobre títulos e, quando a matéria já foi
+// baixada, sobre o texto do artigo. Busca insensível a acentos e caixa
+// (pt/es/en), com frases entre aspas e filtro por fonte.
+
+import { foldAccents, normalizeWhitespace, tokenize } from "./text.js";
+
+const TITLE_WEIGHT = 3;
+const MIN_PREFIX = 3; // termos com 3+ letras também casam por prefixo ("diplomat" → "diplomatico")
+
+const docs = new Map(); // url → { url, title, image, publishedAt, sources:Set, titleSeq, bodySeq, body, tokens:Set }
+const postings = new Map(); // token → Set<url>
+
+function addPostings(url, tokens) {
+  for (const t of tokens) {
+    let set = postings.get(t);
+    if (!set) postings.set(t, (set = new Set()));
+    set.add(url);
+  }
+}
+
+function removePostings(url, tokens) {
+  for (const t of tokens) {
+    const set = postings.get(t);
+    if (!set) continue;
+    set.delete(url);
+    if (!set.size) postings.delete(t);
+  }
+}
+
+// Troca as postagens do documento pelas do título e do texto atuais: um título
+// editado deixa de casar com os termos antigos
+function updatePostings(doc, titleTokens, bodyTokens) {
+  const next = new Set([...titleTokens, ...bodyTokens]);
+  removePostings(doc.url, [...doc.tokens].filter((t) => !next.has(t)));
+  addPostings(doc.url, next);
+  doc.tokens = next;
+  doc.titleTokens = titleTokens;
+  doc.bodyTokens = bodyTokens;
+}
+
+// Sequência " tok1 tok2 ... " para checar frases com includes()
+function sequence(tokens) {
+  return ` ${tokens.join(" ")} `;
+}
+
+export function indexItem(sourceKey, item) {
+  if (!item?.url || !item.title) return;
+  let doc = docs.get(item.url);
+  if (!doc) {
+    doc = { url: item.url, sources: new Set(), titleSeq: " ", bodySeq: " ", body: "", tokens: new Set(), titleTokens: [], bodyTokens: [] };
+    docs.set(item.url, doc);
+  }
+  doc.title = item.title;
+  doc.image = item.image || doc.image || null;
+  doc.publishedAt = item.publishedAt || doc.publishedAt || null;
+  doc.sources.add(sourceKey);
+
+  const titleTokens = tokenize(item.title);
+  doc.titleSeq = sequence(titleTokens);
+  updatePostings(doc, titleTokens, doc.bodyTokens);
+
+  if (item.text) indexArticleText(item.url, item.text);
+}
+
+// Texto completo da matéria, quando já foi baixado por outra etapa (enriquecimento, leitor...)
+export function indexArticleText(url, text) {
+  const doc = docs.get(url);
+  if (!doc || !text) return;
+  doc.body = normalizeWhitespace(text);
+  const tokens = tokenize(doc.body);
+  doc.bodySeq = sequence(tokens);
+  updatePostings(doc, doc.titleTokens, tokens);
+}
+
+// 'cop30 "direitos humanos" mercosul' → { terms: ["cop30", "mercosul"], phrases: [["direitos", "humanos"]] }
+export function parseQuery(q) {
+  const phrases = [];
+  const rest = String(q || "").replace(/"([^"]+)"/g, (_, p) => {
+    const tokens = tokenize(p);
+    if (tokens.length) phrases.push(tokens);
+    return " ";
+  });
+  return { terms: tokenize(rest), phrases };
+}
+
+// URLs cujo índice tem o termo (exato ou, se longo o bastante, por prefixo)
+function lookupTerm(term, prefix) {
+  const exact = postings.get(term);
+  if (!prefix || term.length < MIN_PREFIX) return exact || new Set();
+  const out = new Set(exact || []);
+  for (const [token, urls] of postings) {
+    if (token.length > term.length && token.startsWith(term)) for (const u of urls) out.add(u);
+  }
+  return out;
+}
+
+function countOccurrences(seq, needle) {
+  let n = 0;
+  for (let i = seq.indexOf(needle); i !== -1; i = seq.indexOf(needle, i + 1)) n++;
+  return n;
+}
+
+function termNeedle(term) {
+  return ` ${term}`; // início de token: casa exato e por prefixo
+}
+
+function score(doc, terms, phrases) {
+  let s = 0;
+  for (const t of terms) {
+    s += TITLE_WEIGHT * countOccurrences(doc.titleSeq, termNeedle(t)) + countOccurrences(doc.bodySeq, termNeedle(t));
+  }
+  for (const p of phrases) {
+    const needle = sequence(p);
+    s += TITLE_WEIGHT * 2 * countOccurrences(doc.titleSeq, needle) + 2 * countOccurrences(doc.bodySeq, needle);
+  }
+  return s;
+}
+
+// Trecho do texto em volta da primeira ocorrência (posições batem porque foldAccents preserva o tamanho em pt/es/en)
+function snippet(doc, needles, radius = 90) {
+  if (!doc.body) return null;
+  const folded = foldAccents(doc.body);
+  const at = needles.map((n) => folded.indexOf(n)).filter((i) => i >= 0).sort((a, b) => a - b)[0];
+  if (at == null) return null;
+  const start = Math.max(0, at - radius);
+  const end = Math.min(doc.body.length, at + radius);
+  return `${start > 0 ? "…" : ""}${doc.body.slice(start, end).trim()}${end < doc.body.length ? "…" : ""}`;
+}
+
+// Busca: todos os termos e frases precisam aparecer (E lógico); ordena por relevância e data
+export function search(q, { sources = null, limit = 50 } = {}) {
+  const { terms, phrases } = parseQuery(q);
+  if (!terms.length && !phrases.length) return { terms, phrases, total: 0, results: [] };
+
+  let candidates = null;
+  const sets = [
+    ...terms.map((t) => lookupTerm(t, true)),
+    ...phrases.flat().map((t) => lookupTerm(t, false)),
+  ].sort((a, b) => a.size - b.size);
+  for (const set of sets) {
+    candidates = candidates ? new Set([...candidates].filter((u) => set.has(u))) : new Set(set);
+    if (!candidates.size) break;
+  }
+
+  const results = [];
+  for (const url of candidates || []) {
+    const doc = docs.get(url);
+    if (sources && ![...doc.sources].some((k) => sources.includes(k))) continue;
+    const text = doc.titleSeq + doc.bodySeq;
+    if (!phrases.every((p) => text.includes(sequence(p)))) continue;
+    results.push({ doc, score: score(doc, terms, phrases) });
+  }
+
+  results.sort((a, b) => b.score - a.score || new Date(b.doc.publishedAt || 0) - new Date(a.doc.publishedAt || 0));
+  const needles = [...phrases.map((p) => p.join(" ")), ...terms];
+  return {
+    terms,
+    phrases,
+    total: results.length,
+    results: results.slice(0, limit).map(({ doc, score: s }) => ({
+      title: doc.title,
+      url: doc.url,
+      image: doc.image,
+      publishedAt: doc.publishedAt,
+      sources: [...doc.sources],
+      score: s,
+      snippet: snippet(doc, needles),
+    })),
+  };
+}
+
+export function indexSize() {
+  return docs.size;
+}
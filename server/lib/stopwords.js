@@ -0,0 +1,43 @@
+// server/lib/stopwords.js
+//
+// Palavras vazias em pt/es/en, já sem acentos (compare com tokens de tokenize()).
+
+const PT = `
+a ao aos aquela aquelas aquele aqueles aquilo as ate com como da das de dela delas dele deles
+depois do dos e ela elas ele eles em entre era eram essa essas esse esses esta estas este estes
+eu foi foram ha isso isto ja la lhe lhes mais mas me mesmo meu minha muito na nao nas nem no nos
+nossa nosso num numa o os ou para pela pelas pelo pelos por qual quando que quem se sem ser sera
+seu seus sua suas so tambem te tem tinha tu tua um uma umas uns vai vao voce sobre apos contra
+durante ainda cada outro outra outros outras todo toda todos todas pode podem sao esta estao
+seja sejam ser sido tendo ter teve tiveram fazer feito faz disse diz segundo onde porque pois
+tal tais apenas bem assim aqui ali hoje ontem dia dias ano anos
+`;
+
+const ES = `
+a al algo algunos ante antes como con contra cual cuando de del desde donde durante e el ella
+ellas ellos en entre era eran es esa esas ese eso esos esta estas este esto estos fue fueron ha
+han hasta hay la las le les lo los mas me mi mientras muy ni no nos o os otra otras otro otros
+para pero por porque que quien se sea ser si sido sin sobre su sus tambien tan te tiene tienen
+todo todos tras tu un una uno unos y ya yo segun aunque cada hoy ayer dia dias ano anos
+`;
+
+const EN = `
+a about after again against all also am an and any are as at be because been before being between
+both but by can could did do does doing down during each few for from further had has have having
+he her here hers him his how i if in into is it its itself just me more most my no nor not of off
+on once only or other our ours out over own same she should so some such than that the their them
+then there these they this those through to too under until up very was we were what when where
+which while who whom why will with would you your yours says said new today yesterday day days year years
+`;
+
+function toSet(list) {
+  return new Set(list.split(/\s+/).filter(Boolean));
+}
+
+export const STOPWORDS = {
+  pt: toSet(PT),
+  es: toSet(ES),
+  en: toSet(EN),
+};
+
+export const ALL_STOPWORDS = new Set([...STOPWORDS.pt, ...STOPWORDS.es, ...STOPWORDS.en]);
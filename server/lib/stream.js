@@ -0,0 +1,54 @@
+// server/lib/stream.js
+//
+// Atualizações ao vivo por Server-Sent Events (GET /api/stream). O servidor
+// empurra dois eventos para todas as abas abertas:
+//   items  → { source: { key, name, color }, items: [...] }   itens que a fonte ainda não tinha listado
+//   status → { key, refreshing, updatedAt, error, health }    início/fim de cada coleta
+// Um comentário a cada HEARTBEAT_MS mantém a conexão viva atrás de proxies;
+// o navegador reconecta sozinho (EventSource) depois de RETRY_MS.
+
+const HEARTBEAT_MS = 25_000;
+const RETRY_MS = 5_000;
+const MAX_CLIENTS = Number(process.env.STREAM_MAX_CLIENTS) || 200;
+
+const clients = new Set(); // respostas abertas
+let eventSeq = 0;
+let heartbeat = null;
+
+function write(res, chunk) {
+  try {
+    res.write(chunk);
+  } catch {
+    clients.delete(res);
+  }
+}
+
+// Handler Express: mantém a resposta aberta e a registra para os próximos eventos
+export function openStream(req, res) {
+  if (clients.size >= MAX_CLIENTS) return res.status(503).json({ error: "Limite de conexões ao vivo atingido" });
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // nginx: não segurar os eventos em buffer
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  clients.add(res);
+  req.on("close", () => clients.delete(res));
+
+  if (!heartbeat) {
+    heartbeat = setInterval(() => {
+      if (!clients.size) return;
+      for (const c of clients) write(c, `: ping\n\n`);
+    }, HEARTBEAT_MS);
+    heartbeat.unref?.();
+  }
+}
+
+// Envia um evento nomeado para todas as conexões abertas
+export function broadcast(event, data) {
+  if (!clients.size) return;
+  const chunk = `id: ${++eventSeq}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const c of clients) write(c, chunk);
+}
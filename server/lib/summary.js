@@ -0,0 +1,97 @@
+// server/lib/summary.js
+//
+// Resumo extrativo local (TextRank): o texto da matéria é quebrado em frases,
+// cada par de frases é ligado pela sobreposição de palavras (sem palavras
+// vazias do idioma detectado) e as frases mais centrais no grafo, segundo um
+// PageRank, formam o resumo na ordem original. Nada sai do servidor.
+
+import { normalizeWhitespace, tokenize } from "./text.js";
+import { STOPWORDS } from "./stopwords.js";
+
+const SUMMARY_SENTENCES = 3;
+const MIN_SENTENCE = 40; // caracteres; descarta legendas, datas e "Leia mais"
+const MAX_SENTENCE = 400;
+const MAX_SENTENCES = 80; // matérias longas: só o começo entra no grafo
+const DAMPING = 0.85;
+const ITERATIONS = 30;
+
+// Abreviações que não encerram frase ("Sr. Guterres", "art. 5º", "Dr.", "U.S.")
+const ABBREVIATIONS = /(?:\b(?:sr|sra|dr|dra|prof|art|arts|n|nº|no|inc|p|pp|vol|cap|ed|etc|mr|mrs|ms|st|vs|gen|gov|sen|dep|min|av)|\b[a-z])\.$/i;
+
+export function splitSentences(text) {
+  const sentences = [];
+  for (const block of String(text || "").split(/\n+/)) {
+    const parts = normalizeWhitespace(block).split(/(?<=[.!?…])\s+(?=["“'(]?[\p{Lu}\p{N}])/u);
+    let current = "";
+    for (const part of parts) {
+      current = current ? `${current} ${part}` : part;
+      if (!ABBREVIATIONS.test(current)) {
+        sentences.push(current);
+        current = "";
+      }
+    }
+    if (current) sentences.push(current);
+  }
+  return sentences;
+}
+
+// Idioma com mais palavras vazias no texto (pt, es ou en)
+export function detectLanguage(tokens) {
+  let best = "pt";
+  let bestHits = -1;
+  for (const [lang, words] of Object.entries(STOPWORDS)) {
+    const hits = tokens.reduce((n, t) => n + (words.has(t) ? 1 : 0), 0);
+    if (hits > bestHits) {
+      best = lang;
+      bestHits = hits;
+    }
+  }
+  return best;
+}
+
+// Similaridade do TextRank original: palavras em comum normalizadas pelo tamanho das frases
+function similarity(a, b) {
+  if (a.size < 2 || b.size < 2) return 0;
+  let common = 0;
+  for (const t of a) if (b.has(t)) common++;
+  return common / (Math.log(a.size) + Math.log(b.size));
+}
+
+function pageRank(weights) {
+  const n = weights.length;
+  const outSum = weights.map((row) => row.reduce((a, b) => a + b, 0));
+  let scores = new Array(n).fill(1 / n);
+  for (let iter = 0; iter < ITERATIONS; iter++) {
+    scores = scores.map((_, i) => {
+      let rank = 0;
+      for (let j = 0; j < n; j++) if (weights[j][i] && outSum[j]) rank += (weights[j][i] / outSum[j]) * scores[j];
+      return (1 - DAMPING) / n + DAMPING * rank;
+    });
+  }
+  return scores;
+}
+
+// 2–3 frases mais representativas do texto, na ordem em que aparecem; null se não houver texto útil
+export function summarize(text, { sentences: count = SUMMARY_SENTENCES } = {}) {
+  const sentences = splitSentences(text)
+    .filter((s) => s.length >= MIN_SENTENCE && s.length <= MAX_SENTENCE)
+    .slice(0, MAX_SENTENCES);
+  if (!sentences.length) return null;
+  if (sentences.length <= count) return sentences.join(" ");
+
+  const tokenLists = sentences.map((s) => tokenize(s));
+  const stopwords = STOPWORDS[detectLanguage(tokenLists.flat())];
+  const bags = tokenLists.map((tokens) => new Set(tokens.filter((t) => t.length > 1 && !stopwords.has(t))));
+
+  const weights = bags.map((a, i) => bags.map((b, j) => (i === j ? 0 : similarity(a, b))));
+  const scores = pageRank(weights);
+
+  // Empate (ou grafo sem ligações) favorece o começo da matéria
+  return scores
+    .map((score, i) => ({ i, score }))
+    .sort((a, b) => b.score - a.score || a.i - b.i)
+    .slice(0, count)
+    .sort((a, b) => a.i - b.i)
+    .map(({ i }) => sentences[i])
+    .join(" ");
+}
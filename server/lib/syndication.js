@@ -0,0 +1,122 @@
+// server/lib/syndication.js
+//
+// Publica o radar agregado como RSS 2.0, Atom e JSON Feed 1.1 a partir do
+// mesmo payload de /api/news ({ generatedAt, sources: [{ key, name, items }] }).
+
+const FEED_TITLE = "Radar de Notícias";
+
+function escapeXml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// Tipo MIME da imagem pela extensão (feeds exigem o type no enclosure)
+function imageType(url) {
+  const ext = (String(url).split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i)?.[1] || "").toLowerCase();
+  return { png: "image/png", gif: "image/gif", webp: "image/webp", svg: "image/svg+xml", avif: "image/avif" }[ext] || "image/jpeg";
+}
+
+// Todos os itens das fontes, com a fonte anexada, do mais recente ao mais antigo
+function flatten(payload) {
+  const items = [];
+  for (const s of payload.sources) {
+    for (const it of s.items) items.push({ ...it, source: { key: s.key, name: s.name, color: s.color, url: s.url } });
+  }
+  return items.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+}
+
+function feedTitle(payload) {
+  return payload.sources.length === 1 ? `${FEED_TITLE} – ${payload.sources[0].name}` : FEED_TITLE;
+}
+
+export function renderRss(payload, { siteUrl, selfUrl }) {
+  const entries = flatten(payload).map((it) => {
+    const image = it.image
+      ? `
+      <enclosure url="${escapeXml(it.image)}" length="0" type="${imageType(it.image)}"/>
+      <media:content url="${escapeXml(it.image)}" medium="image"/>`
+      : "";
+    const source = it.source.url ? `\n      <source url="${escapeXml(it.source.url)}">${escapeXml(it.source.name)}</source>` : "";
+    return `
+    <item>
+      <title>${escapeXml(it.title)}</title>
+      <link>${escapeXml(it.url)}</link>
+      <guid isPermaLink="true">${escapeXml(it.url)}</guid>
+      <pubDate>${new Date(it.publishedAt).toUTCString()}</pubDate>
+      <category>${escapeXml(it.source.name)}</category>${source}${image}
+    </item>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>${escapeXml(feedTitle(payload))}</title>
+    <link>${escapeXml(siteUrl)}</link>
+    <description>Notícias agregadas das fontes monitoradas pelo radar</description>
+    <language>pt-br</language>
+    <lastBuildDate>${new Date(payload.generatedAt).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>${entries.join("")}
+  </channel>
+</rss>
+`;
+}
+
+// <id> do Atom: site + caminho do feed + fontes filtradas, em ordem. A janela e a
+// ordem dos parâmetros não mudam o id; feeds de fontes diferentes têm ids diferentes
+function atomId(siteUrl, selfUrl) {
+  const self = new URL(selfUrl);
+  const id = new URL(self.pathname, siteUrl);
+  const sources = [...new Set((self.searchParams.get("sources") || "").split(",").map((s) => s.trim()).filter(Boolean))].sort();
+  if (sources.length) id.search = `sources=${sources.join(",")}`;
+  return id.toString();
+}
+
+export function renderAtom(payload, { siteUrl, selfUrl }) {
+  const entries = flatten(payload).map((it) => {
+    const image = it.image ? `\n    <link rel="enclosure" type="${imageType(it.image)}" href="${escapeXml(it.image)}"/>` : "";
+    return `
+  <entry>
+    <title>${escapeXml(it.title)}</title>
+    <id>${escapeXml(it.url)}</id>
+    <link rel="alternate" href="${escapeXml(it.url)}"/>${image}
+    <published>${new Date(it.publishedAt).toISOString()}</published>
+    <updated>${new Date(it.publishedAt).toISOString()}</updated>
+    <author><name>${escapeXml(it.source.name)}</name></author>
+    <category term="${escapeXml(it.source.key)}" label="${escapeXml(it.source.name)}"/>
+  </entry>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="pt-br">
+  <title>${escapeXml(feedTitle(payload))}</title>
+  <id>${escapeXml(atomId(siteUrl, selfUrl))}</id>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(siteUrl)}"/>
+  <updated>${new Date(payload.generatedAt).toISOString()}</updated>${entries.join("")}
+</feed>
+`;
+}
+
+export function renderJsonFeed(payload, { siteUrl, selfUrl }) {
+  return {
+    version: "https://jsonfeed.org/version/1.1",
+    title: feedTitle(payload),
+    home_page_url: siteUrl,
+    feed_url: selfUrl,
+    language: "pt-BR",
+    items: flatten(payload).map((it) => ({
+      id: it.url,
+      url: it.url,
+      title: it.title,
+      ...(it.image ? { image: it.image } : {}),
+      date_published: new Date(it.publishedAt).toISOString(),
+      authors: [{ name: it.source.name }],
+      tags: [it.source.name],
+      _radar: { source: it.source.key, color: it.source.color },
+    })),
+  };
+}
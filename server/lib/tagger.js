@@ -0,0 +1,53 @@
+// server/lib/tagger.js
+//
+// Classificação por temas a partir de um dicionário editável (server/topics.json).
+// Cada tema tem palavras-chave em pt/es/en aplicadas ao título e à descrição
+// (meta description / resumo do feed). Regras de uma palavra-chave:
+//   "mercosul"          → palavra inteira
+//   "direitos humanos"  → expressão inteira, na ordem
+//   "climat*"           → prefixo da última palavra ("climate", "climático"...)
+// A comparação ignora acentos e maiúsculas.
+
+import fs from "fs";
+import { tokenize } from "./text.js";
+
+let topics = [];
+
+// Palavra-chave → trecho " tok1 tok2 " (sem o espaço final quando é prefixo) para comparar com itemSequence()
+export function compileKeyword(raw) {
+  const prefix = raw.trim().endsWith("*");
+  const tokens = tokenize(raw.replace(/\*$/, ""));
+  if (!tokens.length) return null;
+  return ` ${tokens.join(" ")}${prefix ? "" : " "}`;
+}
+
+export function loadTopics(file) {
+  const list = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(list)) throw new Error(`${file}: esperado um array de temas`);
+  topics = list.map((t) => {
+    if (!t.key || !t.label) throw new Error(`${file}: tema sem key/label`);
+    const keywords = Object.values(t.keywords || {}).flat();
+    return {
+      key: t.key,
+      label: t.label,
+      color: t.color || null,
+      needles: [...new Set(keywords.map(compileKeyword).filter(Boolean))],
+    };
+  });
+  return topics.length;
+}
+
+// Lista pública dos temas (sem as regras), na ordem do arquivo
+export function listTopics() {
+  return topics.map(({ key, label, color }) => ({ key, label, color }));
+}
+
+// Título + descrição como " tok1 tok2 ... ", onde as palavras-chave compiladas são procuradas
+export function itemSequence(item) {
+  return ` ${tokenize(`${item.title || ""} ${item.description || ""}`).join(" ")} `;
+}
+
+export function tagItem(item) {
+  const seq = itemSequence(item);
+  return topics.filter((t) => t.needles.some((n) => seq.includes(n))).map((t) => t.key);
+}
@@ -0,0 +1,14 @@
+// server/lib/text.js
+
+export function normalizeWhitespace(s) {
+  return (s || "").replace(/\s+/g, " ").trim();
+}
+
+// Minúsculas sem acentos: "Ação" → "acao" (busca e comparação insensíveis a acento)
+export function foldAccents(s) {
+  return (s || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+}
+
+export function tokenize(s) {
+  return foldAccents(s).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
@@ -0,0 +1,71 @@
+// server/scripts/backfill.js
+//
+// Preenche o arquivo com um intervalo de datas, descendo as páginas das listagens:
+//   npm run backfill -- 2025-06-01 2025-06-10                 # todas as fontes ativas
+//   npm run backfill -- 2025-06-01 2025-06-10 un_news_pt eir  # só essas
+//   npm run backfill -- 2025-06-01                            # de 01/06 até hoje
+// Cada fonte lê até BACKFILL_MAX_PAGES páginas (padrão 20) e para quando passa
+// do início do intervalo. Fontes sem "pagination" só têm a primeira página (ou
+// o feed), então raramente alcançam dias antigos.
+//
+// O servidor mantém archive.json em memória e o regrava: pare o servidor
+// antes de rodar, para que ele não sobrescreva o que foi preenchido aqui.
+
+import path from "path";
+import { fileURLToPath } from "url";
+import { flushArchive, openArchive, recordItems } from "../lib/archive.js";
+import { flushArticleCache, openArticleCache } from "../lib/articles.js";
+import { openHttpCache } from "../lib/http.js";
+import { activeSourceDefinitions, openSourceRegistry } from "../lib/registry.js";
+import { runSource } from "../lib/engine.js";
+import { parseWindow, withinWindow } from "../lib/dates.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data");
+const SOURCES_FILE = process.env.SOURCES_FILE || path.join(__dirname, "..", "sources.json");
+const MAX_PAGES = Number(process.env.BACKFILL_MAX_PAGES) || 20;
+
+const [since, until, ...only] = process.argv.slice(2);
+if (!since) {
+  console.error("Uso: npm run backfill -- <desde YYYY-MM-DD> [até YYYY-MM-DD] [fonte...]");
+  process.exit(1);
+}
+
+let win;
+try {
+  win = parseWindow({ since, until });
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+
+openSourceRegistry({ seedFile: SOURCES_FILE, runtimeFile: path.join(DATA_DIR, "sources.json") });
+const defs = activeSourceDefinitions().filter((d) => !only.length || only.includes(d.key));
+if (!defs.length) {
+  console.error(`Nenhuma fonte ativa encontrada para: ${only.join(", ")}`);
+  process.exit(1);
+}
+
+openArchive(path.join(DATA_DIR, "archive.json"));
+openArticleCache(path.join(DATA_DIR, "articles.json"));
+openHttpCache(path.join(DATA_DIR, "http-cache"));
+
+console.log(`Intervalo: ${win.start.format("DD/MM/YYYY HH:mm")} a ${win.end.format("DD/MM/YYYY HH:mm")}`);
+let failed = 0;
+for (const def of defs) {
+  try {
+    // Só as matérias de itens do intervalo são baixadas; os sem data na listagem ficam se a matéria trouxer a data
+    const items = await runSource(def, { window: win, maxPages: MAX_PAGES, onlyWindow: true });
+    const kept = items.filter((it) => withinWindow(it.publishedAt, win));
+    const fresh = recordItems(def.key, kept);
+    const note = def.pagination ? "" : " (sem paginação: só a primeira página)";
+    console.log(`${def.key}: ${kept.length} no intervalo, ${fresh.length} novos no arquivo${note}`);
+  } catch (e) {
+    failed++;
+    console.error(`${def.key}: falhou (${e.message})`);
+  }
+}
+
+flushArchive();
+flushArticleCache();
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,72 @@
+// server/scripts/capture-fixtures.js
+//
+// Captura snapshots novos das fontes para o teste de regressão dos scrapers:
+//   npm run fixtures:capture                 # todas as fontes
+//   npm run fixtures:capture -- mre_notas ibge
+// Grava em test/fixtures/<key>/ cada página baixada (listagem, feed, matérias),
+// o manifest.json e o expected.json com o que os seletores atuais extraem.
+// Revise o diff do expected.json: itens sumindo ou campos null indicam seletor quebrado.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { safeFetch } from "../lib/http.js";
+import { loadSourceDefinitions, runSource } from "../lib/engine.js";
+import { FIXTURES_DIR, publicShape } from "../test/helpers/fixtures.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SOURCES_FILE = process.env.SOURCES_FILE || path.join(__dirname, "..", "sources.json");
+
+function extensionFor(body) {
+  return /^\s*(<\?xml|<rss|<feed|<rdf:RDF)/i.test(body) ? "xml" : "html";
+}
+
+async function capture(def) {
+  const recorded = [];
+  const recorder = async (url, opts) => {
+    const body = await safeFetch(url, opts);
+    recorded.push({ url, body });
+    return body;
+  };
+
+  const items = await runSource(def, { fetchText: recorder });
+
+  const dir = path.join(FIXTURES_DIR, def.key);
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+
+  const manifest = {};
+  recorded.forEach(({ url, body }, i) => {
+    const role = url === def.feed ? "feed" : url === def.url ? "listing" : `article-${String(i).padStart(2, "0")}`;
+    const file = `${role}.${extensionFor(body)}`;
+    manifest[url] = file;
+    fs.writeFileSync(path.join(dir, file), body);
+  });
+  fs.writeFileSync(path.join(dir, "manifest.json"), JSON.stringify(manifest, null, 2) + "\n");
+  fs.writeFileSync(path.join(dir, "expected.json"), JSON.stringify(publicShape(items), null, 2) + "\n");
+
+  const missingDate = items.filter((it) => !it.publishedAt).length;
+  const missingImage = items.filter((it) => !it.image).length;
+  const warn = !items.length || missingDate ? " ⚠" : "";
+  console.log(
+    `${def.key}: ${items.length} itens, ${missingDate} sem data, ${missingImage} sem imagem, ${recorded.length} páginas${warn}`
+  );
+}
+
+const only = process.argv.slice(2);
+const defs = loadSourceDefinitions(SOURCES_FILE).filter((d) => !only.length || only.includes(d.key));
+if (!defs.length) {
+  console.error(`Nenhuma fonte encontrada para: ${only.join(", ")}`);
+  process.exit(1);
+}
+
+let failed = 0;
+for (const def of defs) {
+  try {
+    await capture(def);
+  } catch (e) {
+    failed++;
+    console.error(`${def.key}: falhou (${e.message})`);
+  }
+}
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,32 @@
+// server/scripts/send-clipping.js
+//
+// Envia o clipping agora, sem esperar o horário agendado:
+//   npm run clipping:send                 # ontem
+//   npm run clipping:send -- 2025-06-10   # um dia específico
+// Usa o mesmo arquivo (DATA_DIR) e a mesma configuração SMTP do servidor
+// (ver lib/mailer.js). Para testar, rode um SMTP local (MailHog, smtp4dev)
+// e use SMTP_URL=smtp://localhost:1025 CLIPPING_TO=teste@localhost.
+
+import path from "path";
+import { fileURLToPath } from "url";
+import { openArchive } from "../lib/archive.js";
+import { activeSourceDefinitions, openSourceRegistry } from "../lib/registry.js";
+import { buildClipping, previousDay, sendClipping } from "../lib/clipping.js";
+import { mailConfig } from "../lib/mailer.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data");
+const SOURCES_FILE = process.env.SOURCES_FILE || path.join(__dirname, "..", "sources.json");
+
+const config = mailConfig();
+if (!config) {
+  console.error("SMTP não configurado: defina SMTP_URL (ou SMTP_HOST) e CLIPPING_TO");
+  process.exit(1);
+}
+
+openArchive(path.join(DATA_DIR, "archive.json"));
+// Mesmas fontes ativas do servidor (inclusive as alteradas pela administração)
+openSourceRegistry({ seedFile: SOURCES_FILE, runtimeFile: path.join(DATA_DIR, "sources.json") });
+const clipping = buildClipping(activeSourceDefinitions(), process.argv[2] || previousDay());
+const info = await sendClipping(config, clipping, { siteUrl: process.env.PUBLIC_URL || null });
+console.log(`${clipping.date}: ${clipping.total} notícias enviadas para ${config.to.join(", ")} (${info.messageId})`);
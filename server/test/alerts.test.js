@@ -0,0 +1,112 @@
+// server/test/alerts.test.js
+//
+// Regras de alerta: casamento, corpo de cada formato, deduplicação e o corte
+// de recência. Os envios vão para um servidor HTTP local que guarda os corpos.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+import { alertBody, describeAlerts, evaluateAlerts, loadAlertRules, matches } from "../lib/alerts.js";
+import { compileKeyword } from "../lib/tagger.js";
+
+const NOW = Date.parse("2025-06-11T12:00:00Z");
+const SOURCE = { key: "mre_notas", name: "MRE – Notas", color: "#16a34a" };
+
+function item(slug, { hoursAgo = 1, ...extra } = {}) {
+  return {
+    url: `https://ex.org/${slug}`,
+    title: `Nota sobre ${slug}`,
+    publishedAt: new Date(NOW - hoursAgo * 60 * 60 * 1000).toISOString(),
+    tags: [],
+    ...extra,
+  };
+}
+
+// Servidor que recebe os webhooks; received guarda os corpos na ordem de chegada
+async function webhookServer() {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      received.push(JSON.parse(body));
+      res.end("ok");
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { received, url: `http://127.0.0.1:${server.address().port}/hook`, close: () => server.close() };
+}
+
+function writeRules(rules) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "alerts-"));
+  const file = path.join(dir, "alerts.json");
+  fs.writeFileSync(file, JSON.stringify(rules));
+  return file;
+}
+
+const waitFor = async (fn, ms = 2000) => {
+  const until = Date.now() + ms;
+  while (!fn() && Date.now() < until) await new Promise((r) => setTimeout(r, 20));
+};
+
+test("alertas: matches exige fonte E tema E palavra-chave", () => {
+  const rule = { sources: ["mre_notas"], topics: ["america_latina"], needles: [] };
+  assert.equal(matches(rule, SOURCE, item("a", { tags: ["america_latina"] })), true);
+  assert.equal(matches(rule, { key: "eir" }, item("a", { tags: ["america_latina"] })), false);
+  assert.equal(matches(rule, SOURCE, item("a", { tags: ["brics"] })), false);
+
+  const keyword = { sources: [], topics: [], needles: ["acordo comercial", "mercosul*"].map(compileKeyword) };
+  assert.equal(matches(keyword, SOURCE, item("x", { title: "Novo ACORDO comercial" })), true);
+  assert.equal(matches(keyword, SOURCE, item("x", { title: "Cúpula", summary: "Países do Mercosul reunidos" })), true);
+  assert.equal(matches(keyword, SOURCE, item("x", { title: "Acordo de paz" })), false);
+});
+
+test("alertas: corpo no formato Slack, Discord e genérico", () => {
+  const it = { ...item("venezuela"), title: "Nota <urgente> | Venezuela", source: SOURCE, summary: "Resumo." };
+  const slack = alertBody({ name: "Venezuela", webhook: { format: "slack" } }, [it]);
+  assert.match(slack.text, /^\*Radar de Notícias – Venezuela\*/);
+  assert.match(slack.text, /<https:\/\/ex\.org\/venezuela\|Nota urgente  Venezuela> — MRE – Notas/);
+
+  const discord = alertBody({ name: "Venezuela", webhook: { format: "discord" } }, [it]);
+  assert.equal(discord.embeds[0].url, it.url);
+  assert.equal(discord.embeds[0].color, 0x16a34a);
+  assert.equal(discord.embeds[0].description, "Resumo.");
+
+  const generic = alertBody({ id: "v", name: "Venezuela", webhook: { format: "generic" } }, [it]);
+  assert.deepEqual(generic.rule, { id: "v", name: "Venezuela" });
+  assert.equal(generic.items[0].summary, "Resumo.");
+  assert.equal(generic.items[0].dateOnly, false);
+});
+
+test("alertas: primeira coleta só marca, itens antigos não disparam, cada item dispara uma vez", async () => {
+  const hook = await webhookServer();
+  try {
+    loadAlertRules(writeRules([{ id: "venezuela", keywords: ["venezuela"], webhook: { url: hook.url, format: "generic" } }]));
+
+    // Primeira coleta da fonte: nada é enviado, mesmo com itens recentes que casam
+    assert.equal(evaluateAlerts(SOURCE, [item("venezuela-1")], { now: NOW }), 0);
+
+    const old = item("venezuela-antiga", { hoursAgo: 24 * 30 });
+    const undated = { ...item("venezuela-sem-data"), publishedAt: null };
+    const fresh = item("venezuela-2");
+    const other = item("argentina");
+    assert.equal(evaluateAlerts(SOURCE, [old, undated, fresh, other], { now: NOW }), 1);
+    await waitFor(() => hook.received.length === 1);
+    assert.deepEqual(hook.received[0].items.map((it) => it.url), [fresh.url]);
+    // O disparo é datado pela hora da coleta (now), não pelo relógio
+    assert.equal(describeAlerts()[0].lastFiredAt, new Date(NOW).toISOString());
+
+    // O mesmo item de novo (outra página, outra coleta) não dispara
+    assert.equal(evaluateAlerts(SOURCE, [fresh], { now: NOW }), 0);
+  } finally {
+    hook.close();
+  }
+});
+
+test("alertas: regra sem critério é recusada", () => {
+  assert.throws(() => loadAlertRules(writeRules([{ id: "x", webhook: { url: "https://ex.org/h" } }])), /keywords, sources ou topics/);
+  assert.throws(() => loadAlertRules(writeRules([{ id: "x", keywords: ["a"], webhook: { url: "ftp://ex.org" } }])), /http\(s\)/);
+});
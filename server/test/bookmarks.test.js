@@ -0,0 +1,164 @@
+// server/test/bookmarks.test.js
+//
+// Salvos: hash do token, upsert (nota/etiquetas e savedAt preservados),
+// remoção, ordem da lista e limpeza da cópia vinda do cliente. As rotas
+// /api/bookmarks rodam contra o servidor de verdade, sem fontes, num DATA_DIR
+// temporário.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+import {
+  flushBookmarks,
+  listBookmarks,
+  openBookmarks,
+  removeBookmark,
+  saveBookmark,
+  userFromToken,
+} from "../lib/bookmarks.js";
+
+const SERVER_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const TOKEN = "token-de-teste-0123456789";
+
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), "bookmarks-"));
+
+test("salvos: token curto é recusado e o usuário é o hash do token", () => {
+  assert.throws(() => userFromToken(""), /curto demais/);
+  assert.throws(() => userFromToken("curto"), /curto demais/);
+  const user = userFromToken(TOKEN);
+  assert.match(user, /^[0-9a-f]{64}$/);
+  assert.equal(userFromToken(`  ${TOKEN} `), user);
+  assert.notEqual(userFromToken(`${TOKEN}x`), user);
+});
+
+test("salvos: upsert preserva nota, etiquetas e savedAt; remoção e ordem", async () => {
+  const file = path.join(tmpDir(), "bookmarks.json");
+  openBookmarks(file);
+  const user = userFromToken(TOKEN);
+
+  const first = saveBookmark(user, { url: "https://ex.org/a", title: "A" }, { note: "ler depois", tags: "Brics, brics, clima" });
+  assert.deepEqual(first.tags, ["Brics", "clima"]);
+
+  await new Promise((r) => setTimeout(r, 5));
+  saveBookmark(user, { url: "https://ex.org/b", title: "B" });
+  const again = saveBookmark(user, { url: "https://ex.org/a", title: "A (nova)" });
+  assert.equal(again.note, "ler depois");
+  assert.deepEqual(again.tags, ["Brics", "clima"]);
+  assert.equal(again.savedAt, first.savedAt);
+  assert.equal(again.title, "A (nova)");
+
+  // Mais recente primeiro pela data em que foi salvo, não pela última edição
+  assert.deepEqual(listBookmarks(user).map((b) => b.url), ["https://ex.org/b", "https://ex.org/a"]);
+  assert.deepEqual(listBookmarks(userFromToken(`outro-${TOKEN}`)), []);
+
+  assert.equal(removeBookmark(user, "https://ex.org/b"), true);
+  assert.equal(removeBookmark(user, "https://ex.org/b"), false);
+
+  flushBookmarks();
+  openBookmarks(file);
+  assert.deepEqual(listBookmarks(user).map((b) => b.url), ["https://ex.org/a"]);
+});
+
+test("salvos: imagem só http(s) e data só ISO; o resto é descartado", () => {
+  openBookmarks(path.join(tmpDir(), "bookmarks.json"));
+  const user = userFromToken(TOKEN);
+
+  const bad = saveBookmark(user, {
+    url: "https://ex.org/c",
+    title: "C",
+    image: "javascript:alert(1)",
+    publishedAt: "ontem à noite",
+  });
+  assert.equal(bad.image, null);
+  assert.equal(bad.publishedAt, null);
+
+  const good = saveBookmark(user, {
+    url: "https://ex.org/c",
+    title: "C",
+    image: "https://ex.org/foto.jpg",
+    publishedAt: "2025-06-10T10:00:00-03:00",
+  });
+  assert.equal(good.image, "https://ex.org/foto.jpg");
+  assert.equal(good.publishedAt, "2025-06-10T13:00:00.000Z");
+
+  // Valor inválido numa atualização não apaga a cópia boa
+  const kept = saveBookmark(user, { url: "https://ex.org/c", title: "C", image: "data:image/png;base64,AAAA", publishedAt: "10/06/2025" });
+  assert.equal(kept.image, "https://ex.org/foto.jpg");
+  assert.equal(kept.publishedAt, "2025-06-10T13:00:00.000Z");
+});
+
+// Sobe index.js sem fontes; resolve com a URL base quando o servidor anuncia a porta
+async function startServer() {
+  const dir = tmpDir();
+  fs.writeFileSync(path.join(dir, "sources.json"), "[]");
+  const port = 40000 + (process.pid % 20000);
+  const child = spawn(process.execPath, ["index.js"], {
+    cwd: SERVER_DIR,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DATA_DIR: dir,
+      SOURCES_FILE: path.join(dir, "sources.json"),
+      ALERTS_FILE: path.join(dir, "alerts.json"),
+    },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error("servidor não subiu")), 10_000);
+    child.stdout.on("data", (chunk) => {
+      if (String(chunk).includes("Server running")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.on("exit", (code) => reject(new Error(`servidor saiu com código ${code}`)));
+  });
+  return { base: `http://127.0.0.1:${port}`, stop: () => child.kill() };
+}
+
+test("salvos: rotas /api/bookmarks", async () => {
+  const server = await startServer();
+  const api = (method, query = "", { token = TOKEN, body } = {}) =>
+    fetch(`${server.base}/api/bookmarks${query}`, {
+      method,
+      headers: { ...(token ? { authorization: `Bearer ${token}` } : {}), "content-type": "application/json" },
+      body: body && JSON.stringify(body),
+    });
+  try {
+    assert.equal((await api("GET", "", { token: null })).status, 401);
+    assert.equal((await api("GET", "", { token: "curto" })).status, 401);
+
+    assert.equal((await api("POST", "", { body: { title: "Sem url" } })).status, 400);
+    // Fora do arquivo e sem título não há o que guardar
+    assert.equal((await api("POST", "", { body: { url: "https://ex.org/x" } })).status, 404);
+
+    const res = await api("POST", "", {
+      body: { url: "https://ex.org/x", title: "X", image: "javascript:alert(1)", publishedAt: "2025-06-10", note: "nota" },
+    });
+    assert.equal(res.status, 200);
+    const saved = await res.json();
+    assert.equal(saved.image, null);
+    assert.equal(saved.publishedAt, "2025-06-10T00:00:00.000Z");
+
+    await api("POST", "", { body: { url: "https://ex.org/x", title: "X", tags: ["clima"] } });
+    const { items } = await (await api("GET")).json();
+    assert.equal(items.length, 1);
+    assert.equal(items[0].note, "nota");
+    assert.deepEqual(items[0].tags, ["clima"]);
+    assert.ok(items[0].id);
+
+    // Outro token não vê os salvos deste
+    const other = await (await api("GET", "", { token: `outro-${TOKEN}` })).json();
+    assert.deepEqual(other.items, []);
+
+    const url = encodeURIComponent("https://ex.org/x");
+    assert.equal((await api("DELETE", `?url=${url}`)).status, 204);
+    assert.equal((await api("DELETE", `?url=${url}`)).status, 404);
+  } finally {
+    server.stop();
+  }
+});
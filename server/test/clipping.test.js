@@ -0,0 +1,164 @@
+// server/test/clipping.test.js
+//
+// Clipping diário: itens do dia agrupados por fonte a partir do arquivo,
+// HTML/texto do e-mail e o envio. O envio passa pelo jsonTransport do
+// nodemailer (mensagem montada, sem rede) e por um SMTP local mínimo que só
+// registra remetente e destinatários.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import net from "net";
+import path from "path";
+import { openArchive, recordItems } from "../lib/archive.js";
+import { buildClipping, clippingSubject, renderClippingHtml, renderClippingText, sendClipping } from "../lib/clipping.js";
+import { mailConfig, sendMail } from "../lib/mailer.js";
+
+const SOURCES = [
+  { key: "mre_notas", name: "MRE – Notas", color: "#16a34a", url: "https://www.gov.br/mre" },
+  { key: "ibge", name: "IBGE <Agência>", color: "#0ea5e9", url: "https://agenciadenoticias.ibge.gov.br" },
+  { key: "unfccc", name: "UNFCCC", color: "#1d4ed8", url: "https://unfccc.int" },
+];
+
+function archive() {
+  openArchive(path.join(fs.mkdtempSync(path.join(os.tmpdir(), "clipping-")), "archive.json"));
+  recordItems("mre_notas", [
+    { url: "https://ex.org/sudao", title: "Situação no Sudão", publishedAt: "2025-06-10T12:00:00.000Z", summary: "Nota & apelo." },
+    { url: "https://ex.org/pretoria", title: "Visita a Pretória", publishedAt: "2025-06-10T21:40:00.000Z", image: "https://ex.org/p.jpg" },
+  ]);
+  recordItems("ibge", [{ url: "https://ex.org/ipca", title: "IPCA fica em 0,26%", publishedAt: "2025-06-10T03:00:00.000Z", dateOnly: true }]);
+  // Dia anterior em São Paulo (21h de 09/06) e uma fonte sem itens no dia
+  recordItems("unfccc", [{ url: "https://ex.org/bonn", title: "Bonn opens", publishedAt: "2025-06-10T00:00:00.000Z" }]);
+}
+
+test("clipping: itens do dia agrupados por fonte, na ordem das fontes", () => {
+  archive();
+  const clipping = buildClipping(SOURCES, "2025-06-10");
+  assert.equal(clipping.total, 3);
+  assert.deepEqual(
+    clipping.sources.map((g) => [g.key, g.items.map((it) => it.url)]),
+    [
+      ["mre_notas", ["https://ex.org/pretoria", "https://ex.org/sudao"]],
+      ["ibge", ["https://ex.org/ipca"]],
+    ]
+  );
+  assert.throws(() => buildClipping(SOURCES, "10/06/2025"), RangeError);
+  assert.throws(() => buildClipping(SOURCES, "2025-02-30"), RangeError);
+});
+
+test("clipping: HTML com uma seção por fonte, escapado, e versão em texto", () => {
+  archive();
+  const clipping = buildClipping(SOURCES, "2025-06-10");
+  const html = renderClippingHtml(clipping, { siteUrl: "https://radar.ex.org" });
+
+  const sections = html.split("<section").slice(1);
+  assert.equal(sections.length, 2);
+  assert.match(sections[0], /MRE – Notas <span[^>]*>\(2\)<\/span>/);
+  assert.ok(sections[0].indexOf("Visita a Pretória") < sections[0].indexOf("Situação no Sudão"));
+  assert.match(sections[0], /<img src="https:\/\/ex\.org\/p\.jpg"/);
+  assert.match(sections[0], /Nota &amp; apelo\./);
+  assert.match(sections[0], /18:40/);
+  assert.match(sections[1], /IBGE &lt;Agência&gt;/);
+  // Só o dia: sem horário
+  assert.doesNotMatch(sections[1], /\d{2}:\d{2}/);
+  assert.doesNotMatch(html, /Bonn opens|Imprimir/);
+  assert.match(html, /href="https:\/\/radar\.ex\.org"/);
+  assert.match(renderClippingHtml(clipping, { printable: true }), /window\.print\(\)/);
+
+  const text = renderClippingText(clipping);
+  assert.match(text, /== MRE – Notas \(2\) ==\n- \[18:40\] Visita a Pretória\n  https:\/\/ex\.org\/pretoria/);
+  assert.match(text, /== IBGE <Agência> \(1\) ==\n- IPCA fica em 0,26%/);
+
+  const empty = buildClipping(SOURCES, "2025-01-01");
+  assert.match(renderClippingHtml(empty), /Nenhuma notícia arquivada neste dia/);
+  assert.match(clippingSubject(clipping), /\(3 notícias\)$/);
+});
+
+test("clipping: configuração do envio a partir do ambiente", () => {
+  assert.equal(mailConfig({}), null);
+  assert.equal(mailConfig({ SMTP_URL: "smtp://localhost:1025" }), null);
+  assert.deepEqual(mailConfig({ SMTP_URL: "smtp://localhost:1025", CLIPPING_TO: " ana@ex.org, ,bruno@ex.org" }), {
+    transport: "smtp://localhost:1025",
+    to: ["ana@ex.org", "bruno@ex.org"],
+    from: "radar@localhost",
+    time: "07:00",
+  });
+  const host = mailConfig({ SMTP_HOST: "smtp.ex.org", SMTP_USER: "radar@ex.org", SMTP_PASS: "x", CLIPPING_TO: "ana@ex.org" });
+  assert.deepEqual(host.transport, { host: "smtp.ex.org", port: 587, secure: false, auth: { user: "radar@ex.org", pass: "x" } });
+  assert.equal(host.from, "radar@ex.org");
+  assert.throws(() => mailConfig({ SMTP_URL: "smtp://x", CLIPPING_TO: "a@ex.org", CLIPPING_TIME: "7h" }), /CLIPPING_TIME/);
+});
+
+test("clipping: sendClipping monta a mensagem para todos os destinatários", async () => {
+  archive();
+  const clipping = buildClipping(SOURCES, "2025-06-10");
+  const config = { transport: { jsonTransport: true }, to: ["ana@ex.org", "bruno@ex.org"], from: "Radar <radar@ex.org>" };
+  const info = await sendClipping(config, clipping, { siteUrl: "https://radar.ex.org" });
+  const message = JSON.parse(info.message);
+
+  assert.deepEqual(message.to.map((a) => a.address), ["ana@ex.org", "bruno@ex.org"]);
+  assert.equal(message.from.address, "radar@ex.org");
+  assert.equal(message.subject, clippingSubject(clipping));
+  assert.equal(message.html, renderClippingHtml(clipping, { siteUrl: "https://radar.ex.org" }));
+  assert.equal(message.text, renderClippingText(clipping, { siteUrl: "https://radar.ex.org" }));
+});
+
+// SMTP mínimo: aceita tudo e guarda MAIL FROM, RCPT TO e o corpo de cada mensagem
+async function smtpServer() {
+  const received = [];
+  const server = net.createServer((socket) => {
+    const mail = { from: null, to: [], data: "" };
+    let inData = false;
+    let buffer = "";
+    socket.write("220 localhost ESMTP\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      let nl;
+      while ((nl = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, nl);
+        buffer = buffer.slice(nl + 2);
+        if (inData) {
+          if (line !== ".") {
+            mail.data += `${line}\n`;
+            continue;
+          }
+          inData = false;
+          received.push({ ...mail });
+        } else if (/^MAIL FROM:/i.test(line)) {
+          mail.from = line.match(/<(.*)>/)[1];
+        } else if (/^RCPT TO:/i.test(line)) {
+          mail.to.push(line.match(/<(.*)>/)[1]);
+        } else if (/^DATA/i.test(line)) {
+          inData = true;
+          socket.write("354 Go ahead\r\n");
+          continue;
+        } else if (/^QUIT/i.test(line)) {
+          socket.end("221 Bye\r\n");
+          continue;
+        }
+        socket.write("250 OK\r\n");
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { received, port: server.address().port, close: () => server.close() };
+}
+
+test("clipping: sendMail entrega por SMTP a cada destinatário", async () => {
+  const smtp = await smtpServer();
+  try {
+    const config = mailConfig({
+      SMTP_URL: `smtp://127.0.0.1:${smtp.port}?ignoreTLS=true`,
+      CLIPPING_TO: "ana@ex.org,bruno@ex.org",
+      CLIPPING_FROM: "Radar <radar@ex.org>",
+    });
+    await sendMail(config, { subject: "Teste", html: "<p>Olá</p>", text: "Olá" });
+    assert.equal(smtp.received.length, 1);
+    assert.equal(smtp.received[0].from, "radar@ex.org");
+    assert.deepEqual(smtp.received[0].to, ["ana@ex.org", "bruno@ex.org"]);
+    assert.match(smtp.received[0].data, /^Subject: Teste$/m);
+  } finally {
+    smtp.close();
+  }
+});
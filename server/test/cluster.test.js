@@ -0,0 +1,53 @@
+// server/test/cluster.test.js
+//
+// Agrupamento de notícias repetidas: URL canônica, títulos parecidos dentro
+// da janela de tempo e escolha do item principal.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { canonicalUrl, clusterItems, similarity, titleTokens } from "../lib/cluster.js";
+
+const MRE = { key: "mre_notas", name: "MRE" };
+const GOV = { key: "govbr_meio_ambiente", name: "Gov.br" };
+const MMA = { key: "mma", name: "MMA" };
+
+test("agrupamento: URL canônica ignora www, rastreamento, barra final e index.html", () => {
+  assert.equal(canonicalUrl("https://www.Gov.br/mre/nota-123/?utm_source=x&id=5#topo"), "gov.br/mre/nota-123?id=5");
+  assert.equal(canonicalUrl("http://gov.br/mre/nota-123/index.html"), "gov.br/mre/nota-123");
+});
+
+test("agrupamento: semelhança de Dice sobre palavras significativas", () => {
+  const a = titleTokens("Brasil e Argentina assinam acordo de cooperação energética");
+  const b = titleTokens("Argentina e Brasil assinam acordo de cooperação em energia");
+  assert.ok(similarity(a, b) >= 0.6);
+  assert.equal(similarity(a, new Set()), 0);
+});
+
+test("agrupamento: mesma URL e títulos parecidos viram um grupo com o original como principal", () => {
+  const clusters = clusterItems([
+    { source: GOV, url: "https://www.gov.br/mre/nota-1?utm_source=gov", title: "Nota à imprensa", publishedAt: "2025-06-10T12:00:00Z", tags: ["a"] },
+    { source: MRE, url: "https://gov.br/mre/nota-1", title: "Nota à imprensa", publishedAt: "2025-06-10T10:00:00Z", tags: ["b"] },
+    { source: MMA, url: "https://mma.gov.br/x", title: "Brasil e Argentina assinam acordo de cooperação energética", publishedAt: "2025-06-11T09:00:00Z", image: "i.jpg" },
+    { source: MRE, url: "https://mre.gov.br/y", title: "Argentina e Brasil assinam acordo de cooperação energética", publishedAt: "2025-06-11T09:00:00Z" },
+  ]);
+  assert.equal(clusters.length, 2);
+  // Do grupo mais recente ao mais antigo
+  const [energy, note] = clusters;
+  assert.equal(energy.primary.url, "https://mma.gov.br/x"); // empate na data: a que tem imagem
+  assert.deepEqual(energy.also.map((a) => a.source.key), ["mre_notas"]);
+  assert.equal(note.primary.source.key, "mre_notas"); // a publicação mais antiga
+  assert.deepEqual(note.primary.tags, ["a", "b"]);
+  assert.equal(note.size, 2);
+  assert.equal(note.id, "gov.br/mre/nota-1");
+});
+
+test("agrupamento: títulos curtos ou distantes no tempo ficam separados", () => {
+  const title = "Brasil e Argentina assinam acordo de cooperação energética";
+  const clusters = clusterItems([
+    { source: MRE, url: "https://ex.org/1", title, publishedAt: "2025-06-01T09:00:00Z" },
+    { source: MMA, url: "https://ex.org/2", title, publishedAt: "2025-06-10T09:00:00Z" },
+    { source: MRE, url: "https://ex.org/3", title: "Nota à imprensa", publishedAt: "2025-06-10T09:00:00Z" },
+    { source: MMA, url: "https://ex.org/4", title: "Nota à imprensa", publishedAt: "2025-06-10T09:00:00Z" },
+  ]);
+  assert.equal(clusters.length, 4);
+});
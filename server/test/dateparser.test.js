@@ -0,0 +1,143 @@
+// server/test/dateparser.test.js
+//
+// Tabela de datas reais (e variações) vistas nas fontes. Cada linha é
+// [texto, ISO esperado, dateOnly]; null no ISO = texto que não é data.
+// As relativas contam a partir de NOW (12:00 de 05/11/2025 em São Paulo).
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseDate, parseDateTime, publishedFields } from "../lib/dateparser.js";
+
+const NOW = new Date("2025-11-05T15:00:00Z");
+
+const CASES = {
+  "ISO com fuso (respeita Z e offsets)": [
+    ["2025-06-10T07:15:00Z", "2025-06-10T07:15:00.000Z", false],
+    ["2025-06-10T07:15:00.000+00:00", "2025-06-10T07:15:00.000Z", false],
+    ["2025-06-10T10:00:00-03:00", "2025-06-10T13:00:00.000Z", false],
+    ["2025-06-10T10:00:00-0300", "2025-06-10T13:00:00.000Z", false],
+    ["2025-06-10T18:30:00+05:30", "2025-06-10T13:00:00.000Z", false],
+    ["Publicado: 2025-06-10T09:00:00Z (atualizado)", "2025-06-10T09:00:00.000Z", false],
+  ],
+  "ISO sem fuso (horário de São Paulo)": [
+    ["2025-06-10T14:30:00", "2025-06-10T17:30:00.000Z", false],
+    ["2025-06-10 14:30", "2025-06-10T17:30:00.000Z", false],
+    ["2025-06-10", "2025-06-10T03:00:00.000Z", true],
+  ],
+  "RFC 822 dos feeds": [
+    ["Tue, 10 Jun 2025 08:00:00 +0000", "2025-06-10T08:00:00.000Z", false],
+    ["Tue, 10 Jun 2025 08:00:00 GMT", "2025-06-10T08:00:00.000Z", false],
+    ["10 Jun 2025 08:00 -0300", "2025-06-10T11:00:00.000Z", false],
+    ["Mon, 09 Jun 2025 20:47:00 EDT", "2025-06-10T00:47:00.000Z", false],
+    ["Tue, 10 Jun 2025 08:00 UTC-3", "2025-06-10T11:00:00.000Z", false],
+  ],
+  "numéricos (dd/mm, com h ou :)": [
+    ["10/06/2025 09h45", "2025-06-10T12:45:00.000Z", false],
+    ["10/06/2025 - 18h40", "2025-06-10T21:40:00.000Z", false],
+    ["03/06/2025 às 9h", "2025-06-03T12:00:00.000Z", false],
+    ["Publicado em 03/06/2025 09h00 Atualizado em 03/06/2025 11h00", "2025-06-03T12:00:00.000Z", false],
+    ["10/06/2025", "2025-06-10T03:00:00.000Z", true],
+    ["10.06.2025", "2025-06-10T03:00:00.000Z", true],
+    ["10-06-25 14:30", "2025-06-10T17:30:00.000Z", false],
+    ["2025/06/10", "2025-06-10T03:00:00.000Z", true],
+    ["12/25/2025", "2025-12-25T03:00:00.000Z", true],
+    ["5/6/2025 7:05", "2025-06-05T10:05:00.000Z", false],
+  ],
+  "mês por extenso em português": [
+    ["4 de novembro de 2025", "2025-11-04T03:00:00.000Z", true],
+    ["4 de novembro de 2025 às 18h45", "2025-11-04T21:45:00.000Z", false],
+    ["04 de Março de 2025 18:45", "2025-03-04T21:45:00.000Z", false],
+    ["4 nov. 2025", "2025-11-04T03:00:00.000Z", true],
+    ["12 ago. 2025", "2025-08-12T03:00:00.000Z", true],
+    ["Terça-feira, 4 de fevereiro de 2025, 10h", "2025-02-04T13:00:00.000Z", false],
+    ["1º de maio de 2025", "2025-05-01T03:00:00.000Z", true],
+  ],
+  "mês por extenso em espanhol": [
+    ["5 de junio de 2025", "2025-06-05T03:00:00.000Z", true],
+    ["9 de septiembre de 2025 a las 14:00", "2025-09-09T17:00:00.000Z", false],
+    ["12 dic. 2025", "2025-12-12T03:00:00.000Z", true],
+    ["3 ene 2025", "2025-01-03T03:00:00.000Z", true],
+  ],
+  "mês por extenso em inglês (completo e abreviado)": [
+    ["November 4, 2025", "2025-11-04T03:00:00.000Z", true],
+    ["Nov 4, 2025", "2025-11-04T03:00:00.000Z", true],
+    ["4 Nov 2025", "2025-11-04T03:00:00.000Z", true],
+    ["16 June 2025", "2025-06-16T03:00:00.000Z", true],
+    ["November 4th, 2025", "2025-11-04T03:00:00.000Z", true],
+    ["Sept. 4, 2025", "2025-09-04T03:00:00.000Z", true],
+    ["Nov 4, 2025 3:45 PM", "2025-11-04T18:45:00.000Z", false],
+    ["Sept. 4, 2025, 12:30 a.m.", "2025-09-04T03:30:00.000Z", false],
+    ["Jun 10, 2025 12:00 pm", "2025-06-10T15:00:00.000Z", false],
+  ],
+  "dia e mês sem ano (ano mais recente que não está no futuro)": [
+    ["4 Nov", "2025-11-04T03:00:00.000Z", true],
+    ["6 de novembro", "2025-11-06T03:00:00.000Z", true],
+    ["Dec 20", "2024-12-20T03:00:00.000Z", true],
+    ["20 de dezembro às 10h", "2024-12-20T13:00:00.000Z", false],
+  ],
+  "relativas à hora da coleta": [
+    ["há 3 horas", "2025-11-05T12:00:00.000Z", false],
+    ["Há 1 hora", "2025-11-05T14:00:00.000Z", false],
+    ["há uma hora", "2025-11-05T14:00:00.000Z", false],
+    ["há 15 minutos", "2025-11-05T14:45:00.000Z", false],
+    ["5 minutos atrás", "2025-11-05T14:55:00.000Z", false],
+    ["hace 3 horas", "2025-11-05T12:00:00.000Z", false],
+    ["hace 2 días", "2025-11-03T03:00:00.000Z", true],
+    ["2 hours ago", "2025-11-05T13:00:00.000Z", false],
+    ["an hour ago", "2025-11-05T14:00:00.000Z", false],
+    ["3 days ago", "2025-11-02T03:00:00.000Z", true],
+    ["3 days ago 2 comments", "2025-11-02T03:00:00.000Z", true],
+    ["2 hours ago 5 min read", "2025-11-05T13:00:00.000Z", false],
+    ["Updated 1 hour ago 12 shares", "2025-11-05T14:00:00.000Z", false],
+    ["há 2 semanas", "2025-10-22T03:00:00.000Z", true],
+    ["ontem às 14h", "2025-11-04T17:00:00.000Z", false],
+    ["Ontem, 09:30", "2025-11-04T12:30:00.000Z", false],
+    ["ontem", "2025-11-04T03:00:00.000Z", true],
+    ["anteontem", "2025-11-03T03:00:00.000Z", true],
+    ["ayer a las 20:15", "2025-11-04T23:15:00.000Z", false],
+    ["yesterday at 2 pm", "2025-11-04T17:00:00.000Z", false],
+    ["hoje às 8h30", "2025-11-05T11:30:00.000Z", false],
+    ["hoy", "2025-11-05T03:00:00.000Z", true],
+    ["Today", "2025-11-05T03:00:00.000Z", true],
+    ["agora", "2025-11-05T15:00:00.000Z", false],
+    ["just now", "2025-11-05T15:00:00.000Z", false],
+  ],
+  "não são datas": [
+    ["", null],
+    ["   ", null],
+    ["sem data", null],
+    ["Leia mais", null],
+    ["31/02/2025", null],
+    ["2025-13-01", null],
+    ["10/06/2025 25:00", "2025-06-10T03:00:00.000Z", true], // hora impossível: fica só o dia
+  ],
+};
+
+for (const [group, rows] of Object.entries(CASES)) {
+  test(`datas: ${group}`, () => {
+    for (const [text, iso, dateOnly] of rows) {
+      const parsed = parseDate(text, { now: NOW });
+      if (iso === null) {
+        assert.equal(parsed, null, `"${text}" não deveria virar data`);
+        continue;
+      }
+      assert.ok(parsed, `"${text}" não foi reconhecido`);
+      assert.deepEqual(parsed, { iso, dateOnly }, `"${text}"`);
+    }
+  });
+}
+
+test("datas: null/undefined e atalhos", () => {
+  assert.equal(parseDate(null), null);
+  assert.equal(parseDate(undefined), null);
+  assert.equal(parseDateTime("10/06/2025 09h45"), "2025-06-10T12:45:00.000Z");
+  assert.equal(parseDateTime("sem data"), null);
+  assert.deepEqual(publishedFields(parseDate("10/06/2025")), { publishedAt: "2025-06-10T03:00:00.000Z", dateOnly: true });
+  assert.deepEqual(publishedFields(parseDate("10/06/2025 09h45")), { publishedAt: "2025-06-10T12:45:00.000Z" });
+  assert.deepEqual(publishedFields(null), { publishedAt: null });
+});
+
+test("datas: outro fuso de referência", () => {
+  assert.deepEqual(parseDate("10/06/2025 09:45", { tz: "Europe/Lisbon" }), { iso: "2025-06-10T08:45:00.000Z", dateOnly: false });
+  assert.deepEqual(parseDate("2025-06-10", { tz: "UTC" }), { iso: "2025-06-10T00:00:00.000Z", dateOnly: true });
+});
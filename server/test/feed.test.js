@@ -0,0 +1,92 @@
+// server/test/feed.test.js
+//
+// Leitura de feeds: RSS 2.0, RSS 1.0 (RDF) e Atom no formato dos itens do motor.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseFeed } from "../lib/feed.js";
+
+test("feed: RSS 2.0 com media:content, enclosure, guid e imagem no HTML", () => {
+  const xml = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:media="http://search.yahoo.com/mrss/" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <item>
+      <title>Nota &amp; comunicado</title>
+      <link>/noticias/1</link>
+      <pubDate>Tue, 10 Jun 2025 09:45:00 -0300</pubDate>
+      <description><![CDATA[<p>Primeiro <b>parágrafo</b>.</p>]]></description>
+      <media:content url="https://cdn.ex.org/1.jpg" medium="image"/>
+    </item>
+    <item>
+      <title>Segundo</title>
+      <guid>https://ex.org/noticias/2</guid>
+      <pubDate>Wed, 11 Jun 2025 12:00:00 GMT</pubDate>
+      <enclosure url="https://cdn.ex.org/2.mp3" type="audio/mpeg"/>
+      <content:encoded><![CDATA[<p>Texto <img src="/img/2.png"></p>]]></content:encoded>
+    </item>
+    <item><title>Sem link</title><guid isPermaLink="false">abc-123</guid></item>
+  </channel>
+</rss>`;
+  assert.deepEqual(parseFeed(xml, "https://ex.org/rss"), [
+    {
+      title: "Nota & comunicado",
+      url: "https://ex.org/noticias/1",
+      image: "https://cdn.ex.org/1.jpg",
+      publishedAt: "2025-06-10T12:45:00.000Z",
+      description: "Primeiro parágrafo.",
+    },
+    {
+      title: "Segundo",
+      url: "https://ex.org/noticias/2",
+      image: "https://ex.org/img/2.png",
+      publishedAt: "2025-06-11T12:00:00.000Z",
+      description: "Texto",
+    },
+  ]);
+});
+
+test("feed: RSS 1.0 (RDF) com dc:date", () => {
+  const xml = `<?xml version="1.0"?>
+<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns="http://purl.org/rss/1.0/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel rdf:about="https://ex.org/"><title>Ex</title></channel>
+  <item rdf:about="https://ex.org/r/1">
+    <title>Relatório anual</title>
+    <link>https://ex.org/r/1</link>
+    <dc:date>2025-06-09</dc:date>
+  </item>
+</rdf:RDF>`;
+  const [item] = parseFeed(xml, "https://ex.org/rdf");
+  assert.equal(item.title, "Relatório anual");
+  assert.equal(item.url, "https://ex.org/r/1");
+  assert.equal(item.dateOnly, true);
+  assert.match(item.publishedAt, /^2025-06-09T/);
+});
+
+test("feed: Atom com link alternate, enclosure de imagem e published", () => {
+  const xml = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Ex</title>
+  <entry>
+    <title type="html">Acordo &lt;b&gt;assinado&lt;/b&gt;</title>
+    <link rel="self" href="https://ex.org/api/1"/>
+    <link rel="alternate" href="https://ex.org/a/1"/>
+    <link rel="enclosure" type="image/webp" href="https://ex.org/a/1.webp"/>
+    <published>2025-06-10T10:00:00Z</published>
+    <updated>2025-06-12T10:00:00Z</updated>
+    <summary>Resumo da entrada</summary>
+  </entry>
+</feed>`;
+  assert.deepEqual(parseFeed(xml, "https://ex.org/atom"), [
+    {
+      title: "Acordo assinado",
+      url: "https://ex.org/a/1",
+      image: "https://ex.org/a/1.webp",
+      publishedAt: "2025-06-10T10:00:00.000Z",
+      description: "Resumo da entrada",
+    },
+  ]);
+});
+
+test("feed: documento que não é feed lança erro", () => {
+  assert.throws(() => parseFeed("<html><body>Oi</body></html>", "https://ex.org/"), /não é RSS\/Atom/);
+});
@@ -0,0 +1,55 @@
+// server/test/helpers/fixtures.js
+//
+// Snapshots de HTML/XML por fonte em test/fixtures/<key>/:
+//   manifest.json  → { "<url>": "<arquivo>" } com cada página que a coleta baixa
+//   expected.json  → itens esperados ({ title, url, image, publishedAt, dateOnly?, description })
+// URLs fora do manifest falham como uma rede fora do ar (ex.: feed inexistente → fallback HTML).
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+export const FIXTURES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "fixtures");
+
+export function fixtureKeys() {
+  if (!fs.existsSync(FIXTURES_DIR)) return [];
+  return fs
+    .readdirSync(FIXTURES_DIR, { withFileTypes: true })
+    .filter((d) => d.isDirectory())
+    .map((d) => d.name)
+    .sort();
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+export function loadManifest(key) {
+  return readJson(path.join(FIXTURES_DIR, key, "manifest.json"));
+}
+
+export function loadExpected(key) {
+  return readJson(path.join(FIXTURES_DIR, key, "expected.json"));
+}
+
+// Substituto do safeFetch que lê os snapshots da fonte
+export function fixtureFetcher(key) {
+  const manifest = loadManifest(key);
+  return async (url) => {
+    const file = manifest[url];
+    if (!file) throw new Error(`Sem fixture para ${url}`);
+    return fs.readFileSync(path.join(FIXTURES_DIR, key, file), "utf8");
+  };
+}
+
+// Campos comparados no teste (o texto completo da matéria fica de fora)
+export function publicShape(items) {
+  return items.map((it) => ({
+    title: it.title,
+    url: it.url,
+    image: it.image || null,
+    publishedAt: it.publishedAt || null,
+    ...(it.dateOnly ? { dateOnly: true } : {}),
+    description: it.description || null,
+  }));
+}
@@ -0,0 +1,144 @@
+// server/test/pagination.test.js
+//
+// Paginação do motor: páginas de listagem montadas aqui (sem rede), com um
+// fetchText que registra as URLs pedidas para conferir onde a leitura para.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import dayjs from "dayjs";
+import { runSource, validateDefinition } from "../lib/engine.js";
+
+// Janela de 10/06 00:00 a 11/06 23:59 (UTC, para simplificar as contas)
+const WINDOW = { start: dayjs("2025-06-10T00:00:00Z"), end: dayjs("2025-06-11T23:59:59Z") };
+
+function page(items, { next } = {}) {
+  const rows = items
+    .map(([slug, iso]) => `<div class="row"><a href="/n/${slug}">${slug}</a><time datetime="${iso}"></time></div>`)
+    .join("");
+  return `<html><body>${rows}${next ? `<a rel="next" href="${next}">Próxima</a>` : ""}</body></html>`;
+}
+
+function site(pages) {
+  const requested = [];
+  const fetchText = async (url) => {
+    requested.push(url);
+    if (!(url in pages)) throw new Error(`HTTP 404 on ${url}`);
+    return pages[url];
+  };
+  return { requested, fetchText };
+}
+
+function definition(extra) {
+  return validateDefinition({
+    key: "teste",
+    name: "Teste",
+    url: "https://ex.org/news?page=0",
+    item: ".row",
+    fields: { title: "a", url: "a@href", date: "time@datetime" },
+    enrich: false,
+    ...extra,
+  });
+}
+
+const slugs = (items) => items.map((it) => it.url.split("/").pop());
+
+test("paginação: ?page=N desce até passar do início da janela", async () => {
+  const { requested, fetchText } = site({
+    "https://ex.org/news?page=0": page([["a", "2025-06-11T12:00:00Z"], ["b", "2025-06-11T08:00:00Z"]]),
+    "https://ex.org/news?page=1": page([["c", "2025-06-10T15:00:00Z"], ["d", "2025-06-09T20:00:00Z"]]),
+    "https://ex.org/news?page=2": page([["e", "2025-06-09T10:00:00Z"]]),
+  });
+  const items = await runSource(definition({ pagination: { param: "page" } }), { fetchText, window: WINDOW });
+  assert.deepEqual(slugs(items), ["a", "b", "c", "d"]);
+  assert.deepEqual(requested, ["https://ex.org/news?page=0", "https://ex.org/news?page=1"]);
+});
+
+test("paginação: sem janela só a primeira página é lida", async () => {
+  const { requested, fetchText } = site({
+    "https://ex.org/news?page=0": page([["a", "2025-06-11T12:00:00Z"]]),
+  });
+  await runSource(definition({ pagination: { param: "page" } }), { fetchText });
+  assert.deepEqual(requested, ["https://ex.org/news?page=0"]);
+});
+
+test("paginação: modelo /page/{page}/ respeita maxPages", async () => {
+  const { requested, fetchText } = site({
+    "https://ex.org/blog/": page([["a", "2025-06-11T12:00:00Z"]]),
+    "https://ex.org/blog/page/2/": page([["b", "2025-06-11T10:00:00Z"]]),
+    "https://ex.org/blog/page/3/": page([["c", "2025-06-11T09:00:00Z"]]),
+  });
+  const def = definition({ url: "https://ex.org/blog/", pagination: { url: "https://ex.org/blog/page/{page}/", maxPages: 2 } });
+  const items = await runSource(def, { fetchText, window: WINDOW });
+  assert.deepEqual(slugs(items), ["a", "b"]);
+  assert.deepEqual(requested, ["https://ex.org/blog/", "https://ex.org/blog/page/2/"]);
+});
+
+test("paginação: link “próxima”, parando sem link ou sem itens novos", async () => {
+  const { requested, fetchText } = site({
+    "https://ex.org/news?page=0": page([["a", "2025-06-11T12:00:00Z"]], { next: "/lista?p=2" }),
+    "https://ex.org/lista?p=2": page([["b", "2025-06-11T10:00:00Z"]], { next: "/lista?p=3" }),
+    "https://ex.org/lista?p=3": page([["b", "2025-06-11T10:00:00Z"]], { next: "/lista?p=4" }),
+  });
+  const items = await runSource(definition({ pagination: { next: "a[rel=next]@href", maxPages: 10 } }), { fetchText, window: WINDOW });
+  assert.deepEqual(slugs(items), ["a", "b"]);
+  assert.equal(requested.length, 3);
+});
+
+test("paginação: falha numa página seguinte mantém o que já foi lido", async () => {
+  const { fetchText } = site({
+    "https://ex.org/news?page=0": page([["a", "2025-06-11T12:00:00Z"]]),
+  });
+  const items = await runSource(definition({ pagination: { param: "page" } }), { fetchText, window: WINDOW });
+  assert.deepEqual(slugs(items), ["a"]);
+});
+
+test("paginação: feed curto é completado pela listagem, sem repetir itens", async () => {
+  const feed = `<?xml version="1.0"?><rss version="2.0"><channel>
+    <item><title>a</title><link>https://ex.org/n/a</link><pubDate>Wed, 11 Jun 2025 12:00:00 GMT</pubDate></item>
+  </channel></rss>`;
+  const { fetchText } = site({
+    "https://ex.org/rss.xml": feed,
+    "https://ex.org/news?page=0": page([["a", "2025-06-11T12:00:00Z"], ["b", "2025-06-10T09:00:00Z"]]),
+    "https://ex.org/news?page=1": page([["c", "2025-06-09T09:00:00Z"]]),
+  });
+  const def = definition({ feed: "https://ex.org/rss.xml", pagination: { param: "page" } });
+  assert.deepEqual(slugs(await runSource(def, { fetchText, window: WINDOW })), ["a", "b", "c"]);
+  // Feed que já alcança o início da janela dispensa a listagem
+  assert.deepEqual(slugs(await runSource(def, { fetchText, window: { ...WINDOW, start: dayjs("2025-06-11T13:00:00Z") } })), ["a"]);
+});
+
+test("paginação: onlyWindow descarta os itens fora da janela antes de baixar as matérias", async () => {
+  const { requested, fetchText } = site({
+    "https://ex.org/news?page=0": page([["novo", "2025-06-12T09:00:00Z"], ["a", "2025-06-11T09:00:00Z"], ["sem-data", ""]]),
+    "https://ex.org/news?page=1": page([["b", "2025-06-10T09:00:00Z"], ["velho", "2025-06-09T09:00:00Z"]]),
+    "https://ex.org/n/sem-data": `<html><head><meta property="article:published_time" content="2025-06-10T15:00:00Z"></head><body></body></html>`,
+  });
+  const def = definition({ pagination: { param: "page" }, enrich: { text: true } });
+  const items = await runSource(def, { fetchText, window: WINDOW, onlyWindow: true });
+  assert.deepEqual(slugs(items), ["a", "sem-data", "b"]);
+  assert.equal(items[1].publishedAt, "2025-06-10T15:00:00.000Z");
+  const articles = requested.filter((url) => url.includes("/n/"));
+  assert.deepEqual(articles.sort(), ["https://ex.org/n/a", "https://ex.org/n/b", "https://ex.org/n/sem-data"]);
+});
+
+test("paginação: definição precisa de exatamente uma forma", () => {
+  assert.throws(() => definition({ pagination: {} }), /pagination/);
+  assert.throws(() => definition({ pagination: { param: "page", next: "a@href" } }), /pagination/);
+});
+
+test("motor: coleta cancelada não pede mais páginas nem matérias", async () => {
+  const controller = new AbortController();
+  const { requested, fetchText } = site({
+    "https://ex.org/news?page=0": page([["a", "2025-06-11T10:00:00Z"]]),
+    "https://ex.org/n/a": "<html><body><p>Texto.</p></body></html>",
+  });
+  const def = definition({ enrich: { text: true } });
+  // O tempo estoura enquanto a listagem chega
+  const slow = async (url, opts) => {
+    const body = await fetchText(url, opts);
+    controller.abort(new Error("sem resposta em 60 s"));
+    return body;
+  };
+  await assert.rejects(runSource(def, { fetchText: slow, signal: controller.signal }), /sem resposta em 60 s/);
+  assert.deepEqual(requested, ["https://ex.org/news?page=0"]);
+});
@@ -0,0 +1,71 @@
+// server/test/reader.test.js
+//
+// Modo leitura: o bloco principal da matéria sai sem menus, rodapés nem
+// blocos de links, com título, autor, linha fina e URL canônica.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { extractArticle } from "../lib/reader.js";
+
+const PAGE = `<!doctype html><html><head>
+  <title>Nota 123 — Ministério</title>
+  <meta property="og:title" content="Brasil assina acordo de cooperação">
+  <meta property="og:site_name" content="Gov.br">
+  <meta property="article:author" content="https://gov.br/autores/fulano">
+  <link rel="canonical" href="/mre/nota-123">
+</head><body>
+  <header><nav><a href="/">Início</a><a href="/notas">Notas</a></nav></header>
+  <div id="main-content">
+    <div class="documentByLine"><span class="documentAuthor">Por Assessoria de Imprensa</span></div>
+    <div class="documentDescription">O acordo prevê intercâmbio técnico entre os dois países.</div>
+    <div id="parent-fieldname-text">
+      <p>O governo brasileiro assinou nesta terça-feira, em Brasília, um acordo de cooperação técnica com a Argentina.</p>
+      <h3>Próximos passos</h3>
+      <p>Os ministérios vão definir, nos próximos meses, os projetos prioritários, os prazos e o orçamento de cada um.</p>
+      <ul><li>Energia renovável</li><li>Agricultura familiar</li></ul>
+      <p><a href="/a">Leia também: outra notícia sobre cooperação bilateral com a Argentina</a></p>
+    </div>
+    <div class="related"><p>Notícia relacionada com texto longo o suficiente para contar como parágrafo.</p></div>
+  </div>
+  <footer><p>Ministério das Relações Exteriores — Esplanada dos Ministérios, Bloco H.</p></footer>
+</body></html>`;
+
+test("leitura: extrai o texto principal sem navegação, rodapé nem links", () => {
+  const a = extractArticle(PAGE, "https://www.gov.br/mre/notas/nota-123?utm_source=x");
+  assert.equal(a.title, "Brasil assina acordo de cooperação");
+  assert.equal(a.siteName, "Gov.br");
+  assert.equal(a.canonicalUrl, "https://www.gov.br/mre/nota-123");
+  // article:author é URL de perfil; vale a linha de autoria, sem o "Por"
+  assert.equal(a.author, "Assessoria de Imprensa");
+  assert.equal(a.lead, "O acordo prevê intercâmbio técnico entre os dois países.");
+  assert.deepEqual(a.paragraphs, [
+    "O governo brasileiro assinou nesta terça-feira, em Brasília, um acordo de cooperação técnica com a Argentina.",
+    "Próximos passos",
+    "Os ministérios vão definir, nos próximos meses, os projetos prioritários, os prazos e o orçamento de cada um.",
+    "Energia renovável",
+    "Agricultura familiar",
+  ]);
+  assert.equal(a.text.split("\n")[0], a.lead);
+  assert.doesNotMatch(a.text, /Esplanada|relacionada|Leia também/);
+});
+
+test("leitura: sem linha fina declarada, o primeiro parágrafo vira lead", () => {
+  const a = extractArticle(
+    `<html><body><h1>Título da página</h1><article>
+      <p>Primeiro parágrafo da matéria, com texto suficiente para contar.</p>
+      <p>Segundo parágrafo da matéria, também com texto suficiente.</p>
+    </article></body></html>`,
+    "https://ex.org/n/1"
+  );
+  assert.equal(a.title, "Título da página");
+  assert.equal(a.canonicalUrl, "https://ex.org/n/1");
+  assert.equal(a.lead, "Primeiro parágrafo da matéria, com texto suficiente para contar.");
+  assert.deepEqual(a.paragraphs, ["Segundo parágrafo da matéria, também com texto suficiente."]);
+});
+
+test("leitura: página sem parágrafos úteis não tem texto", () => {
+  const a = extractArticle("<html><head><title>Vazia</title></head><body><nav><p>Menu com texto longo o suficiente aqui</p></nav></body></html>", "https://ex.org/v");
+  assert.equal(a.title, "Vazia");
+  assert.equal(a.text, null);
+  assert.deepEqual(a.paragraphs, []);
+});
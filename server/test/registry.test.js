@@ -0,0 +1,60 @@
+// server/test/registry.test.js
+//
+// Definições vindas da administração: só campos conhecidos, com tipos e
+// limites conferidos; toda recusa é RangeError (400 na API).
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { normalizeDefinition } from "../lib/registry.js";
+
+const VALID = {
+  key: "nova_fonte",
+  name: "Nova fonte",
+  url: "https://ex.org/noticias",
+  item: ".row",
+  fields: { title: "a", url: "a@href", date: ["time@datetime", ".data"], extra: "ignorado" },
+};
+
+function rejects(patch, pattern) {
+  assert.throws(() => normalizeDefinition({ ...VALID, ...patch }), (e) => e instanceof RangeError && pattern.test(e.message));
+}
+
+test("registro: definição válida sai limpa, com a cor padrão", () => {
+  const def = normalizeDefinition({ ...VALID, name: "  Nova fonte  ", evil: "<script>", enrich: { text: false } });
+  assert.equal(def.name, "Nova fonte");
+  assert.equal(def.color, "#1d4ed8");
+  assert.deepEqual(def.fields, { title: "a", url: "a@href", date: ["time@datetime", ".data"] });
+  assert.deepEqual(def.enrich, { image: true, date: true, text: false });
+  assert.equal("evil" in def, false);
+});
+
+test("registro: feed sem listagem usa o feed como URL da aba", () => {
+  const def = normalizeDefinition({ key: "so_feed", name: "Só feed", feed: "https://ex.org/rss.xml" });
+  assert.equal(def.url, "https://ex.org/rss.xml");
+});
+
+test("registro: recusa chave, cor, URL e intervalo inválidos", () => {
+  assert.throws(() => normalizeDefinition(null), RangeError);
+  rejects({ key: "Com Espaço" }, /key/);
+  rejects({ key: "x" }, /key/);
+  rejects({ color: "azul" }, /color/);
+  rejects({ url: "javascript:alert(1)" }, /url deve ser uma URL http/);
+  rejects({ feed: "ftp://ex.org/rss" }, /feed/);
+  rejects({ refreshMinutes: 1 }, /refreshMinutes/);
+  rejects({ refreshMinutes: 2.5 }, /refreshMinutes/);
+});
+
+test("registro: recusa paginação malformada", () => {
+  rejects({ pagination: { param: "page=1&x" } }, /pagination\.param/);
+  rejects({ pagination: { url: "https://ex.org/page/2/" } }, /\{page\}/);
+  rejects({ pagination: { param: "page", maxPages: 500 } }, /pagination\.maxPages/);
+  rejects({ pagination: { param: "page", start: -1 } }, /pagination\.start/);
+  rejects({ pagination: { param: "page", next: "a@href" } }, /pagination/);
+});
+
+test("registro: erros do motor também viram RangeError; prévia dispensa a chave", () => {
+  rejects({ item: undefined, fields: undefined }, /./);
+  const { key, ...rest } = VALID;
+  assert.throws(() => normalizeDefinition(rest), RangeError);
+  assert.equal(normalizeDefinition(rest, { requireKey: false }).key, "previa");
+});
@@ -0,0 +1,82 @@
+// server/test/robots.test.js
+//
+// robots.txt (RFC 9309): escolha do grupo pelo product token, regra mais
+// longa, curingas e Crawl-delay.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { isAllowed, parseRobots, productToken } from "../lib/robots.js";
+
+const UA = "RadarNoticias/1.0 (+https://radar.example.org/contato)";
+
+test("robots: product token é a primeira palavra do User-Agent, em minúsculas", () => {
+  assert.equal(productToken(UA), "radarnoticias");
+});
+
+test("robots: usa o grupo do nosso token (sem diferença de maiúsculas) em vez de *", () => {
+  const robots = parseRobots(
+    `User-agent: *
+Disallow: /
+
+User-agent: RADARNOTICIAS
+Disallow: /privado/
+Crawl-delay: 5`,
+    UA
+  );
+  assert.equal(isAllowed(robots, "/noticias/1"), true);
+  assert.equal(isAllowed(robots, "/privado/x"), false);
+  assert.equal(robots.crawlDelayMs, 5000);
+});
+
+test("robots: grupo de um trecho do token não vale para nós", () => {
+  const text = `User-agent: radar
+Disallow: /
+
+User-agent: bot
+Disallow: /
+
+User-agent: *
+Disallow: /admin`;
+  const robots = parseRobots(text, UA);
+  assert.equal(isAllowed(robots, "/noticias"), true);
+  assert.equal(isAllowed(robots, "/admin/x"), false);
+  assert.equal(robots.crawlDelayMs, null);
+});
+
+test("robots: linhas User-agent seguidas formam um só grupo", () => {
+  const robots = parseRobots(
+    `User-agent: outro
+User-agent: radarnoticias
+Disallow: /busca`,
+    UA
+  );
+  assert.equal(isAllowed(robots, "/busca?q=x"), false);
+});
+
+test("robots: regra mais longa vence e empate favorece Allow", () => {
+  const robots = parseRobots(
+    `User-agent: *
+Disallow: /noticias/
+Allow: /noticias/publicas/
+Disallow: /x
+Allow: /x`,
+    UA
+  );
+  assert.equal(isAllowed(robots, "/noticias/internas/1"), false);
+  assert.equal(isAllowed(robots, "/noticias/publicas/1"), true);
+  assert.equal(isAllowed(robots, "/x"), true);
+});
+
+test("robots: curingas * e $ e Disallow vazio", () => {
+  const robots = parseRobots(
+    `User-agent: *
+Disallow: /*.pdf$
+Disallow: /*?sessao=`,
+    UA
+  );
+  assert.equal(isAllowed(robots, "/docs/nota.pdf"), false);
+  assert.equal(isAllowed(robots, "/docs/nota.pdf?v=2"), true);
+  assert.equal(isAllowed(robots, "/lista?sessao=abc"), false);
+  assert.equal(isAllowed(parseRobots("User-agent: *\nDisallow:", UA), "/qualquer"), true);
+  assert.equal(isAllowed(parseRobots("", UA), "/qualquer"), true);
+});
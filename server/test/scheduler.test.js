@@ -0,0 +1,89 @@
+// server/test/scheduler.test.js
+//
+// Ciclo de vida dos jobs de "Atualizar": fila com concorrência limitada
+// (REFRESH_CONCURRENCY, padrão 3), falhas por fonte e fontes removidas no meio.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { getJob, isRefreshing, requestRefresh, syncSchedule } from "../lib/scheduler.js";
+
+// Coleta controlada pelo teste: cada chamada fica pendente até finish(key, erro?)
+function controlledRefresh() {
+  const pending = new Map();
+  const calls = [];
+  const refresh = (src) =>
+    new Promise((resolve, reject) => {
+      calls.push(src.key);
+      pending.set(src.key, { resolve, reject });
+    });
+  const finish = async (key, error) => {
+    const p = pending.get(key);
+    pending.delete(key);
+    if (error) p.reject(new Error(error));
+    else p.resolve([]);
+    await new Promise((r) => setImmediate(r));
+  };
+  return { refresh, calls, finish };
+}
+
+const defs = (...keys) => keys.map((key) => ({ key, refreshMinutes: 60 }));
+
+test("agendador: job acompanha a fila até terminar, com as falhas por fonte", async () => {
+  const ctl = controlledRefresh();
+  syncSchedule(defs("a", "b", "c", "d", "e"), ctl.refresh);
+
+  const job = requestRefresh(["a", "b", "c", "d", "inexistente"]);
+  assert.equal(job.total, 4);
+  assert.equal(job.status, "running");
+  // Só 3 coletas ao mesmo tempo; "d" espera na fila
+  assert.deepEqual(ctl.calls, ["a", "b", "c"]);
+  assert.equal(isRefreshing("d"), true);
+
+  await ctl.finish("a");
+  assert.deepEqual(ctl.calls, ["a", "b", "c", "d"]);
+  await ctl.finish("b", "HTTP 500");
+  await ctl.finish("c");
+  assert.equal(getJob(job.id).completed, 3);
+  assert.equal(getJob(job.id).status, "running");
+
+  await ctl.finish("d");
+  const done = getJob(job.id);
+  assert.equal(done.status, "done");
+  assert.deepEqual(done.failed, { b: "HTTP 500" });
+  assert.deepEqual(done.pending, []);
+  assert.equal(getJob("999"), null);
+});
+
+test("agendador: fonte removida enquanto espera na fila encerra o job", async () => {
+  const ctl = controlledRefresh();
+  syncSchedule(defs("f", "g", "h", "i"), ctl.refresh);
+
+  const job = requestRefresh(["f", "g", "h", "i"]);
+  assert.equal(isRefreshing("i"), true);
+  syncSchedule(defs("f", "g", "h"));
+  assert.equal(isRefreshing("i"), false);
+
+  await ctl.finish("f");
+  await ctl.finish("g");
+  await ctl.finish("h");
+  assert.deepEqual(ctl.calls, ["f", "g", "h"]);
+  const done = getJob(job.id);
+  assert.equal(done.status, "done");
+  assert.deepEqual(done.failed, { i: "fonte removida" });
+});
+
+test("agendador: refreshMinutes alterado refaz o timer da fonte", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+  const ctl = controlledRefresh();
+  syncSchedule([...defs("f", "g", "h"), { key: "j", refreshMinutes: 60 }], ctl.refresh);
+
+  // Primeira coleta espalhada nos primeiros segundos; a seguinte fica para daqui a ~1 hora
+  t.mock.timers.tick(10_000);
+  assert.deepEqual(ctl.calls, ["j"]);
+  await ctl.finish("j");
+
+  syncSchedule([...defs("f", "g", "h"), { key: "j", refreshMinutes: 1 }]);
+  t.mock.timers.tick(70_000);
+  assert.deepEqual(ctl.calls, ["j", "j"]);
+  await ctl.finish("j");
+});
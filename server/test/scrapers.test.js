@@ -0,0 +1,38 @@
+// server/test/scrapers.test.js
+//
+// Regressão dos scrapers: cada fonte roda contra os snapshots salvos em
+// test/fixtures/<key>/ (sem rede) e o resultado tem de bater com expected.json.
+// Para atualizar os snapshots: npm run fixtures:capture -- <key>
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadSourceDefinitions, runSource } from "../lib/engine.js";
+import { fixtureFetcher, fixtureKeys, loadExpected, loadManifest, publicShape } from "./helpers/fixtures.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const defs = loadSourceDefinitions(path.join(__dirname, "..", "sources.json"));
+// Hora da coleta fixa: datas relativas e sem ano não podem depender do dia em que o teste roda
+const NOW = new Date("2025-06-16T12:00:00Z");
+
+test("toda fonte cadastrada tem snapshot", () => {
+  const keys = fixtureKeys();
+  const missing = defs.map((d) => d.key).filter((k) => !keys.includes(k));
+  assert.deepEqual(missing, [], `sem fixtures: ${missing.join(", ")} (rode npm run fixtures:capture)`);
+});
+
+for (const key of fixtureKeys()) {
+  test(`scraper ${key} extrai os itens esperados`, async () => {
+    const def = defs.find((d) => d.key === key);
+    assert.ok(def, `fixture ${key} não corresponde a nenhuma fonte em sources.json`);
+
+    const items = await runSource(def, { fetchText: fixtureFetcher(key), now: NOW });
+    assert.ok(items.length > 0, `${key}: nenhum item extraído`);
+    // Matéria fora do manifest vira enriquecimento vazio em silêncio; o snapshot tem de trazer todas
+    const manifest = loadManifest(key);
+    const missing = items.map((it) => it.url).filter((url) => !manifest[url]);
+    assert.deepEqual(missing, [], `${key}: matérias sem snapshot (rode npm run fixtures:capture -- ${key})`);
+    assert.deepEqual(publicShape(items), loadExpected(key));
+  });
+}
@@ -0,0 +1,55 @@
+// server/test/search.test.js
+//
+// Índice de busca: consulta com termos e frases, prefixo, acentos, filtro por
+// fonte e reindexação de um título editado.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { indexArticleText, indexItem, indexSize, parseQuery, search } from "../lib/search.js";
+
+const urls = (res) => res.results.map((r) => r.url);
+
+indexItem("mre_notas", { url: "https://ex.org/1", title: "Nota sobre a cooperação diplomática com o Mercosul", publishedAt: "2025-06-10T10:00:00Z" });
+indexItem("un_news_pt", { url: "https://ex.org/2", title: "ONU debate direitos humanos em Genebra", publishedAt: "2025-06-11T10:00:00Z" });
+indexItem("eir", { url: "https://ex.org/3", title: "Relatório sobre humanos e direitos digitais", publishedAt: "2025-06-09T10:00:00Z" });
+indexArticleText("https://ex.org/3", "O texto menciona a ação diplomática no clima e a COP30 em Belém.");
+
+test("busca: parseQuery separa frases entre aspas dos termos, sem acentos", () => {
+  assert.deepEqual(parseQuery('COP30 "Direitos Humanos" Mercosul'), { terms: ["cop30", "mercosul"], phrases: [["direitos", "humanos"]] });
+  assert.deepEqual(parseQuery('  "" '), { terms: [], phrases: [] });
+});
+
+test("busca: todos os termos precisam aparecer, sem diferença de acentos e caixa", () => {
+  assert.deepEqual(urls(search("COOPERACAO mercosul")), ["https://ex.org/1"]);
+  assert.deepEqual(urls(search("cooperação genebra")), []);
+});
+
+test("busca: termos com 3+ letras casam por prefixo, inclusive no texto da matéria", () => {
+  assert.deepEqual(urls(search("diplomat")).sort(), ["https://ex.org/1", "https://ex.org/3"]);
+  assert.deepEqual(urls(search("di")), []);
+  const [hit] = search("belem").results;
+  assert.equal(hit.url, "https://ex.org/3");
+  assert.match(hit.snippet, /Belém/);
+});
+
+test("busca: frase exige as palavras juntas e na ordem", () => {
+  assert.deepEqual(urls(search('"direitos humanos"')), ["https://ex.org/2"]);
+  // Sem aspas, a ordem não importa; título recente vem primeiro no empate
+  assert.deepEqual(urls(search("direitos humanos")), ["https://ex.org/2", "https://ex.org/3"]);
+});
+
+test("busca: filtro por fonte", () => {
+  assert.deepEqual(urls(search("direitos", { sources: ["eir"] })), ["https://ex.org/3"]);
+});
+
+test("busca: título editado deixa de casar com os termos antigos", () => {
+  const before = indexSize();
+  indexItem("mre_notas", { url: "https://ex.org/1", title: "Comunicado conjunto sobre comércio", publishedAt: "2025-06-10T10:00:00Z" });
+  assert.equal(indexSize(), before);
+  assert.deepEqual(urls(search("mercosul")), []);
+  assert.deepEqual(urls(search("comunicado")), ["https://ex.org/1"]);
+  // O texto da matéria continua indexado depois de trocar o título
+  indexItem("eir", { url: "https://ex.org/3", title: "Relatório sobre dados" });
+  assert.deepEqual(urls(search("cop30")), ["https://ex.org/3"]);
+  assert.deepEqual(urls(search("humanos")), ["https://ex.org/2"]);
+});
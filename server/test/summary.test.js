@@ -0,0 +1,46 @@
+// server/test/summary.test.js
+//
+// Resumo extrativo: quebra de frases (com abreviações), idioma e escolha das
+// frases centrais na ordem original.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { detectLanguage, splitSentences, summarize } from "../lib/summary.js";
+import { tokenize } from "../lib/text.js";
+
+test("resumo: abreviações não encerram a frase", () => {
+  assert.deepEqual(splitSentences("O Sr. Guterres falou em Nova York. Depois, o art. 5º foi citado.\nNovo parágrafo"), [
+    "O Sr. Guterres falou em Nova York.",
+    "Depois, o art. 5º foi citado.",
+    "Novo parágrafo",
+  ]);
+});
+
+test("resumo: idioma pelas palavras vazias", () => {
+  assert.equal(detectLanguage(tokenize("O governo e a sociedade não são os mesmos que estão na reunião")), "pt");
+  assert.equal(detectLanguage(tokenize("El gobierno y la sociedad no son los mismos que están en la reunión")), "es");
+  assert.equal(detectLanguage(tokenize("The government and the society are not the same as those in the meeting")), "en");
+});
+
+test("resumo: frases centrais do texto, na ordem em que aparecem", () => {
+  const text = [
+    "Leia mais.",
+    "O Brasil apresentou na COP30 uma nova meta climática de redução de emissões até 2035.",
+    "A delegação brasileira destacou que a meta climática inclui o fim do desmatamento ilegal.",
+    "O almoço oficial teve pratos típicos da culinária paraense servidos no centro da cidade.",
+    "Negociadores avaliaram que a meta climática brasileira pressiona outros países a reduzir emissões.",
+    "A previsão do tempo indica chuva forte na capital durante toda a semana que vem.",
+  ].join(" ");
+  const summary = summarize(text, { sentences: 2 });
+  assert.equal(
+    summary,
+    "O Brasil apresentou na COP30 uma nova meta climática de redução de emissões até 2035. Negociadores avaliaram que a meta climática brasileira pressiona outros países a reduzir emissões."
+  );
+});
+
+test("resumo: texto curto volta inteiro e sem frases úteis volta null", () => {
+  const short = "Uma única frase longa o bastante para entrar no resumo da matéria.";
+  assert.equal(summarize(short), short);
+  assert.equal(summarize("Foto: ONU. Leia mais."), null);
+  assert.equal(summarize(""), null);
+});
@@ -0,0 +1,70 @@
+// server/test/syndication.test.js
+//
+// Feeds do radar: RSS 2.0, Atom e JSON Feed a partir do payload de /api/news.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { renderAtom, renderJsonFeed, renderRss } from "../lib/syndication.js";
+
+const payload = {
+  generatedAt: "2025-06-11T12:00:00.000Z",
+  sources: [
+    {
+      key: "mre_notas",
+      name: "MRE – Notas",
+      color: "#16a34a",
+      url: "https://www.gov.br/mre/notas",
+      items: [{ title: "Nota sobre <Venezuela> & Guiana", url: "https://ex.org/a?x=1&y=2", image: "https://ex.org/a.png", publishedAt: "2025-06-10T09:00:00.000Z" }],
+    },
+    {
+      key: "eir",
+      name: "EIR",
+      items: [{ title: "Análise", url: "https://ex.org/b", publishedAt: "2025-06-11T08:00:00.000Z" }],
+    },
+  ],
+};
+const urls = { siteUrl: "https://radar.example.org/", selfUrl: "https://radar.example.org/api/feed.atom?days=7&sources=eir" };
+
+test("feeds: RSS escapa o texto, ordena do mais recente e traz enclosure com tipo", () => {
+  const xml = renderRss(payload, { ...urls, selfUrl: "https://radar.example.org/api/feed.xml?a=1&b=2" });
+  assert.match(xml, /<title>Nota sobre &lt;Venezuela&gt; &amp; Guiana<\/title>/);
+  assert.match(xml, /<link>https:\/\/ex\.org\/a\?x=1&amp;y=2<\/link>/);
+  assert.match(xml, /<enclosure url="https:\/\/ex\.org\/a\.png" length="0" type="image\/png"\/>/);
+  assert.match(xml, /<source url="https:\/\/www\.gov\.br\/mre\/notas">MRE – Notas<\/source>/);
+  assert.match(xml, /<atom:link href="https:\/\/radar\.example\.org\/api\/feed\.xml\?a=1&amp;b=2" rel="self"/);
+  assert.ok(xml.indexOf("Análise") < xml.indexOf("Guiana"));
+  assert.match(xml, /<pubDate>Tue, 10 Jun 2025 09:00:00 GMT<\/pubDate>/);
+});
+
+test("feeds: Atom tem id estável por filtro de fontes, sem a janela", () => {
+  const idOf = (selfUrl) => renderAtom(payload, { ...urls, selfUrl }).match(/<id>([^<]+)<\/id>/)[1];
+  const xml = renderAtom(payload, urls);
+  assert.match(xml, /<feed xmlns="http:\/\/www\.w3\.org\/2005\/Atom"/);
+  assert.equal(idOf(urls.selfUrl), "https://radar.example.org/api/feed.atom?sources=eir");
+  // Janela e ordem dos parâmetros não mudam o id
+  assert.equal(idOf("https://radar.example.org/api/feed.atom?hours=6&sources=eir"), idOf(urls.selfUrl));
+  assert.equal(
+    idOf("https://radar.example.org/api/feed.atom?sources=unfccc,mre_notas"),
+    idOf("https://radar.example.org/api/feed.atom?sources=mre_notas,%20unfccc&days=3")
+  );
+  // Feeds de fontes diferentes (e o de todas) têm ids diferentes
+  const ids = ["?sources=mre_notas", "?sources=unfccc", ""].map((q) => idOf(`https://radar.example.org/api/feed.atom${q}`));
+  assert.equal(new Set(ids).size, 3);
+  assert.equal(ids[2], "https://radar.example.org/api/feed.atom");
+  assert.match(xml, /<link rel="self" type="application\/atom\+xml" href="https:\/\/radar\.example\.org\/api\/feed\.atom\?days=7&amp;sources=eir"\/>/);
+  assert.match(xml, /<category term="mre_notas" label="MRE – Notas"\/>/);
+  assert.match(xml, /<updated>2025-06-11T12:00:00\.000Z<\/updated>/);
+});
+
+test("feeds: JSON Feed 1.1 e título da fonte única", () => {
+  const feed = renderJsonFeed(payload, urls);
+  assert.equal(feed.version, "https://jsonfeed.org/version/1.1");
+  assert.equal(feed.title, "Radar de Notícias");
+  assert.deepEqual(feed.items.map((it) => it.id), ["https://ex.org/b", "https://ex.org/a?x=1&y=2"]);
+  assert.equal(feed.items[1].image, "https://ex.org/a.png");
+  assert.equal("image" in feed.items[0], false);
+  assert.deepEqual(feed.items[1]._radar, { source: "mre_notas", color: "#16a34a" });
+
+  const single = renderJsonFeed({ ...payload, sources: [payload.sources[1]] }, urls);
+  assert.equal(single.title, "Radar de Notícias – EIR");
+});
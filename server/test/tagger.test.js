@@ -0,0 +1,54 @@
+// server/test/tagger.test.js
+//
+// Temas por palavras-chave: palavra inteira, expressão, prefixo e acentos.
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { compileKeyword, listTopics, loadTopics, tagItem } from "../lib/tagger.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function topicsFile(list) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "topics-")), "topics.json");
+  fs.writeFileSync(file, JSON.stringify(list));
+  return file;
+}
+
+test("temas: palavra-chave compilada para comparação por trecho", () => {
+  assert.equal(compileKeyword("Mercosul"), " mercosul ");
+  assert.equal(compileKeyword("Direitos Humanos"), " direitos humanos ");
+  assert.equal(compileKeyword("climát*"), " climat");
+  assert.equal(compileKeyword("  "), null);
+});
+
+test("temas: palavra inteira, expressão na ordem e prefixo, sem acentos", () => {
+  loadTopics(
+    topicsFile([
+      { key: "mercosul", label: "Mercosul", keywords: { pt: ["mercosul"] } },
+      { key: "dh", label: "Direitos humanos", keywords: { pt: ["direitos humanos"], en: ["human rights"] } },
+      { key: "clima", label: "Clima", color: "#0d9488", keywords: { pt: ["climát*"], en: ["climate*"] } },
+    ])
+  );
+  assert.deepEqual(tagItem({ title: "Cúpula do MERCOSUL em Montevidéu" }), ["mercosul"]);
+  assert.deepEqual(tagItem({ title: "Mercosulino" }), []);
+  assert.deepEqual(tagItem({ title: "Relatório", description: "Conselho de Direitos Humanos da ONU" }), ["dh"]);
+  assert.deepEqual(tagItem({ title: "Humanos e direitos" }), []);
+  assert.deepEqual(tagItem({ title: "Financiamento climático e human rights" }), ["dh", "clima"]);
+  assert.deepEqual(tagItem({ title: "Climate Week" }), ["clima"]);
+  assert.deepEqual(listTopics()[2], { key: "clima", label: "Clima", color: "#0d9488" });
+});
+
+test("temas: tema sem key ou label é recusado", () => {
+  assert.throws(() => loadTopics(topicsFile([{ key: "x" }])), /key\/label/);
+  assert.throws(() => loadTopics(topicsFile({ key: "x" })), /array/);
+});
+
+test("temas: o dicionário do repositório carrega e classifica", () => {
+  assert.ok(loadTopics(path.join(__dirname, "..", "topics.json")) > 0);
+  assert.ok(tagItem({ title: "Brasil apresenta nova NDC na COP30" }).includes("clima"));
+  assert.ok(tagItem({ title: "Cúpula do BRICS no Rio" }).includes("brics"));
+});